@@ -15,6 +15,9 @@
  *   pm2 monit                          - Dashboard de monitoramento
  *   pm2 save                           - Salva lista de processos
  *   pm2 startup                        - Configura início automático no boot
+ *
+ * Várias lojas no mesmo processo: troque script por 'src/lojas.js'
+ * e configure as lojas em lojas.json (ver lojas.example.json)
  */
 
 module.exports = {
@@ -26,7 +29,15 @@ module.exports = {
             // Variáveis de ambiente
             env: {
                 NODE_ENV: 'production',
-                PORT: 3016
+                PORT: 3016,
+
+                // Dados da loja usados nas mensagens
+                LOJA_NOME: 'Rei do Churrasco',
+                LOJA_SLOGAN: 'O Melhor Churrasco da Região!',
+                LOJA_SITE: 'https://reidochurrascobarras.com.br',
+                LOJA_ENDERECO: 'R. Gen. Taumaturgo de Azevedo, n° 279 - Riachinho',
+                LOJA_MAPS_LINK: 'https://maps.google.com/?q=R.+Gen.+Taumaturgo+de+Azevedo,+279+-+Riachinho',
+                LOJA_TELEFONE: '(86) 98131-9596'
             },
 
             // Configurações de reinício
@@ -0,0 +1,47 @@
+/**
+ * Grava as chaves PIX da loja na tabela pix_keys do Supabase configurado (SUPABASE_URL)
+ * Rei do Churrasco
+ *
+ * Uso:
+ *   node scripts/semearChavesPix.js [--arquivo chaves-pix.json]
+ *
+ * Sem --arquivo lê PIX_CHAVES_ARQUIVO (padrão ./chaves-pix.json, fora do git - ver chaves-pix.example.json).
+ * Arquivo: lista [{ "tipo": "E-mail", "chave": "...", "titular": "...", "peso": 1, "limiteDiario": null }]
+ * Chaves já cadastradas (mesmo valor) não são alteradas, então o script pode rodar a cada deploy.
+ */
+
+import 'dotenv/config'
+import fs from 'fs'
+import { semearChavesPix } from '../src/lib/pix.js'
+
+function lerCaminhoArquivo(argv) {
+    if (argv.length === 0) return process.env.PIX_CHAVES_ARQUIVO || './chaves-pix.json'
+
+    if (argv[0] !== '--arquivo' || !argv[1]) {
+        throw new Error(`Argumento desconhecido: ${argv.join(' ')}`)
+    }
+
+    return argv[1]
+}
+
+function lerChaves(caminho) {
+    if (!fs.existsSync(caminho)) {
+        throw new Error(`Arquivo de chaves não encontrado: ${caminho} (ver chaves-pix.example.json)`)
+    }
+
+    const chaves = JSON.parse(fs.readFileSync(caminho, 'utf-8'))
+    if (!Array.isArray(chaves) || chaves.length === 0 || chaves.some(item => !item?.tipo || !item?.chave || !item?.titular)) {
+        throw new Error('O arquivo deve conter uma lista de chaves com tipo, chave e titular')
+    }
+
+    return chaves
+}
+
+try {
+    const chaves = lerChaves(lerCaminhoArquivo(process.argv.slice(2)))
+    const gravadas = await semearChavesPix(chaves)
+    console.log(`Chaves gravadas: ${gravadas} | Já cadastradas: ${chaves.length - gravadas}`)
+} catch (erro) {
+    console.error(`Erro ao gravar chaves PIX: ${erro.message}`)
+    process.exit(1)
+}
@@ -0,0 +1,91 @@
+/**
+ * Confere o BR Code (PIX copia e cola) gerado pelo bot sem banco nem WhatsApp
+ * Rei do Churrasco
+ *
+ * Uso:
+ *   node scripts/testarBrCode.js
+ *
+ * - CRC16 e payload estático comparados com o exemplo do manual do Pix do Banco Central
+ * - Campos do payload de um pedido (valor, txid, chave normalizada) relidos do próprio payload
+ *
+ * Nenhuma consulta é feita ao Supabase: sem SUPABASE_URL configurada usa um endereço local só
+ * para o cliente ser criado. Sai com código 1 se alguma verificação falhar.
+ */
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:54321'
+process.env.SUPABASE_ANON_KEY ||= 'sem-chave'
+
+const { gerarPayloadPix, gerarPayloadPixPedido, calcularCrc16 } = await import('../src/lib/pix.js')
+
+// Exemplo de QR Code estático do manual de padrões para iniciação do Pix (BCB)
+const EXEMPLO_BCB = {
+    chave: '123e4567-e12b-12d1-a456-426655440000',
+    nome: 'Fulano de Tal',
+    cidade: 'BRASILIA',
+    payload: '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D'
+}
+
+let acertos = 0
+let erros = 0
+
+function verificar(descricao, condicao, detalhe = '') {
+    condicao ? acertos++ : erros++
+    console.log(`${condicao ? '✔' : '✘'} ${descricao}${!condicao && detalhe ? ` (${detalhe})` : ''}`)
+}
+
+/**
+ * Lê os campos EMV (ID + tamanho + valor) de um payload
+ * @returns {Object} id → valor
+ */
+function lerCamposEmv(payload) {
+    const campos = {}
+    let posicao = 0
+
+    while (posicao < payload.length) {
+        const id = payload.slice(posicao, posicao + 2)
+        const tamanho = Number(payload.slice(posicao + 2, posicao + 4))
+        campos[id] = payload.slice(posicao + 4, posicao + 4 + tamanho)
+        posicao += 4 + tamanho
+    }
+
+    return campos
+}
+
+function testarBrCode() {
+    verificar('CRC16-CCITT de "123456789" é 29B1', calcularCrc16('123456789') === '29B1')
+
+    const payloadExemplo = gerarPayloadPix({ chave: EXEMPLO_BCB.chave, nome: EXEMPLO_BCB.nome, cidade: EXEMPLO_BCB.cidade })
+    verificar('Payload estático igual ao exemplo do BCB', payloadExemplo === EXEMPLO_BCB.payload, payloadExemplo)
+
+    const payloadPedido = gerarPayloadPixPedido(
+        { tipo: 'Telefone', chave: '(86) 99999-0000', titular: 'João do Açaí & Cia Churrascaria Ltda', cidade: 'São Raimundo Nonato' },
+        { order_number: 123, total: 87.5 }
+    )
+    const campos = lerCamposEmv(payloadPedido)
+    const conta = lerCamposEmv(campos['26'] || '')
+    const adicionais = lerCamposEmv(campos['62'] || '')
+
+    verificar('Pedido: CRC confere com o payload', campos['63'] === calcularCrc16(payloadPedido.slice(0, -4)), campos['63'])
+    verificar('Pedido: GUI br.gov.bcb.pix', conta['00'] === 'br.gov.bcb.pix', conta['00'])
+    verificar('Pedido: chave telefone em +55', conta['01'] === '+5586999990000', conta['01'])
+    verificar('Pedido: valor com 2 casas', campos['54'] === '87.50', campos['54'])
+    verificar('Pedido: txid com o número do pedido', adicionais['05'] === 'PEDIDO123', adicionais['05'])
+    verificar('Pedido: nome sem acentos e com até 25 caracteres', /^[A-Za-z0-9 ]{1,25}$/.test(campos['59']), campos['59'])
+    verificar('Pedido: cidade sem acentos e com até 15 caracteres', campos['60'] === 'Sao Raimundo No', campos['60'])
+
+    // DDD 55 (RS): o 55 do DDD não pode ser confundido com o código do país
+    const chaveTelefone = (chave) => lerCamposEmv(lerCamposEmv(gerarPayloadPix({ tipo: 'Celular', chave, nome: 'Loja', cidade: 'Porto Alegre' }))['26'])['01']
+    verificar('Chave telefone do DDD 55 sem código do país', chaveTelefone('(55) 99999-9999') === '+5555999999999', chaveTelefone('(55) 99999-9999'))
+    verificar('Chave telefone do DDD 55 com código do país', chaveTelefone('+55 55 99999-9999') === '+5555999999999', chaveTelefone('+55 55 99999-9999'))
+
+    const semValor = lerCamposEmv(gerarPayloadPixPedido({ tipo: 'E-mail', chave: 'Loja@Exemplo.com', titular: 'Loja' }, { order_number: 7, total: 0 }))
+    verificar('Pedido sem total: campo 54 omitido', !('54' in semValor))
+    verificar('Chave e-mail em minúsculas', lerCamposEmv(semValor['26'])['01'] === 'loja@exemplo.com')
+}
+
+testarBrCode()
+
+console.log('')
+console.log(`Verificações: ${acertos + erros} | Acertos: ${acertos} | Erros: ${erros}`)
+
+process.exitCode = erros > 0 ? 1 : 0
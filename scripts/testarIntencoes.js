@@ -0,0 +1,105 @@
+/**
+ * Roda um corpus de frases de clientes no motor de intenções e mostra qual intenção cada uma atinge
+ * Rei do Churrasco
+ *
+ * Uso:
+ *   node scripts/testarIntencoes.js [--corpus arquivo.txt] [--intencoes arquivo.json] [--detalhes]
+ *
+ * Corpus (uma frase por linha, '#' comenta):
+ *   pix | qual a chave pix?      - frase com a intenção esperada
+ *   -   | obrigado               - frase que não deve ter resposta
+ *   tem picanha hoje?            - frase sem expectativa (só mostra o resultado)
+ *
+ * --intencoes usa o mesmo formato da tabela bot_intents (padrão: INTENCOES_ARQUIVO, se definido)
+ * Sai com código 1 se alguma frase não atingir a intenção esperada.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    INTENCOES_PADRAO,
+    mesclarIntencoes,
+    compilarIntencoes,
+    detectarIntencao,
+    lerIntencoesArquivo
+} from '../src/lib/intencoes.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+function lerArgumentos(argv) {
+    const argumentos = {
+        corpus: path.join(__dirname, 'corpus-intencoes.txt'),
+        intencoes: process.env.INTENCOES_ARQUIVO || null,
+        detalhes: false
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--corpus') argumentos.corpus = argv[++i]
+        else if (argv[i] === '--intencoes') argumentos.intencoes = argv[++i]
+        else if (argv[i] === '--detalhes') argumentos.detalhes = true
+        else throw new Error(`Argumento desconhecido: ${argv[i]}`)
+    }
+
+    return argumentos
+}
+
+/**
+ * Lê o corpus
+ * @returns {Array} [{ linha, frase, esperada }] - esperada undefined sem expectativa, null para 'sem resposta'
+ */
+function lerCorpus(caminho) {
+    return fs.readFileSync(caminho, 'utf-8')
+        .split('\n')
+        .map((texto, indice) => ({ texto: texto.trim(), linha: indice + 1 }))
+        .filter(({ texto }) => texto && !texto.startsWith('#'))
+        .map(({ texto, linha }) => {
+            const separador = texto.indexOf('|')
+            if (separador === -1) return { linha, frase: texto, esperada: undefined }
+
+            const esperada = texto.slice(0, separador).trim()
+            return { linha, frase: texto.slice(separador + 1).trim(), esperada: esperada === '-' ? null : esperada }
+        })
+}
+
+function main() {
+    const argumentos = lerArgumentos(process.argv.slice(2))
+    const personalizadas = argumentos.intencoes ? lerIntencoesArquivo(argumentos.intencoes) : []
+    const intencoes = compilarIntencoes(mesclarIntencoes(INTENCOES_PADRAO, personalizadas))
+    const corpus = lerCorpus(argumentos.corpus)
+
+    let acertos = 0
+    let erros = 0
+    const porIntencao = new Map()
+
+    for (const { linha, frase, esperada } of corpus) {
+        const resultado = detectarIntencao(frase, intencoes)
+        const detectada = resultado.intencao || '-'
+        porIntencao.set(detectada, (porIntencao.get(detectada) || 0) + 1)
+
+        let marcador = ' '
+        if (esperada !== undefined) {
+            const acertou = resultado.intencao === esperada
+            marcador = acertou ? '✔' : '✘'
+            acertou ? acertos++ : erros++
+        }
+
+        const esperadaTexto = esperada !== undefined && resultado.intencao !== esperada ? ` (esperada: ${esperada || '-'})` : ''
+        const termos = resultado.termos.length > 0 ? ` [${resultado.termos.join(', ')}]` : ''
+        console.log(`${marcador} ${detectada.padEnd(12)} ${String(resultado.pontuacao).padStart(5)}  ${frase}${termos}${esperadaTexto}`)
+
+        if (argumentos.detalhes && resultado.ranking.length > 1) {
+            for (const item of resultado.ranking.slice(1)) {
+                console.log(`      ${item.intencao.padEnd(12)} ${String(item.pontuacao).padStart(5)}  [${item.termos.join(', ')}]  (linha ${linha})`)
+            }
+        }
+    }
+
+    console.log('')
+    console.log(`Frases: ${corpus.length} | Com expectativa: ${acertos + erros} | Acertos: ${acertos} | Erros: ${erros}`)
+    console.log(`Por intenção: ${[...porIntencao].map(([intencao, total]) => `${intencao}=${total}`).join(', ')}`)
+
+    process.exitCode = erros > 0 ? 1 : 0
+}
+
+main()
@@ -0,0 +1,92 @@
+/**
+ * Aciona a assinatura Realtime de pedidos (assinarPedidosRealtime) pelo emissor local, sem Supabase
+ * Rei do Churrasco
+ *
+ * Uso:
+ *   node scripts/testarRealtime.js
+ *
+ * Confere INSERT/UPDATE de orders e store_settings, eventos ignorados, handler com erro,
+ * queda e reconexão do canal e o cancelamento da assinatura.
+ * Sai com código 1 se alguma verificação falhar.
+ */
+
+import { assinarPedidosRealtime, criarClienteRealtimeLocal } from '../src/lib/realtimePedidos.js'
+
+let acertos = 0
+let erros = 0
+
+function verificar(descricao, condicao, detalhe = '') {
+    condicao ? acertos++ : erros++
+    console.log(`${condicao ? '✔' : '✘'} ${descricao}${!condicao && detalhe ? ` (${detalhe})` : ''}`)
+}
+
+function esperarEventos() {
+    return new Promise(resolve => setImmediate(resolve))
+}
+
+async function testarRealtime() {
+    const cliente = criarClienteRealtimeLocal()
+    const recebidos = { inseridos: [], atualizados: [], configuracoes: [], status: [] }
+
+    const assinatura = assinarPedidosRealtime({
+        cliente,
+        aoInserirPedido: async (pedido) => {
+            recebidos.inseridos.push(pedido)
+            if (pedido.falhar) throw new Error('falha simulada')
+        },
+        aoAtualizarPedido: async (pedido, anterior) => {
+            recebidos.atualizados.push({ pedido, anterior })
+        },
+        aoAlterarConfiguracao: async (registro) => {
+            recebidos.configuracoes.push(registro)
+        },
+        aoMudarStatusCanal: async (status) => {
+            recebidos.status.push(status)
+        }
+    })
+
+    await esperarEventos()
+    verificar('Canal assinado (SUBSCRIBED)', recebidos.status.at(-1) === 'SUBSCRIBED', recebidos.status.join(', '))
+
+    cliente.emitir('orders', 'INSERT', { id: 'p1', status: 'pending' })
+    await esperarEventos()
+    verificar('INSERT em orders chega em aoInserirPedido', recebidos.inseridos[0]?.id === 'p1')
+
+    cliente.emitir('orders', 'UPDATE', { id: 'p1', status: 'preparing' }, { id: 'p1', status: 'pending' })
+    await esperarEventos()
+    const atualizacao = recebidos.atualizados[0]
+    verificar('UPDATE em orders traz pedido novo e anterior', atualizacao?.pedido.status === 'preparing' && atualizacao?.anterior.status === 'pending')
+
+    cliente.emitir('store_settings', 'INSERT', { setting_key: 'manual_status', setting_value: 'closed' })
+    cliente.emitir('store_settings', 'UPDATE', { setting_key: 'manual_status', setting_value: 'open' })
+    await esperarEventos()
+    verificar('INSERT e UPDATE em store_settings chegam em aoAlterarConfiguracao',
+        recebidos.configuracoes.map(registro => registro.setting_value).join(',') === 'closed,open')
+
+    cliente.emitir('products', 'UPDATE', { id: 'x' })
+    cliente.emitir('orders', 'DELETE', {}, { id: 'p1' })
+    await esperarEventos()
+    verificar('Outras tabelas e DELETE são ignorados', recebidos.inseridos.length === 1 && recebidos.atualizados.length === 1)
+
+    cliente.emitir('orders', 'INSERT', { id: 'p2', falhar: true })
+    cliente.emitir('orders', 'INSERT', { id: 'p3' })
+    await esperarEventos()
+    verificar('Erro em um handler não interrompe os próximos eventos', recebidos.inseridos.map(pedido => pedido.id).join(',') === 'p1,p2,p3')
+
+    cliente.derrubar('CHANNEL_ERROR')
+    cliente.reconectar()
+    await esperarEventos()
+    verificar('Queda e reconexão repassadas ao aoMudarStatusCanal', recebidos.status.slice(-2).join(',') === 'CHANNEL_ERROR,SUBSCRIBED', recebidos.status.join(', '))
+
+    await assinatura.cancelar()
+    cliente.emitir('orders', 'INSERT', { id: 'p4' })
+    await esperarEventos()
+    verificar('Cancelar fecha o canal e para os eventos', recebidos.status.at(-1) === 'CLOSED' && recebidos.inseridos.length === 3)
+}
+
+await testarRealtime()
+
+console.log('')
+console.log(`Verificações: ${acertos + erros} | Acertos: ${acertos} | Erros: ${erros}`)
+
+process.exitCode = erros > 0 ? 1 : 0
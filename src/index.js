@@ -9,6 +9,7 @@ import 'dotenv/config'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { isMainThread, parentPort } from 'worker_threads'
 
 import {
     makeWASocket,
@@ -16,33 +17,142 @@ import {
     useMultiFileAuthState,
     makeCacheableSignalKeyStore,
     fetchLatestBaileysVersion,
+    downloadMediaMessage,
     Browsers
 } from '@whiskeysockets/baileys'
 import pino from 'pino'
 import express from 'express'
 import cors from 'cors'
 import qrcode from 'qrcode-terminal'
+import QRCode from 'qrcode'
 
 import { supabase, buscarEntregadoresAtivos, verificarEntregador } from './lib/supabase.js'
 import { useSupabaseAuthState, limparSessao, verificarSessaoExistente } from './lib/authStateSupabase.js'
 import {
     gerarMensagemPedidoRecebido,
     gerarMensagemStatusAtualizado,
+    gerarMensagemCancelamentoLoja,
+    gerarMensagemCancelamentoEntregador,
     gerarMensagemEntregador,
+    gerarMensagemOfertaEntrega,
+    gerarMensagemEntregaAssumida,
+    gerarMensagemEntregaJaAssumida,
+    gerarMensagemProblemaEntrega,
+    gerarMensagemEntregadoresEmTurno,
+    gerarMensagemAcertoEntregador,
+    gerarRelatorioAcertoLoja,
     gerarMensagemCliente,
-    pedidoEhDelivery
+    gerarMensagemClienteLojaFechada,
+    gerarMensagemPedidoLojaFechada,
+    gerarRelatorioPedidosLojaFechada,
+    gerarMensagemComprovanteRecebido,
+    gerarMensagemComprovanteLoja,
+    gerarMensagemLembretePix,
+    gerarMensagemPixNaoPago,
+    formatarMoeda,
+    obterTextoStatus,
+    telefonesCorrespondem,
+    pedidoEhDelivery,
+    listarTemplatesMensagens,
+    gerarPreviaTemplate
 } from './lib/mensagens.js'
-import { selecionarChavePixInteligente } from './lib/pix.js'
-import { processarMensagemRecebida } from './lib/respostasAutomaticas.js'
+import { carregarTemplatesMensagens, salvarTemplateMensagem } from './lib/templatesMensagens.js'
+import { carregarCampanhas, listarCampanhas, semearCampanhasPadrao } from './lib/campanhas.js'
+import {
+    calcularTempoEstimado,
+    contarPedidosEmAberto,
+    obterTempoEstimadoPedido,
+    definirModoPico,
+    CHAVE_MODO_PICO
+} from './lib/tempoEstimado.js'
+import {
+    selecionarChavePixInteligente,
+    obterChavePixEnviada,
+    gerarPayloadPixPedido,
+    listarChavesPix,
+    adicionarChavePix,
+    atualizarChavePix
+} from './lib/pix.js'
+import {
+    processarMensagemRecebida,
+    testarIntencoes,
+    carregarConfiguracoesLoja,
+    atualizarConfiguracoes
+} from './lib/respostasAutomaticas.js'
+import { assinarPedidosRealtime } from './lib/realtimePedidos.js'
+import {
+    PEDIDO_WHATSAPP_ATIVO,
+    carregarSessoesPedido,
+    encerrarSessoesExpiradas,
+    contarSessoesPedido,
+    processarConversaPedido,
+    gerarMensagemSessaoExpirada
+} from './lib/pedidoWhatsapp.js'
+import { processarCancelamentoCliente } from './lib/cancelamentoPedido.js'
+import { buscarPedidoPixEmAberto, salvarComprovantePix, mimetypeComprovanteAceito } from './lib/comprovantesPix.js'
+import {
+    interpretarComandoEntregador,
+    interpretarComandoLoja,
+    buscarPedidoPorNumero,
+    atribuirEntregador,
+    atualizarStatusEntrega,
+    TRANSICOES_ENTREGADOR
+} from './lib/entregas.js'
+import {
+    MODO_DESPACHO,
+    TEMPO_OFERTA_MS,
+    selecionarEntregadoresParaPedido,
+    ordenarParaRodizio
+} from './lib/despacho.js'
+import {
+    entregadorEmTurno,
+    registrarTurno,
+    encerrarTurnosVencidos,
+    obterInicioDiaTurno,
+    obterInicioDiaTurnoDaData,
+    obterDiaTurno
+} from './lib/turnos.js'
+import {
+    buscarPedidosEntregues,
+    calcularAcertoEntregadores,
+    gerarCsvAcerto,
+    acertoJaEnviado,
+    registrarAcertoEnviado
+} from './lib/acertoEntregadores.js'
+import { exigirEscopo, obterOpcoesCors, obterResumoAutenticacao } from './lib/autenticacaoApi.js'
+import {
+    configurarFilaMensagens,
+    carregarFilaPendente,
+    enfileirarMensagem,
+    processarFila,
+    iniciarFila,
+    pararFila,
+    obterResumoFila
+} from './lib/filaMensagens.js'
+import {
+    carregarRegistroNotificacoes,
+    registroPossuiEntradas,
+    notificacaoRegistrada,
+    reservarNotificacao,
+    listarPedidosComNotificacao,
+    limparRegistroAntigo
+} from './lib/registroNotificacoes.js'
 
 // Configurações
 const PORTA = process.env.PORT || 3016
+const HOST = process.env.HOST || undefined
 const USAR_SUPABASE_AUTH = process.env.USE_SUPABASE_AUTH === 'true'
+const DIRETORIO_AUTH = process.env.AUTH_DIR || './auth_info'
 const NUMERO_LOJA = process.env.NUMERO_LOJA || ''
+const ENVIAR_QRCODE_PIX = process.env.PIX_ENVIAR_QRCODE === 'true'
+
+// Loja atendida quando o bot roda dentro do processo de várias lojas (src/lojas.js)
+const LOJA_ID = process.env.LOJA_ID || null
 
 // Logger otimizado para produção
 const logger = pino({
-    level: process.env.LOG_LEVEL || 'info'
+    level: process.env.LOG_LEVEL || 'info',
+    ...(LOJA_ID ? { base: { loja: LOJA_ID } } : {})
 })
 
 // Estado global do socket
@@ -61,10 +171,6 @@ let tentativasReconexao = 0
 const MAX_TENTATIVAS_RECONEXAO = 5
 const DELAY_BASE_RECONEXAO_MS = 3000
 
-// Controle de confirmações de pedido já enviadas (evita duplicação)
-const confirmacoesEnviadasCliente = new Set()
-const MAX_CONFIRMACOES_CACHE = 200
-
 // Caminho do arquivo de lock para singleton
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -100,13 +206,19 @@ function pedidoPagoComPix(pedido) {
  */
 async function atualizarCacheEntregadores() {
     try {
+        // Reset diário: check-ins de dias anteriores deixam de valer
+        const turnosEncerrados = await encerrarTurnosVencidos()
+        if (turnosEncerrados > 0) {
+            logger.info(`[TURNO] ${turnosEncerrados} entregador(es) retirado(s) do turno (virada do dia)`)
+        }
+
         cacheEntregadores = await buscarEntregadoresAtivos()
         ultimaAtualizacaoCache = Date.now()
         logger.info(`[CACHE] ${cacheEntregadores.length} entregador(es) ativo(s) carregado(s)`)
 
         if (cacheEntregadores.length > 0) {
             cacheEntregadores.forEach(e => {
-                logger.info(`[CACHE] Entregador: ${e.nome} - Tel: ${e.telefone}`)
+                logger.info(`[CACHE] Entregador: ${e.nome} - Tel: ${e.telefone}${entregadorEmTurno(e) ? ' (em turno)' : ''}`)
             })
         }
     } catch (erro) {
@@ -135,8 +247,9 @@ function formatarNumeroWhatsApp(telefone) {
     // Remove tudo que não for número
     let numero = telefone.replace(/\D/g, '')
 
-    // Se não começar com 55 (Brasil), adiciona
-    if (!numero.startsWith('55')) {
+    // Sem o 55 (Brasil), adiciona. DDD + número tem 10 ou 11 dígitos: um número nesse
+    // tamanho que começa com 55 é do DDD 55 (RS), não tem o código do país
+    if (!numero.startsWith('55') || numero.length <= 11) {
         numero = '55' + numero
     }
 
@@ -157,306 +270,1355 @@ function formatarNumeroWhatsApp(telefone) {
 }
 
 /**
- * Envia mensagem de texto
+ * Normaliza o destinatário para o JID usado no envio
+ * O mesmo número em formatos diferentes (com/sem 55, 9º dígito, JID) vira o mesmo destinatário,
+ * que é a chave de ordenação da fila. JIDs que não são de telefone (ex: @lid, @g.us) seguem como vieram
+ */
+function normalizarDestinatario(destinatario) {
+    if (!destinatario.includes('@')) return formatarNumeroWhatsApp(destinatario)
+
+    const [usuario, dominio] = destinatario.split('@')
+    return dominio === 's.whatsapp.net'
+        ? formatarNumeroWhatsApp(usuario.split(':')[0])
+        : destinatario
+}
+
+/**
+ * Entrega mensagem pelo socket (usado pela fila de saída)
+ * Aceita telefone ou JID completo (ex: respostas para o remetente original)
+ * Registros com media_type 'qrcode' são enviados como imagem do QR code do texto
+ * Lança erro em caso de falha para que a fila agende nova tentativa
  */
-async function enviarMensagem(telefone, mensagem) {
+async function entregarMensagem(destinatario, mensagem, registro = {}) {
     if (!sock || statusConexao !== 'conectado') {
-        logger.warn('[BOT] Socket não conectado, mensagem não enviada')
-        return false
+        throw new Error('Socket não conectado')
     }
 
-    const jid = formatarNumeroWhatsApp(telefone)
+    const jid = destinatario.includes('@') ? destinatario : formatarNumeroWhatsApp(destinatario)
     if (!jid) {
-        logger.warn('[BOT] Número de telefone inválido:', telefone)
-        return false
+        throw new Error(`Número de telefone inválido: ${destinatario}`)
     }
 
-    try {
-        // Efeito "digitando..." antes de enviar a mensagem
-        await sock.sendPresenceUpdate('composing', jid)
-        const delayDigitando = Math.min(Math.max(mensagem.length * 15, 1000), 3000)
-        await new Promise(resolve => setTimeout(resolve, delayDigitando))
+    // Efeito "digitando..." antes de enviar a mensagem
+    await sock.sendPresenceUpdate('composing', jid)
+    const delayDigitando = Math.min(Math.max(mensagem.length * 15, 1000), 3000)
+    await new Promise(resolve => setTimeout(resolve, delayDigitando))
+
+    logger.info(`[BOT] Enviando para JID: ${jid}`)
 
-        logger.info(`[BOT] Enviando para JID: ${jid}`)
+    if (registro.media_type === 'qrcode') {
+        const imagemQrCode = await QRCode.toBuffer(mensagem, { type: 'png', width: 512, margin: 2 })
+        await sock.sendMessage(jid, { image: imagemQrCode, caption: registro.media_caption || undefined })
+    } else {
         await sock.sendMessage(jid, { text: mensagem })
+    }
+
+    // Pausa o indicador de digitação após enviar
+    await sock.sendPresenceUpdate('paused', jid)
+
+    estatisticas.mensagensEnviadas++
+    logger.info(`[BOT] ✅ Mensagem enviada para ${jid}`)
+}
+
+/**
+ * Envia mensagem de texto pela fila persistente
+ * A mensagem é gravada antes do envio e reenviada após reconexões/falhas
+ * @returns {Promise<boolean>} true quando a mensagem foi enfileirada
+ */
+async function enviarMensagem(telefone, mensagem, { pedidoId = null, tipo = 'manual', midia = null } = {}) {
+    if (!telefone || !mensagem) {
+        logger.warn('[BOT] Destinatário ou mensagem vazios, mensagem não enfileirada')
+        return false
+    }
 
-        // Pausa o indicador de digitação após enviar
-        await sock.sendPresenceUpdate('paused', jid)
+    const destinatario = normalizarDestinatario(telefone)
+    if (!destinatario) {
+        logger.warn('[BOT] Número de telefone inválido:', telefone)
+        return false
+    }
 
-        estatisticas.mensagensEnviadas++
-        logger.info(`[BOT] ✅ Mensagem enviada para ${jid}`)
+    try {
+        await enfileirarMensagem({ destinatario, corpo: mensagem, pedidoId, tipo, midia })
         return true
     } catch (erro) {
-        logger.error(`[BOT] ❌ Erro ao enviar para ${jid}:`, erro.message)
+        logger.error(`[BOT] ❌ Erro ao enfileirar mensagem para ${telefone}:`, erro.message)
         return false
     }
 }
 
+configurarFilaMensagens({
+    enviar: entregarMensagem,
+    podeEnviar: () => !!sock && statusConexao === 'conectado'
+})
+
 /**
  * Processa novo pedido e envia notificações
  * - Envia para o CLIENTE (se tiver telefone)
  * - Envia para a loja
  * - Se for delivery, envia para todos os entregadores ativos do Supabase
+ *
+ * Cada notificação é reservada no registro persistente antes do envio,
+ * então um pedido reprocessado (restart, canal + polling) não gera duplicatas.
  */
 async function processarNovoPedido(pedido) {
     const telefoneCLiente = pedido.customer_phone || pedido.telefone
     const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
 
-    // Guarda contra confirmação duplicada — impede reenviar confirmação do mesmo pedido
-    if (confirmacoesEnviadasCliente.has(pedido.id)) {
+    // Aplica templates editados no painel (cache de 1 minuto)
+    await carregarTemplatesMensagens()
+
+    // Mesmo tempo estimado para cliente e loja (carga atual da cozinha + modo pico)
+    const tempoEstimado = await obterTempoEstimadoPedido(pedido)
+    logger.info(`[BOT] Pedido #${numeroPedido}: tempo estimado ${tempoEstimado.texto} (${tempoEstimado.pedidosEmAberto} em aberto, pico +${tempoEstimado.modoPico} min)`)
+
+    // 1. Envia confirmação para o CLIENTE (prioridade)
+    if (telefoneCLiente && await reservarNotificacao(pedido, 'cliente')) {
+        const mensagemCliente = gerarMensagemCliente(pedido, { tempoEstimado: tempoEstimado.texto })
+        const enviadoCliente = await enviarMensagem(telefoneCLiente, mensagemCliente, { pedidoId: pedido.id, tipo: 'cliente_confirmacao' })
+
+        if (enviadoCliente) {
+            logger.info(`[BOT] ✅ Confirmação enfileirada para o cliente ${telefoneCLiente} - Pedido #${numeroPedido}`)
+        }
+    } else if (telefoneCLiente) {
         logger.warn(`[BOT] ⚠️ Confirmação já enviada para pedido #${numeroPedido} (${pedido.id}), ignorando duplicata`)
+    }
+
+    // 2. Envia dados do PIX para o CLIENTE
+    if (telefoneCLiente && pedidoPagoComPix(pedido) && await reservarNotificacao(pedido, 'pix')) {
+        const chavePix = await selecionarChavePixInteligente(telefoneCLiente)
+
+        if (!chavePix) {
+            logger.error(`[BOT] ❌ Nenhuma chave PIX ativa para o pedido #${numeroPedido}`)
+
+            if (NUMERO_LOJA) {
+                await enviarMensagem(
+                    NUMERO_LOJA,
+                    `⚠️ *Pedido #${numeroPedido}* é PIX, mas não há chave PIX ativa cadastrada. Envie a chave ao cliente manualmente.`,
+                    { pedidoId: pedido.id, tipo: 'loja_alerta_pix' }
+                )
+            }
+        } else {
+            // Payload "copia e cola" já leva o valor exato do pedido
+            const payloadPix = gerarPayloadPixPedido(chavePix, pedido)
+
+            const mensagemPix = `💳 *PIX do Pedido #${numeroPedido}*\n\n` +
+                `*Valor:* ${formatarMoeda(pedido.total)}\n` +
+                `*Titular:* ${chavePix.titular}\n` +
+                `*Chave (${chavePix.tipo}):* ${chavePix.chave}\n\n` +
+                'O código *PIX copia e cola* vai na próxima mensagem, já com o valor do pedido. ' +
+                'Copie e cole no app do seu banco em *Pix Copia e Cola*.'
+
+            const enviadoPixInfo = await enviarMensagem(telefoneCLiente, mensagemPix, { pedidoId: pedido.id, tipo: 'cliente_pix' })
+            const enviadoPixChave = await enviarMensagem(telefoneCLiente, payloadPix, { pedidoId: pedido.id, tipo: 'cliente_pix' })
+
+            if (ENVIAR_QRCODE_PIX) {
+                await enviarMensagem(telefoneCLiente, payloadPix, {
+                    pedidoId: pedido.id,
+                    tipo: 'cliente_pix_qrcode',
+                    midia: { tipo: 'qrcode', legenda: `QR Code PIX do Pedido #${numeroPedido} - ${formatarMoeda(pedido.total)}` }
+                })
+            }
+
+            if (enviadoPixInfo && enviadoPixChave) {
+                logger.info(`[BOT] ✅ Chave PIX enfileirada para ${telefoneCLiente} - Pedido #${numeroPedido}`)
+            } else {
+                logger.warn(`[BOT] ⚠️ Falha ao enfileirar chave PIX para ${telefoneCLiente} - Pedido #${numeroPedido}`)
+            }
+        }
+    }
+
+    // 3. Envia notificação para a loja
+    if (NUMERO_LOJA && await reservarNotificacao(pedido, 'loja')) {
+        const mensagemLoja = gerarMensagemPedidoRecebido(pedido, { tempoEstimado: tempoEstimado.texto })
+        const enviadoLoja = await enviarMensagem(NUMERO_LOJA, mensagemLoja, { pedidoId: pedido.id, tipo: 'loja_pedido' })
+
+        if (enviadoLoja) {
+            estatisticas.pedidosNotificados++
+            logger.info(`[BOT] ✅ Notificação enfileirada para a loja - Pedido #${numeroPedido}`)
+        }
+    }
+
+    // 4. Se for delivery, envia para os entregadores do bairro (ou todos / rodízio)
+    if (pedidoEhDelivery(pedido)) {
+        await despacharEntrega(pedido)
+    }
+}
+
+// Ofertas do modo rodízio em andamento: pedidoId → timeout da oferta atual
+const ofertasRodizio = new Map()
+
+/**
+ * Envia o pedido de delivery para os entregadores
+ * - Modo 'todos': avisa de uma vez todos os entregadores selecionados
+ * - Modo 'rodizio': oferece a um entregador por vez, passando ao próximo após o prazo
+ */
+async function despacharEntrega(pedido) {
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+    const entregadoresAtivos = await obterEntregadores()
+
+    if (entregadoresAtivos.length === 0) {
+        logger.warn('[BOT] ⚠️ Nenhum entregador ativo cadastrado no sistema')
         return
     }
 
-    // Marca como enviado ANTES de enviar (previne race conditions)
-    confirmacoesEnviadasCliente.add(pedido.id)
+    const { entregadores, criterio, bairro, semTurno } = selecionarEntregadoresParaPedido(pedido, entregadoresAtivos)
+    const entregadoresComTelefone = entregadores.filter(entregador => entregador.telefone)
 
-    // Limpa cache se exceder limite (mantém apenas os mais recentes)
-    if (confirmacoesEnviadasCliente.size > MAX_CONFIRMACOES_CACHE) {
-        const idsArray = Array.from(confirmacoesEnviadasCliente)
-        const idsParaRemover = idsArray.slice(0, idsArray.length - MAX_CONFIRMACOES_CACHE)
-        idsParaRemover.forEach(id => confirmacoesEnviadasCliente.delete(id))
+    // Ninguém em turno: o pedido segue para todos os entregadores ativos e a loja é alertada
+    if (semTurno) {
+        logger.warn(`[DESPACHO] ⚠️ Pedido #${numeroPedido}: nenhum entregador em turno, avisando os entregadores ativos`)
+
+        if (NUMERO_LOJA && await reservarNotificacao(pedido, 'despacho_sem_entregador')) {
+            await enviarMensagem(
+                NUMERO_LOJA,
+                `⚠️ *Pedido #${numeroPedido}* é delivery e não há entregador em turno. O pedido foi enviado aos entregadores ativos; confirme quem vai levar.`,
+                { pedidoId: pedido.id, tipo: 'loja_alerta_despacho' }
+            )
+        }
     }
 
-    // 1. Envia confirmação para o CLIENTE (prioridade)
-    if (telefoneCLiente) {
-        const mensagemCliente = gerarMensagemCliente(pedido)
-        const enviadoCliente = await enviarMensagem(telefoneCLiente, mensagemCliente)
+    logger.info(`[DESPACHO] Pedido #${numeroPedido} (${bairro || 'bairro não informado'}): ${entregadoresComTelefone.length} entregador(es) por ${criterio === 'bairro' ? 'bairro' : 'falta de correspondência no bairro'}`)
 
-        if (enviadoCliente) {
-            logger.info(`[BOT] ✅ Confirmação enviada para o cliente ${telefoneCLiente} - Pedido #${numeroPedido}`)
+    if (MODO_DESPACHO === 'rodizio') {
+        await oferecerEntregaRodizio(pedido, ordenarParaRodizio(entregadoresComTelefone), 0)
+        return
+    }
 
-            if (pedidoPagoComPix(pedido)) {
-                const chavePix = selecionarChavePixInteligente(telefoneCLiente)
+    const mensagemEntregador = gerarMensagemEntregador(pedido)
 
-                const mensagemPix = `💳 *PIX do Pedido #${numeroPedido}*\n\n` +
-                    `*Tipo:* ${chavePix.tipo}\n` +
-                    `*Titular:* ${chavePix.titular}\n\n` +
-                    'A chave vai na próxima mensagem para você copiar.'
+    for (const entregador of entregadoresComTelefone) {
+        if (await reservarNotificacao(pedido, `entregador:${entregador.id}`)) {
+            const enviado = await enviarMensagem(entregador.telefone, mensagemEntregador, { pedidoId: pedido.id, tipo: 'entregador_pedido' })
 
-                const enviadoPixInfo = await enviarMensagem(telefoneCLiente, mensagemPix)
-                const enviadoPixChave = await enviarMensagem(telefoneCLiente, chavePix.chave)
+            if (enviado) {
+                logger.info(`[BOT] ✅ Notificação de delivery enfileirada para ${entregador.nome} (${entregador.telefone}) - Pedido #${numeroPedido}`)
+            }
+        }
+    }
+}
 
-                if (enviadoPixInfo && enviadoPixChave) {
-                    logger.info(`[BOT] ✅ Chave PIX enviada para ${telefoneCLiente} - Pedido #${numeroPedido}`)
-                } else {
-                    logger.warn(`[BOT] ⚠️ Falha ao enviar chave PIX para ${telefoneCLiente} - Pedido #${numeroPedido}`)
-                }
+/**
+ * Oferece a entrega ao entregador da vez e agenda a passagem para o próximo
+ * A oferta termina quando alguém assume o pedido ('pego') ou o pedido é encerrado
+ */
+async function oferecerEntregaRodizio(pedido, fila, indice) {
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+    ofertasRodizio.delete(pedido.id)
+
+    // Pula quem já recebeu a oferta deste pedido (ex: reprocessamento)
+    while (indice < fila.length && await notificacaoRegistrada(pedido, `entregador:${fila[indice].id}`)) {
+        indice++
+    }
+
+    if (indice >= fila.length) {
+        logger.warn(`[DESPACHO] ⚠️ Nenhum entregador aceitou o pedido #${numeroPedido}`)
+
+        if (NUMERO_LOJA && await reservarNotificacao(pedido, 'despacho_sem_entregador')) {
+            await enviarMensagem(
+                NUMERO_LOJA,
+                `⚠️ *Pedido #${numeroPedido}* foi oferecido a ${fila.length} entregador(es) e ninguém aceitou. Defina o entregador manualmente.`,
+                { pedidoId: pedido.id, tipo: 'loja_alerta_despacho' }
+            )
+        }
+        return
+    }
+
+    const entregador = fila[indice]
+    await reservarNotificacao(pedido, `entregador:${entregador.id}`)
+    await enviarMensagem(
+        entregador.telefone,
+        gerarMensagemOfertaEntrega(pedido, Math.round(TEMPO_OFERTA_MS / 60000)),
+        { pedidoId: pedido.id, tipo: 'entregador_oferta' }
+    )
+    logger.info(`[DESPACHO] Pedido #${numeroPedido} oferecido a ${entregador.nome} (${indice + 1}/${fila.length})`)
+
+    const temporizador = setTimeout(async () => {
+        try {
+            const { data: pedidoAtual, error } = await supabase
+                .from('orders')
+                .select('*')
+                .eq('id', pedido.id)
+                .single()
+
+            if (error) {
+                logger.error(`[DESPACHO] Erro ao consultar pedido #${numeroPedido}:`, error.message)
+            }
+
+            if (pedidoAtual?.entregador_id || STATUS_FINAIS.includes(pedidoAtual?.status)) {
+                ofertasRodizio.delete(pedido.id)
+                return
             }
+
+            logger.info(`[DESPACHO] ${entregador.nome} não respondeu o pedido #${numeroPedido}, oferecendo ao próximo`)
+            await oferecerEntregaRodizio(pedidoAtual || pedido, fila, indice + 1)
+        } catch (erro) {
+            logger.error(`[DESPACHO] Erro no rodízio do pedido #${numeroPedido}:`, erro.message)
+        }
+    }, TEMPO_OFERTA_MS)
+
+    ofertasRodizio.set(pedido.id, temporizador)
+}
+
+/**
+ * Encerra a oferta em rodízio do pedido (pedido assumido)
+ */
+function encerrarOfertaRodizio(pedidoId) {
+    const temporizador = ofertasRodizio.get(pedidoId)
+    if (!temporizador) return
+
+    clearTimeout(temporizador)
+    ofertasRodizio.delete(pedidoId)
+}
+
+/**
+ * Status que geram notificação de atualização para cliente e loja
+ */
+const STATUS_NOTIFICAVEIS = [
+    'confirmed', 'confirmado',
+    'preparing', 'preparando',
+    'ready', 'pronto',
+    'out_for_delivery', 'saiu_entrega',
+    'delivered', 'entregue',
+    'completed', 'finalizado'
+]
+
+/**
+ * Processa atualização de status do pedido
+ * Notifica a loja e o cliente a cada transição configurada em STATUS_NOTIFICAVEIS
+ */
+async function processarAtualizacaoStatus(pedido, statusAnterior) {
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+
+    if (!pedido.status || pedido.status === statusAnterior) {
+        return
+    }
+
+    // Pedido retido com a loja fechada que a loja já movimentou (ex: confirmou): segue o fluxo normal
+    if (statusAnterior !== undefined && await notificacaoRegistrada(pedido, 'loja_fechada')) {
+        await liberarPedidoRetido(pedido)
+    }
+
+    if (!STATUS_NOTIFICAVEIS.includes(pedido.status)) {
+        logger.info(`[STATUS] Pedido #${numeroPedido}: ${statusAnterior} → ${pedido.status} (sem notificação)`)
+        return
+    }
+
+    // Cada status é notificado uma única vez por pedido (registro persistente)
+    if (!(await reservarNotificacao(pedido, `status:${pedido.status}`))) {
+        if (await notificacaoRegistrada(pedido, `status:${pedido.status}`)) {
+            logger.info(`[STATUS] Pedido #${numeroPedido}: status ${pedido.status} já notificado, ignorando`)
+            return
+        }
+
+        // Falha ao gravar o registro: volta o status conhecido para o polling tentar de novo
+        logger.warn(`[STATUS] Pedido #${numeroPedido}: falha ao registrar status ${pedido.status}, nova tentativa no próximo polling`)
+        if (statusAnterior === undefined) {
+            statusConhecidoPorPedido.delete(pedido.id)
+        } else {
+            statusConhecidoPorPedido.set(pedido.id, statusAnterior)
         }
+        return
     }
 
-    // 2. Envia notificação para a loja
+    await carregarTemplatesMensagens()
+
+    logger.info(`[STATUS] Pedido #${numeroPedido}: ${statusAnterior || 'desconhecido'} → ${pedido.status}`)
+
+    const mensagem = gerarMensagemStatusAtualizado(pedido, pedido.status)
+
+    // Envia atualização para a loja
     if (NUMERO_LOJA) {
-        const mensagemLoja = gerarMensagemPedidoRecebido(pedido)
-        const enviadoLoja = await enviarMensagem(NUMERO_LOJA, mensagemLoja)
+        await enviarMensagem(NUMERO_LOJA, mensagem, { pedidoId: pedido.id, tipo: 'status_loja' })
+    }
 
-        if (enviadoLoja) {
-            estatisticas.pedidosNotificados++
-            logger.info(`[BOT] ✅ Notificação enviada para a loja - Pedido #${numeroPedido}`)
+    // Notifica o cliente em toda transição configurada
+    const telefoneCliente = pedido.customer_phone || pedido.telefone
+    if (telefoneCliente) {
+        const enviado = await enviarMensagem(telefoneCliente, mensagem, { pedidoId: pedido.id, tipo: 'status_cliente' })
+
+        if (enviado) {
+            logger.info(`[STATUS] ✅ Atualização enfileirada para o cliente ${telefoneCliente} - Pedido #${numeroPedido} (${pedido.status})`)
+        }
+    }
+}
+
+// Controle de monitoramento (Realtime + polling de recuperação)
+let ultimoPedidoProcessado = null
+let intervaloPolling = null
+let assinaturaRealtime = null
+let statusCanalRealtime = 'desconectado'
+let recuperacaoEmAndamento = false
+const INTERVALO_POLLING_MS = 10000 // 10 segundos
+const LIMITE_PEDIDOS_POR_BUSCA = 10
+
+// Controle de status da loja (sincronizado com admin)
+let lojaFechadaPeloAdmin = false
+
+// Último status conhecido de cada pedido (detecta transições de status)
+const statusConhecidoPorPedido = new Map()
+
+// Janela usada para retomar pedidos e status após o bot ficar fora do ar
+const JANELA_RETOMADA_MS = 12 * 60 * 60 * 1000 // 12 horas
+
+// Pedidos nesses status não recebem confirmação ao serem retomados
+const STATUS_FINAIS = [
+    'delivered', 'entregue',
+    'completed', 'finalizado',
+    'cancelled', 'cancelado'
+]
+
+// Cobrança de PIX pendente (lembrete ao cliente e alerta de pedido não pago para a loja)
+let intervaloCobrancaPix = null
+let cobrancaPixEmAndamento = false
+const INTERVALO_COBRANCA_PIX_MS = 60 * 1000 // 1 minuto
+const MINUTOS_LEMBRETE_PIX = Number(process.env.PIX_LEMBRETE_MINUTOS) || 15
+const MINUTOS_EXPIRACAO_PIX = Number(process.env.PIX_EXPIRACAO_MINUTOS) || 45
+
+// Conversas de pedido pelo WhatsApp: verificação das sessões sem resposta
+let intervaloSessoesPedido = null
+const INTERVALO_SESSOES_PEDIDO_MS = 60 * 1000 // 1 minuto
+
+// Valores de orders.payment_status enquanto o pagamento não foi confirmado
+const STATUS_PAGAMENTO_PENDENTE = ['', 'pending', 'pendente', 'unpaid', 'aguardando', 'awaiting_payment']
+
+/**
+ * Configura o monitoramento de pedidos do Supabase
+ * Usa tabela 'orders' do Rei do Churrasco
+ * - Eventos chegam pelo canal Realtime (orders e store_settings)
+ * - Polling só roda como recuperação enquanto o canal estiver fora do ar
+ */
+async function configurarMonitoramentoPedidos() {
+    // IMPORTANTE: Remove canal e polling anteriores para evitar processamento duplicado
+    pararPollingRecuperacao()
+
+    if (assinaturaRealtime) {
+        await assinaturaRealtime.cancelar()
+        assinaturaRealtime = null
+        logger.info('[REALTIME] Canal anterior removido')
+    }
+
+    logger.info('[BOT] Configurando monitoramento de pedidos...')
+
+    // Carrega entregadores ativos e templates de mensagens
+    await atualizarCacheEntregadores()
+    await carregarTemplatesMensagens(true)
+
+    const inicioJanelaRetomada = new Date(Date.now() - JANELA_RETOMADA_MS).toISOString()
+    const primeiraExecucao = !(await registroPossuiEntradas())
+    await carregarRegistroNotificacoes(inicioJanelaRetomada)
+
+    if (primeiraExecucao) {
+        // Registro vazio: começa do último pedido para não notificar pedidos antigos
+        const { data: ultimoPedido } = await supabase
+            .from('orders')
+            .select('id, created_at')
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .single()
+
+        if (ultimoPedido) {
+            ultimoPedidoProcessado = ultimoPedido.created_at
+            logger.info(`[BOT] Último pedido: ${ultimoPedido.id} (${ultimoPedidoProcessado})`)
+        } else {
+            ultimoPedidoProcessado = new Date().toISOString()
+        }
+    } else {
+        // Retoma a janela recente: o registro filtra o que já foi notificado
+        ultimoPedidoProcessado = inicioJanelaRetomada
+        logger.info(`[BOT] Retomando pedidos desde ${inicioJanelaRetomada}`)
+    }
+
+    // Carrega o status atual dos pedidos recentes como referência para as transições
+    statusConhecidoPorPedido.clear()
+    await verificarAtualizacoesStatus()
+
+    await verificarStatusLoja()
+
+    // Após restart com a loja aberta, reporta pedidos recebidos enquanto estava fechada
+    if (!lojaFechadaPeloAdmin) {
+        await enviarRelatorioReabertura()
+    }
+
+    assinaturaRealtime = assinarPedidosRealtime({
+        cliente: supabase,
+        aoInserirPedido: tratarPedidoNovo,
+        aoAtualizarPedido: tratarPedidoAtualizado,
+        aoAlterarConfiguracao: tratarConfiguracaoAlterada,
+        aoMudarStatusCanal: tratarStatusCanalRealtime
+    })
+
+    iniciarCobrancaPix()
+}
+
+/**
+ * Reage às mudanças de estado do canal Realtime
+ * Canal fora do ar → liga o polling de recuperação
+ * Canal (re)conectado → desliga o polling e busca o que chegou durante a queda
+ */
+async function tratarStatusCanalRealtime(status, erro) {
+    statusCanalRealtime = status
+
+    if (status === 'SUBSCRIBED') {
+        logger.info('[REALTIME] ✅ Canal de pedidos conectado')
+        pararPollingRecuperacao()
+        await recuperarEventosPerdidos()
+        return
+    }
+
+    logger.warn(`[REALTIME] ⚠️ Canal de pedidos ${status}${erro ? `: ${erro.message}` : ''}`)
+    iniciarPollingRecuperacao()
+}
+
+/**
+ * Inicia polling de recuperação (somente enquanto o canal Realtime estiver fora)
+ */
+function iniciarPollingRecuperacao() {
+    if (intervaloPolling) return
+
+    intervaloPolling = setInterval(recuperarEventosPerdidos, INTERVALO_POLLING_MS)
+    logger.info('[POLLING] Polling de recuperação ativo (10s)')
+}
+
+/**
+ * Para o polling de recuperação
+ */
+function pararPollingRecuperacao() {
+    if (!intervaloPolling) return
+
+    clearInterval(intervaloPolling)
+    intervaloPolling = null
+    logger.info('[POLLING] Polling de recuperação parado')
+}
+
+/**
+ * Busca pedidos, transições de status e status da loja que não chegaram pelo canal
+ */
+async function recuperarEventosPerdidos() {
+    // Evita execuções sobrepostas quando uma recuperação demora mais que o intervalo
+    if (recuperacaoEmAndamento) return
+    recuperacaoEmAndamento = true
+
+    try {
+        await verificarStatusLoja()
+
+        // Repete enquanto a busca vier cheia (pode haver mais pedidos acumulados)
+        while ((await verificarNovosPedidos()) === LIMITE_PEDIDOS_POR_BUSCA) {
+            logger.info('[POLLING] Buscando próximo lote de pedidos...')
+        }
+
+        await verificarAtualizacoesStatus()
+    } finally {
+        recuperacaoEmAndamento = false
+    }
+}
+
+/**
+ * Aplica o status manual da loja vindo do admin
+ * manual_status pode ser 'open' ou 'closed'
+ * Ao reabrir, envia para a loja o relatório dos pedidos recebidos enquanto estava fechada
+ * e libera esses pedidos para o fluxo normal
+ */
+async function aplicarStatusLoja(valorStatus) {
+    const novoStatus = valorStatus === 'closed'
+
+    if (novoStatus !== lojaFechadaPeloAdmin) {
+        lojaFechadaPeloAdmin = novoStatus
+        logger.info(`[LOJA] Status alterado: ${lojaFechadaPeloAdmin ? '🔴 FECHADA' : '🟢 ABERTA'}`)
+
+        if (!lojaFechadaPeloAdmin) {
+            await enviarRelatorioReabertura()
+        } else {
+            await enviarAcertoEntregadores()
+        }
+    }
+}
+
+// Destinatários que já receberam o acerto do dia: uma nova tentativa não repete quem já recebeu
+let acertoEnviadoPara = { dia: null, destinatarios: new Set() }
+
+/**
+ * Envia o acerto da noite para cada entregador e para a loja (ao fechar a loja)
+ * Enviado uma vez por dia de trabalho; sem entregas no dia, nada é enviado
+ * O dia só é registrado como enviado depois que todas as mensagens entram na fila
+ */
+async function enviarAcertoEntregadores() {
+    try {
+        const dia = obterDiaTurno()
+        if (await acertoJaEnviado(dia)) return
+
+        const inicio = obterInicioDiaTurno()
+        const fim = new Date()
+        const pedidos = await buscarPedidosEntregues(inicio, fim)
+
+        if (!pedidos || pedidos.length === 0) return
+
+        const acerto = calcularAcertoEntregadores(pedidos, inicio, fim)
+
+        if (acertoEnviadoPara.dia !== dia) {
+            acertoEnviadoPara = { dia, destinatarios: new Set() }
+        }
+
+        const enviarAcerto = async (destino, texto, tipo) => {
+            if (acertoEnviadoPara.destinatarios.has(destino)) return true
+
+            const enviado = await enviarMensagem(destino, texto, { tipo })
+            if (enviado) acertoEnviadoPara.destinatarios.add(destino)
+            return enviado
+        }
+
+        logger.info(`[ACERTO] Enviando acerto de ${acerto.entregadores.length} entregador(es) - ${acerto.totais.entregas} entrega(s)`)
+
+        let todosEnviados = true
+        const entregadores = await obterEntregadores()
+        for (const item of acerto.entregadores) {
+            const entregador = entregadores.find(e => e.id === item.entregadorId)
+
+            if (!entregador?.telefone) {
+                logger.warn(`[ACERTO] Entregador ${item.nome} sem telefone ativo, acerto enviado só para a loja`)
+                continue
+            }
+
+            todosEnviados = await enviarAcerto(entregador.telefone, gerarMensagemAcertoEntregador(item, dia), 'entregador_acerto') && todosEnviados
+        }
+
+        if (NUMERO_LOJA) {
+            todosEnviados = await enviarAcerto(NUMERO_LOJA, gerarRelatorioAcertoLoja(acerto, dia), 'loja_acerto') && todosEnviados
+        }
+
+        if (!todosEnviados) {
+            logger.warn(`[ACERTO] ⚠️ Parte do acerto de ${dia} não foi enfileirada, nova tentativa no próximo fechamento`)
+            return
         }
+
+        await registrarAcertoEnviado(dia)
+    } catch (erro) {
+        logger.error('[ACERTO] Erro ao enviar acerto dos entregadores:', erro.message)
+    }
+}
+
+/**
+ * Verifica se o admin fechou/abriu a loja no Supabase
+ * Usa store_settings com setting_key = 'manual_status'
+ */
+async function verificarStatusLoja() {
+    try {
+        const { data, error } = await supabase
+            .from('store_settings')
+            .select('setting_value')
+            .eq('setting_key', 'manual_status')
+            .single()
+
+        if (error) {
+            logger.error('[LOJA] Erro ao verificar status:', error.message)
+            return
+        }
+
+        await aplicarStatusLoja(data?.setting_value)
+    } catch (erro) {
+        logger.error('[LOJA] Erro ao verificar status:', erro.message)
+    }
+}
+
+/**
+ * Recebe alterações de store_settings pelo canal Realtime
+ */
+async function tratarConfiguracaoAlterada(registro) {
+    // Invalida o cache de configurações para aplicar a mudança imediatamente
+    await atualizarConfiguracoes()
+    await carregarTemplatesMensagens(true)
+
+    if (registro?.setting_key === 'manual_status') {
+        await aplicarStatusLoja(registro.setting_value)
+    }
+}
+
+/**
+ * Trata pedido que chegou com a loja fechada pelo admin
+ * Política configurável em store_settings (closed_order_policy):
+ * - 'notify' (padrão): alerta a loja e avisa o cliente que o pedido será analisado
+ * - 'hold': não envia mensagens até a reabertura
+ * - 'process': segue o fluxo normal de notificações
+ * Em 'notify' e 'hold' o pedido segue o fluxo normal na reabertura ou quando a loja
+ * muda o status dele (ex: confirma), ver liberarPedidoRetido
+ * @returns {Promise<boolean>} true se o pedido deve seguir o fluxo normal
+ */
+async function processarPedidoLojaFechada(pedido) {
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+    const config = await carregarConfiguracoesLoja()
+    const politica = config.closed_order_policy || 'notify'
+
+    if (politica === 'process') {
+        logger.info(`[LOJA] Pedido #${numeroPedido} recebido com a loja fechada, processando normalmente`)
+        return true
+    }
+
+    // Marca para o relatório de reabertura
+    await reservarNotificacao(pedido, 'loja_fechada')
+
+    if (politica === 'hold') {
+        logger.info(`[LOJA] Pedido #${numeroPedido} recebido com a loja fechada, aguardando reabertura`)
+        return false
+    }
+
+    logger.info(`[LOJA] Pedido #${numeroPedido} recebido com a loja fechada, avisando loja e cliente`)
+
+    const telefoneCliente = pedido.customer_phone || pedido.telefone
+    if (telefoneCliente && await reservarNotificacao(pedido, 'cliente_loja_fechada')) {
+        const mensagemCliente = gerarMensagemClienteLojaFechada(pedido, config.closed_order_message)
+        await enviarMensagem(telefoneCliente, mensagemCliente, { pedidoId: pedido.id, tipo: 'cliente_loja_fechada' })
+    }
+
+    if (NUMERO_LOJA && await reservarNotificacao(pedido, 'loja_alerta_fechada')) {
+        const tempoEstimado = await obterTempoEstimadoPedido(pedido)
+        const mensagemLoja = gerarMensagemPedidoLojaFechada(pedido, { tempoEstimado: tempoEstimado.texto })
+        await enviarMensagem(NUMERO_LOJA, mensagemLoja, { pedidoId: pedido.id, tipo: 'loja_pedido_fechada' })
+    }
+
+    return false
+}
+
+/**
+ * Envia pelo fluxo normal (confirmação, PIX, loja e entregadores) um pedido retido com a loja fechada
+ * Cada pedido é liberado uma única vez (registro 'liberado_reabertura')
+ */
+async function liberarPedidoRetido(pedido) {
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+
+    if (STATUS_FINAIS.includes(pedido.status)) return
+    if (!(await reservarNotificacao(pedido, 'liberado_reabertura'))) return
+
+    // O status atual já está coberto pela confirmação do pedido
+    await reservarNotificacao(pedido, `status:${pedido.status}`)
+
+    logger.info(`[LOJA] Pedido #${numeroPedido} recebido com a loja fechada, seguindo o fluxo normal`)
+    await processarNovoPedido(pedido)
+}
+
+/**
+ * Envia para a loja o relatório de pedidos recebidos enquanto ela estava fechada
+ * e libera esses pedidos para o fluxo normal de notificações
+ * Cada pedido aparece em um único relatório (registro 'relatorio_reabertura')
+ */
+async function enviarRelatorioReabertura() {
+    try {
+        const desde = new Date(Date.now() - JANELA_RETOMADA_MS).toISOString()
+        const idsPedidos = await listarPedidosComNotificacao('loja_fechada', desde)
+
+        if (idsPedidos.length === 0) return
+
+        const { data: pedidos, error } = await supabase
+            .from('orders')
+            .select('*')
+            .in('id', idsPedidos)
+            .order('created_at', { ascending: true })
+
+        if (error) {
+            logger.error('[LOJA] Erro ao buscar pedidos para relatório de reabertura:', error.message)
+            return
+        }
+
+        const pendentesRelatorio = []
+        for (const pedido of pedidos || []) {
+            if (await reservarNotificacao(pedido, 'relatorio_reabertura')) {
+                pendentesRelatorio.push(pedido)
+            }
+        }
+
+        if (pendentesRelatorio.length > 0) {
+            logger.info(`[LOJA] ${pendentesRelatorio.length} pedido(s) recebido(s) com a loja fechada`)
+        }
+
+        if (NUMERO_LOJA && pendentesRelatorio.length > 0) {
+            const relatorio = gerarRelatorioPedidosLojaFechada(pendentesRelatorio)
+            await enviarMensagem(NUMERO_LOJA, relatorio, { tipo: 'loja_relatorio_reabertura' })
+        }
+
+        for (const pedido of pedidos || []) {
+            await liberarPedidoRetido(pedido)
+        }
+    } catch (erro) {
+        logger.error('[LOJA] Erro ao enviar relatório de reabertura:', erro.message)
+    }
+}
+
+/**
+ * Processa um pedido novo (vindo do canal Realtime ou do polling)
+ * Ignora pedidos já registrados e aplica a política de loja fechada pelo admin
+ * @returns {Promise<boolean>} false se o registro do pedido falhou (o polling deve tentar de novo)
+ */
+async function tratarPedidoNovo(pedido) {
+    if (!pedido?.id) return true
+
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+    const nomeCliente = pedido.customer_name || 'Cliente'
+
+    // Registra o pedido antes de enviar (o canal e o polling podem entregar o mesmo pedido)
+    const reservado = await reservarNotificacao(pedido, 'recebido')
+
+    // Falha ao gravar o registro: o marcador não avança e o polling busca o pedido de novo
+    if (!reservado && !(await notificacaoRegistrada(pedido, 'recebido'))) {
+        logger.warn(`[PEDIDOS] Pedido #${numeroPedido}: falha ao registrar, nova tentativa no próximo polling`)
+        return false
+    }
+
+    // Avança o marcador usado pelo polling de recuperação
+    if (!ultimoPedidoProcessado || pedido.created_at > ultimoPedidoProcessado) {
+        ultimoPedidoProcessado = pedido.created_at
+    }
+
+    if (!reservado) {
+        logger.info(`[PEDIDOS] Pedido #${numeroPedido} já processado, ignorando`)
+        return true
+    }
+
+    // Registra o status inicial para detectar as próximas transições
+    statusConhecidoPorPedido.set(pedido.id, pedido.status)
+
+    // Pedido retomado após queda que já foi concluído: não faz sentido confirmar
+    if (STATUS_FINAIS.includes(pedido.status)) {
+        logger.info(`[PEDIDOS] Pedido #${numeroPedido} já está ${pedido.status}, sem notificações`)
+        return true
+    }
+
+    // Loja fechada pelo admin: aplica a política configurada
+    if (lojaFechadaPeloAdmin && !(await processarPedidoLojaFechada(pedido))) {
+        return true
+    }
+
+    // O status inicial já está coberto pela confirmação do pedido
+    await reservarNotificacao(pedido, `status:${pedido.status}`)
+
+    logger.info(`[PEDIDOS] Processando pedido #${numeroPedido} - ${nomeCliente}`)
+    await processarNovoPedido(pedido)
+    return true
+}
+
+/**
+ * Recebe atualização de pedido pelo canal Realtime
+ * O status anterior vem do acompanhamento local (o payload 'old' só traz
+ * todas as colunas quando a tabela usa REPLICA IDENTITY FULL)
+ */
+async function tratarPedidoAtualizado(pedido, pedidoAntigo) {
+    if (!pedido?.id) return
+
+    const statusAnterior = statusConhecidoPorPedido.has(pedido.id)
+        ? statusConhecidoPorPedido.get(pedido.id)
+        : pedidoAntigo?.status
+
+    statusConhecidoPorPedido.set(pedido.id, pedido.status)
+
+    if (statusAnterior === undefined || statusAnterior === pedido.status) {
+        return
+    }
+
+    await processarAtualizacaoStatus(pedido, statusAnterior)
+}
+
+/**
+ * Verifica se há novos pedidos no Supabase (recuperação após queda do canal)
+ * Usa tabela 'orders' com items como JSONB (orders.items)
+ * @returns {Promise<number>} Quantidade de pedidos retornados pela busca
+ */
+async function verificarNovosPedidos() {
+    try {
+        const { data: novosPedidos, error } = await supabase
+            .from('orders')
+            .select('*')
+            .gt('created_at', ultimoPedidoProcessado)
+            .order('created_at', { ascending: true })
+            .limit(LIMITE_PEDIDOS_POR_BUSCA)
+
+        if (error) {
+            logger.error('[POLLING] Erro ao buscar pedidos:', error.message)
+            return 0
+        }
+
+        if (novosPedidos && novosPedidos.length > 0) {
+            logger.info(`[POLLING] ${novosPedidos.length} novo(s) pedido(s) encontrado(s)`)
+
+            for (const pedido of novosPedidos) {
+                // Registro falhou: para o lote aqui para não avançar o marcador além desse pedido
+                if (!(await tratarPedidoNovo(pedido))) return 0
+            }
+        }
+
+        return novosPedidos?.length || 0
+    } catch (erro) {
+        logger.error('[POLLING] Erro:', erro.message)
+        return 0
+    }
+}
+
+/**
+ * Verifica mudanças de status nos pedidos recentes (recuperação após queda do canal)
+ * Compara o status atual de cada pedido com o último status conhecido
+ */
+async function verificarAtualizacoesStatus() {
+    try {
+        const desde = new Date(Date.now() - JANELA_RETOMADA_MS).toISOString()
+
+        const { data: pedidos, error } = await supabase
+            .from('orders')
+            .select('*')
+            .gte('created_at', desde)
+            .order('created_at', { ascending: true })
+
+        if (error) {
+            logger.error('[STATUS] Erro ao buscar pedidos:', error.message)
+            return
+        }
+
+        const idsNaJanela = new Set()
+
+        for (const pedido of pedidos || []) {
+            idsNaJanela.add(pedido.id)
+
+            const statusAnterior = statusConhecidoPorPedido.get(pedido.id)
+            statusConhecidoPorPedido.set(pedido.id, pedido.status)
+
+            if (statusAnterior === undefined) {
+                // Pedido ainda não acompanhado (ex: após restart): só notifica o status atual
+                // se o pedido já passou pelo bot; o registro impede repetir o que já foi enviado
+                if (await notificacaoRegistrada(pedido, 'recebido')) {
+                    await processarAtualizacaoStatus(pedido, statusAnterior)
+                }
+                continue
+            }
+
+            if (statusAnterior === pedido.status) {
+                continue
+            }
+
+            await processarAtualizacaoStatus(pedido, statusAnterior)
+        }
+
+        // Remove pedidos que saíram da janela de acompanhamento
+        for (const id of statusConhecidoPorPedido.keys()) {
+            if (!idsNaJanela.has(id)) {
+                statusConhecidoPorPedido.delete(id)
+            }
+        }
+        limparRegistroAntigo(idsNaJanela, desde)
+    } catch (erro) {
+        logger.error('[STATUS] Erro:', erro.message)
+    }
+}
+
+/**
+ * Inicia a verificação periódica de pedidos PIX sem pagamento
+ */
+function iniciarCobrancaPix() {
+    if (intervaloCobrancaPix) return
+
+    intervaloCobrancaPix = setInterval(verificarPagamentosPixPendentes, INTERVALO_COBRANCA_PIX_MS)
+    logger.info(`[PIX] Cobrança ativa (lembrete após ${MINUTOS_LEMBRETE_PIX} min, alerta após ${MINUTOS_EXPIRACAO_PIX} min)`)
+}
+
+/**
+ * Verifica se o pedido ainda aguarda o pagamento PIX
+ * Para de cobrar assim que payment_status muda, o pedido é encerrado ou o cliente envia o comprovante
+ */
+function pagamentoPixPendente(pedido) {
+    return pedidoPagoComPix(pedido) &&
+        !STATUS_FINAIS.includes(pedido.status) &&
+        !pedido.payment_receipt_path &&
+        STATUS_PAGAMENTO_PENDENTE.includes(normalizarTexto(pedido.payment_status))
+}
+
+/**
+ * Busca pedidos PIX ainda não pagos e envia lembrete ao cliente ou alerta à loja
+ * Lembrete e alerta são reservados no registro persistente (um de cada por pedido)
+ */
+async function verificarPagamentosPixPendentes() {
+    if (cobrancaPixEmAndamento) return
+    cobrancaPixEmAndamento = true
+
+    try {
+        const desde = new Date(Date.now() - JANELA_RETOMADA_MS).toISOString()
+        const limiteLembrete = new Date(Date.now() - MINUTOS_LEMBRETE_PIX * 60 * 1000).toISOString()
+
+        const { data: pedidos, error } = await supabase
+            .from('orders')
+            .select('*')
+            .gte('created_at', desde)
+            .lte('created_at', limiteLembrete)
+            .order('created_at', { ascending: true })
+
+        if (error) {
+            logger.error('[PIX] Erro ao buscar pedidos pendentes:', error.message)
+            return
+        }
+
+        for (const pedido of pedidos || []) {
+            if (!pagamentoPixPendente(pedido)) continue
+
+            // Só cobra pedidos que receberam o PIX pelo bot
+            if (!(await notificacaoRegistrada(pedido, 'pix'))) continue
+
+            const minutosAguardando = Math.floor((Date.now() - new Date(pedido.created_at).getTime()) / 60000)
+
+            if (minutosAguardando >= MINUTOS_EXPIRACAO_PIX) {
+                await alertarPixNaoPago(pedido, minutosAguardando)
+            } else {
+                await enviarLembretePix(pedido)
+            }
+        }
+    } catch (erro) {
+        logger.error('[PIX] Erro na cobrança:', erro.message)
+    } finally {
+        cobrancaPixEmAndamento = false
+    }
+}
+
+/**
+ * Reenvia ao cliente a mesma chave PIX do pedido com o código "copia e cola"
+ */
+async function enviarLembretePix(pedido) {
+    const telefoneCliente = pedido.customer_phone || pedido.telefone
+    if (!telefoneCliente || !(await reservarNotificacao(pedido, 'pix_lembrete'))) return
+
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+
+    // Mesma chave enviada no pedido; se ela foi desativada, seleciona outra
+    const chavePix = await obterChavePixEnviada(telefoneCliente) ||
+        await selecionarChavePixInteligente(telefoneCliente)
+
+    if (!chavePix) {
+        logger.error(`[PIX] ❌ Nenhuma chave PIX ativa para o lembrete do pedido #${numeroPedido}`)
+        return
+    }
+
+    await enviarMensagem(telefoneCliente, gerarMensagemLembretePix(pedido, chavePix), { pedidoId: pedido.id, tipo: 'cliente_pix_lembrete' })
+    await enviarMensagem(telefoneCliente, gerarPayloadPixPedido(chavePix, pedido), { pedidoId: pedido.id, tipo: 'cliente_pix_lembrete' })
+
+    logger.info(`[PIX] ⏰ Lembrete de pagamento enfileirado - Pedido #${numeroPedido}`)
+}
+
+/**
+ * Avisa a loja que o pedido PIX passou do prazo sem pagamento
+ */
+async function alertarPixNaoPago(pedido, minutosAguardando) {
+    if (!NUMERO_LOJA || !(await reservarNotificacao(pedido, 'pix_expirado'))) return
+
+    await enviarMensagem(NUMERO_LOJA, gerarMensagemPixNaoPago(pedido, minutosAguardando), { pedidoId: pedido.id, tipo: 'loja_pix_nao_pago' })
+
+    logger.warn(`[PIX] ⚠️ Pedido #${pedido.order_number || pedido.id?.slice(0, 8)} sem pagamento após ${minutosAguardando} min`)
+}
+
+/**
+ * Extrai a mídia de comprovante (imagem ou PDF) de uma mensagem recebida
+ * @returns {Object|null} { mimetype } ou null se a mensagem não tiver comprovante
+ */
+function extrairMidiaComprovante(mensagem) {
+    const conteudo = mensagem.message?.documentWithCaptionMessage?.message || mensagem.message
+    const midia = conteudo?.imageMessage || conteudo?.documentMessage
+
+    if (!midia || !mimetypeComprovanteAceito(midia.mimetype)) return null
+    return { mimetype: midia.mimetype }
+}
+
+/**
+ * Trata comprovante PIX enviado pelo cliente
+ * - Anexa o arquivo ao pedido PIX em aberto do remetente
+ * - Confirma o recebimento para o cliente
+ * - Avisa a loja para conferir o pagamento
+ * @returns {Promise<boolean>} true se a mensagem foi tratada como comprovante
+ */
+async function tratarComprovantePix(mensagem, numeroRemetente) {
+    const midia = extrairMidiaComprovante(mensagem)
+    if (!midia) return false
+
+    const pedido = await buscarPedidoPixEmAberto(numeroRemetente)
+    if (!pedido) return false
+
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+    logger.info(`[COMPROVANTE] Comprovante recebido de ${numeroRemetente} - Pedido #${numeroPedido}`)
+
+    let situacaoComprovante = 'erro'
+    try {
+        const conteudo = await downloadMediaMessage(mensagem, 'buffer', {}, {
+            logger,
+            reuploadRequest: sock.updateMediaMessage
+        })
+
+        const resultado = await salvarComprovantePix(pedido, {
+            conteudo,
+            mimetype: midia.mimetype,
+            identificador: mensagem.key.id
+        })
+        situacaoComprovante = resultado.situacao
+    } catch (erro) {
+        logger.error(`[COMPROVANTE] Erro ao baixar comprovante do pedido #${numeroPedido}:`, erro.message)
+    }
+
+    await enviarMensagem(mensagem.key.remoteJid, gerarMensagemComprovanteRecebido(pedido), {
+        pedidoId: pedido.id,
+        tipo: 'cliente_comprovante'
+    })
+
+    if (NUMERO_LOJA) {
+        await enviarMensagem(NUMERO_LOJA, gerarMensagemComprovanteLoja(pedido, situacaoComprovante), {
+            pedidoId: pedido.id,
+            tipo: 'loja_comprovante'
+        })
+    }
+
+    return true
+}
+
+/**
+ * Trata comandos enviados por entregadores ('pego', 'saí', 'entreguei', 'problema')
+ * Mensagens de quem não é entregador seguem para as respostas automáticas
+ * @returns {Promise<boolean>} true se a mensagem foi tratada como comando
+ */
+async function tratarComandoEntregador(textoMensagem, jidRemetente, numeroRemetente) {
+    const comando = interpretarComandoEntregador(textoMensagem)
+    if (!comando) return false
+
+    const entregador = await verificarEntregador(numeroRemetente)
+    if (!entregador) return false
+
+    logger.info(`[ENTREGAS] Comando '${comando.acao}' de ${entregador.nome}${comando.numeroPedido ? ` - Pedido #${comando.numeroPedido}` : ''}`)
+
+    const responder = (texto) => enviarMensagem(jidRemetente, texto, { tipo: 'entregador_comando' })
+
+    if (comando.acao === 'entrar_turno' || comando.acao === 'sair_turno') {
+        await alterarTurnoEntregador(entregador, comando.acao === 'entrar_turno', responder)
+        return true
+    }
+
+    const pedido = await buscarPedidoPorNumero(comando.numeroPedido)
+    if (!pedido) {
+        await responder(`❌ Pedido #${comando.numeroPedido} não encontrado. Confira o número e tente de novo.`)
+        return true
+    }
+
+    if (comando.acao === 'pegar') {
+        await assumirEntrega(pedido, entregador, responder)
+    } else if (comando.acao === 'problema') {
+        await reportarProblemaEntrega(pedido, entregador, comando.descricao, responder)
+    } else {
+        await avancarStatusEntrega(pedido, entregador, comando.acao, responder)
+    }
+
+    return true
+}
+
+/**
+ * Atualiza o status do pedido a partir do comando do entregador ('saí' ou 'entreguei')
+ * A notificação para cliente e loja passa pelo processarAtualizacaoStatus (sem duplicar com o Realtime)
+ */
+async function avancarStatusEntrega(pedido, entregador, acao, responder) {
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+    const { novoStatus, statusPermitidos } = TRANSICOES_ENTREGADOR[acao]
+
+    if (pedido.entregador_id !== entregador.id) {
+        await responder(pedido.entregador_id
+            ? `❌ Pedido #${numeroPedido} é de outro entregador (${pedido.entregador_nome || 'já atribuído'}).`
+            : `❌ Pedido #${numeroPedido} ainda não é seu. Responda *pego ${numeroPedido}* para assumir.`)
+        return
+    }
+
+    if (pedido.status === novoStatus) {
+        await responder(`👍 Pedido #${numeroPedido} já está como *${obterTextoStatus(novoStatus)}*.`)
+        return
     }
 
-    // 3. Se for delivery, envia notificação para TODOS os entregadores ativos
-    if (pedidoEhDelivery(pedido)) {
-        const entregadores = await obterEntregadores()
+    if (!statusPermitidos.includes(pedido.status)) {
+        await responder(`❌ Pedido #${numeroPedido} está como *${obterTextoStatus(pedido.status)}* e não pode ir para *${obterTextoStatus(novoStatus)}*. Fale com a loja.`)
+        return
+    }
 
-        if (entregadores.length === 0) {
-            logger.warn('[BOT] ⚠️ Nenhum entregador ativo cadastrado no sistema')
-            return
-        }
+    const pedidoAtualizado = await atualizarStatusEntrega(pedido, entregador, novoStatus, statusPermitidos)
 
-        const mensagemEntregador = gerarMensagemEntregador(pedido)
+    if (!pedidoAtualizado) {
+        await responder(`⚠️ Não foi possível atualizar o pedido #${numeroPedido}. O status pode ter mudado; confira com a loja.`)
+        return
+    }
 
-        for (const entregador of entregadores) {
-            if (entregador.telefone) {
-                const enviado = await enviarMensagem(entregador.telefone, mensagemEntregador)
+    logger.info(`[ENTREGAS] Pedido #${numeroPedido}: ${pedido.status} → ${novoStatus} por ${entregador.nome}`)
 
-                if (enviado) {
-                    logger.info(`[BOT] ✅ Notificação de delivery enviada para ${entregador.nome} (${entregador.telefone}) - Pedido #${numeroPedido}`)
-                }
+    statusConhecidoPorPedido.set(pedidoAtualizado.id, pedidoAtualizado.status)
+    await processarAtualizacaoStatus(pedidoAtualizado, pedido.status)
 
-                // Pequeno delay entre mensagens para evitar rate limit
-                await new Promise(resolve => setTimeout(resolve, 500))
-            }
-        }
-    }
+    await responder(novoStatus === 'delivered'
+        ? `✅ Pedido #${numeroPedido} marcado como *entregue*. Valeu! 🙌`
+        : `🛵 Pedido #${numeroPedido} marcado como *saiu para entrega*. O cliente foi avisado.`)
 }
 
 /**
- * Processa atualização de status do pedido
+ * Encaminha para a loja um problema informado pelo entregador responsável
  */
-async function processarAtualizacaoStatus(pedido, statusAnterior) {
-    const statusNotificar = [
-        'confirmed', 'confirmado',
-        'preparing', 'preparando',
-        'ready', 'pronto',
-        'out_for_delivery', 'saiu_entrega',
-        'delivered', 'entregue',
-        'completed', 'finalizado'
-    ]
-
-    if (!statusNotificar.includes(pedido.status)) {
+async function reportarProblemaEntrega(pedido, entregador, descricao, responder) {
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+
+    if (pedido.entregador_id !== entregador.id) {
+        await responder(`❌ Pedido #${numeroPedido} não é seu.`)
         return
     }
 
-    // Envia atualização para a loja
-    if (NUMERO_LOJA) {
-        const mensagem = gerarMensagemStatusAtualizado(pedido, pedido.status)
-        await enviarMensagem(NUMERO_LOJA, mensagem)
+    if (!descricao) {
+        await responder(`❌ Descreva o problema: *problema ${numeroPedido} cliente não atende*`)
+        return
     }
 
-    // Se o pedido estiver pronto, notifica o cliente
-    const telefoneCliente = pedido.customer_phone || pedido.telefone
-    if ((pedido.status === 'ready' || pedido.status === 'pronto') && telefoneCliente) {
-        const mensagemCliente = gerarMensagemStatusAtualizado(pedido, pedido.status)
-        await enviarMensagem(telefoneCliente, mensagemCliente)
+    if (!NUMERO_LOJA) {
+        logger.warn(`[ENTREGAS] Problema no pedido #${numeroPedido} sem NUMERO_LOJA configurado: ${descricao}`)
+        await responder('⚠️ Não foi possível avisar a loja. Ligue para a loja.')
+        return
     }
-}
-
-// Controle de polling
-let ultimoPedidoProcessado = null
-let intervaloPolling = null
-const INTERVALO_POLLING_MS = 10000 // 10 segundos
 
-// Controle de status da loja (sincronizado com admin)
-let lojaFechadaPeloAdmin = false
-let intervaloVerificacaoLoja = null
-const INTERVALO_VERIFICACAO_LOJA_MS = 30000 // 30 segundos
+    logger.warn(`[ENTREGAS] ⚠️ Problema no pedido #${numeroPedido} (${entregador.nome}): ${descricao}`)
+    await enviarMensagem(NUMERO_LOJA, gerarMensagemProblemaEntrega(pedido, entregador.nome, descricao), {
+        pedidoId: pedido.id,
+        tipo: 'loja_problema_entrega'
+    })
 
-// Controle de pedidos já processados para evitar duplicação
-const pedidosProcessados = new Set()
-const MAX_PEDIDOS_CACHE = 100 // Limita tamanho do cache
+    await responder(`📨 Problema do pedido #${numeroPedido} enviado para a loja. Aguarde o retorno.`)
+}
 
 /**
- * Configura polling para buscar novos pedidos via Supabase
- * Usa tabela 'orders' do Rei do Churrasco
+ * Coloca ou tira o entregador do turno ('entrei' / 'saí do turno')
  */
-async function configurarPollingPedidos() {
-    // IMPORTANTE: Limpa intervalo anterior para evitar múltiplos pollings simultâneos
-    if (intervaloPolling) {
-        clearInterval(intervaloPolling)
-        intervaloPolling = null
-        logger.info('[BOT] Polling anterior limpo')
+async function alterarTurnoEntregador(entregador, emTurno, responder) {
+    if (!(await registrarTurno(entregador, emTurno))) {
+        await responder('⚠️ Não foi possível registrar seu turno agora. Tente de novo em instantes.')
+        return
     }
 
-    logger.info('[BOT] Configurando polling para pedidos (10s)...')
+    logger.info(`[TURNO] ${entregador.nome} ${emTurno ? 'entrou no' : 'saiu do'} turno`)
 
-    // Carrega entregadores ativos
+    // Atualiza o cache para o despacho já considerar a mudança
     await atualizarCacheEntregadores()
 
-    // Busca o último pedido para não processar pedidos antigos
-    const { data: ultimoPedido } = await supabase
-        .from('orders')
-        .select('id, created_at')
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single()
-
-    if (ultimoPedido) {
-        ultimoPedidoProcessado = ultimoPedido.created_at
-        logger.info(`[BOT] Último pedido: ${ultimoPedido.id} (${ultimoPedidoProcessado})`)
-    } else {
-        ultimoPedidoProcessado = new Date().toISOString()
-    }
+    await responder(emTurno
+        ? `🟢 ${entregador.nome}, você está *em turno*. Os pedidos de entrega vão chegar aqui.\nAo terminar, mande *saí do turno*.`
+        : `⚪ ${entregador.nome}, você *saiu do turno* e não vai receber novos pedidos. Até a próxima! 👋`)
+}
+
+/**
+ * Trata comandos enviados pelo número da loja (ex: 'quem está de turno')
+ * @returns {Promise<boolean>} true se a mensagem foi tratada como comando
+ */
+async function tratarComandoLoja(textoMensagem, jidRemetente, numeroRemetente) {
+    if (!NUMERO_LOJA || !telefonesCorrespondem(numeroRemetente, NUMERO_LOJA)) return false
+
+    const comando = interpretarComandoLoja(textoMensagem)
+    if (!comando) return false
 
-    // Inicia polling
-    intervaloPolling = setInterval(verificarNovosPedidos, INTERVALO_POLLING_MS)
-    logger.info('[BOT] ✅ Polling ativo - verificando pedidos a cada 10s')
+    logger.info(`[LOJA] Comando '${comando.acao}' recebido`)
 
-    // Inicia verificação periódica do status da loja
-    if (intervaloVerificacaoLoja) {
-        clearInterval(intervaloVerificacaoLoja)
+    if (comando.acao === 'consultar_turno') {
+        await atualizarCacheEntregadores()
+
+        const emTurno = cacheEntregadores.filter(entregadorEmTurno)
+        const foraDoTurno = cacheEntregadores.filter(entregador => !entregadorEmTurno(entregador))
+
+        await enviarMensagem(jidRemetente, gerarMensagemEntregadoresEmTurno(emTurno, foraDoTurno), { tipo: 'loja_comando' })
     }
-    intervaloVerificacaoLoja = setInterval(verificarStatusLoja, INTERVALO_VERIFICACAO_LOJA_MS)
-    await verificarStatusLoja()
-    logger.info('[BOT] ✅ Verificação de status da loja ativa (30s)')
+
+    return true
 }
 
 /**
- * Verifica se o admin fechou/abriu a loja no Supabase
- * Usa store_settings com setting_key = 'manual_status'
+ * Conversa de cancelamento do cliente ('cancelar pedido', ver cancelamentoPedido.js)
+ * Ao cancelar, confirma ao cliente e avisa a loja e os entregadores que receberam ou assumiram o pedido
+ * @returns {Promise<boolean>} true se a mensagem fez parte da conversa
  */
-async function verificarStatusLoja() {
-    try {
-        const { data, error } = await supabase
-            .from('store_settings')
-            .select('setting_value')
-            .eq('setting_key', 'manual_status')
-            .single()
+async function tratarCancelamentoCliente(textoMensagem, jidRemetente, numeroRemetente) {
+    const resultado = await processarCancelamentoCliente(textoMensagem, numeroRemetente)
+    if (!resultado) return false
 
-        if (error) {
-            logger.error('[LOJA] Erro ao verificar status:', error.message)
-            return
-        }
+    const pedido = resultado.pedidoCancelado
+    if (!pedido) {
+        await enviarMensagem(jidRemetente, resultado.resposta, { tipo: 'cancelamento_cliente' })
+        return true
+    }
 
-        // manual_status pode ser 'open' ou 'closed'
-        const novoStatus = data?.setting_value === 'closed'
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+    logger.info(`[CANCELAMENTO] ✅ Pedido #${numeroPedido} cancelado pelo cliente ${numeroRemetente}`)
 
-        if (novoStatus !== lojaFechadaPeloAdmin) {
-            lojaFechadaPeloAdmin = novoStatus
-            logger.info(`[LOJA] Status alterado: ${lojaFechadaPeloAdmin ? '🔴 FECHADA' : '🟢 ABERTA'}`)
-        }
-    } catch (erro) {
-        logger.error('[LOJA] Erro ao verificar status:', erro.message)
+    statusConhecidoPorPedido.set(pedido.id, pedido.status)
+    encerrarOfertaRodizio(pedido.id)
+    await reservarNotificacao(pedido, `status:${pedido.status}`)
+    await carregarTemplatesMensagens()
+
+    await enviarMensagem(
+        jidRemetente,
+        `${gerarMensagemStatusAtualizado(pedido, pedido.status)}\n\n${resultado.resposta}`,
+        { pedidoId: pedido.id, tipo: 'status_cliente' }
+    )
+
+    if (NUMERO_LOJA) {
+        const pagamentoConfirmado = Boolean(pedido.payment_receipt_path) ||
+            (Boolean(pedido.payment_status) && !STATUS_PAGAMENTO_PENDENTE.includes(normalizarTexto(pedido.payment_status)))
+
+        await enviarMensagem(NUMERO_LOJA, gerarMensagemCancelamentoLoja(pedido, resultado.motivo, pagamentoConfirmado), {
+            pedidoId: pedido.id,
+            tipo: 'status_loja'
+        })
+    }
+
+    // Quem assumiu ou recebeu o pedido no despacho não deve mais sair com ele
+    const mensagemEntregador = gerarMensagemCancelamentoEntregador(pedido)
+    for (const entregador of await obterEntregadores()) {
+        if (!entregador.telefone) continue
+        if (entregador.id !== pedido.entregador_id && !(await notificacaoRegistrada(pedido, `entregador:${entregador.id}`))) continue
+
+        await enviarMensagem(entregador.telefone, mensagemEntregador, { pedidoId: pedido.id, tipo: 'entregador_cancelamento' })
     }
+
+    return true
 }
 
 /**
- * Verifica se há novos pedidos no Supabase
- * Usa tabela 'orders' com items como JSONB (orders.items)
+ * Atribui a entrega ao primeiro entregador que responder
+ * Confirma para ele e avisa os demais entregadores que receberam o pedido
  */
-async function verificarNovosPedidos() {
-    // Se a loja está fechada pelo admin, não processa pedidos
-    if (lojaFechadaPeloAdmin) {
+async function assumirEntrega(pedido, entregador, responder) {
+    const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
+
+    if (!pedidoEhDelivery(pedido)) {
+        await responder(`❌ Pedido #${numeroPedido} não é delivery.`)
         return
     }
 
-    try {
-        const { data: novosPedidos, error } = await supabase
-            .from('orders')
-            .select('*')
-            .gt('created_at', ultimoPedidoProcessado)
-            .order('created_at', { ascending: true })
-            .limit(10)
-
-        if (error) {
-            logger.error('[POLLING] Erro ao buscar pedidos:', error.message)
-            return
-        }
+    if (STATUS_FINAIS.includes(pedido.status)) {
+        await responder(`❌ Pedido #${numeroPedido} já foi encerrado.`)
+        return
+    }
 
-        if (novosPedidos && novosPedidos.length > 0) {
-            logger.info(`[POLLING] ${novosPedidos.length} novo(s) pedido(s) encontrado(s)`)
+    if (pedido.entregador_id === entregador.id) {
+        await responder(`👍 Pedido #${numeroPedido} já está com você.`)
+        return
+    }
 
-            for (const pedido of novosPedidos) {
-                const numeroPedido = pedido.order_number || pedido.id?.slice(0, 8)
-                const nomeCliente = pedido.customer_name || 'Cliente'
+    const { sucesso, pedido: pedidoAtualizado } = await atribuirEntregador(pedido, entregador)
 
-                // Verifica se o pedido já foi processado (evita duplicação)
-                if (pedidosProcessados.has(pedido.id)) {
-                    logger.info(`[POLLING] Pedido #${numeroPedido} já processado, ignorando`)
-                    ultimoPedidoProcessado = pedido.created_at
-                    continue
-                }
+    if (!pedidoAtualizado) {
+        await responder(`⚠️ Não foi possível assumir o pedido #${numeroPedido} agora. Tente de novo em instantes.`)
+        return
+    }
 
-                logger.info(`[POLLING] Processando pedido #${numeroPedido} - ${nomeCliente}`)
-                await processarNovoPedido(pedido)
+    if (!sucesso) {
+        const jaEraDele = pedidoAtualizado.entregador_id === entregador.id
+        await responder(jaEraDele
+            ? `👍 Pedido #${numeroPedido} já está com você.`
+            : gerarMensagemEntregaJaAssumida(pedidoAtualizado, pedidoAtualizado.entregador_nome))
+        return
+    }
 
-                // Marca pedido como processado
-                pedidosProcessados.add(pedido.id)
+    logger.info(`[ENTREGAS] ✅ Pedido #${numeroPedido} assumido por ${entregador.nome}`)
+    encerrarOfertaRodizio(pedido.id)
+    await responder(gerarMensagemEntregaAssumida(pedidoAtualizado))
 
-                // Limpa cache se exceder limite (mantém apenas os mais recentes)
-                if (pedidosProcessados.size > MAX_PEDIDOS_CACHE) {
-                    const idsArray = Array.from(pedidosProcessados)
-                    const idsParaRemover = idsArray.slice(0, idsArray.length - MAX_PEDIDOS_CACHE)
-                    idsParaRemover.forEach(id => pedidosProcessados.delete(id))
-                }
+    // Avisa somente os entregadores que receberam o pedido
+    const mensagemOutros = gerarMensagemEntregaJaAssumida(pedidoAtualizado, entregador.nome)
+    for (const outro of await obterEntregadores()) {
+        if (outro.id === entregador.id || !outro.telefone) continue
+        if (!(await notificacaoRegistrada(pedido, `entregador:${outro.id}`))) continue
 
-                ultimoPedidoProcessado = pedido.created_at
-            }
-        }
-    } catch (erro) {
-        logger.error('[POLLING] Erro:', erro.message)
+        await enviarMensagem(outro.telefone, mensagemOutros, { pedidoId: pedido.id, tipo: 'entregador_pedido_assumido' })
     }
 }
 
@@ -501,7 +1663,7 @@ async function iniciarConexaoWhatsApp() {
         saveCreds = authState.saveCreds
     } else {
         logger.info('[BOT] Usando auth state local (arquivo)')
-        const authState = await useMultiFileAuthState('./auth_info')
+        const authState = await useMultiFileAuthState(DIRETORIO_AUTH)
         state = authState.state
         saveCreds = authState.saveCreds
     }
@@ -621,8 +1783,11 @@ async function iniciarConexaoWhatsApp() {
 
             logger.info(`[BOT] ✅ Conectado como ${nomePerfil} (${numeroConectado})`)
 
-            // Configura polling de pedidos
-            await configurarPollingPedidos()
+            // Envia o que ficou pendente na fila durante a desconexão
+            processarFila()
+
+            // Configura monitoramento de pedidos (Realtime + recuperação)
+            await configurarMonitoramentoPedidos()
         }
     })
 
@@ -650,6 +1815,16 @@ async function iniciarConexaoWhatsApp() {
             // Ignora mensagens de status/broadcast
             if (mensagem.key.remoteJid === 'status@broadcast') continue
 
+            // Obtém número do remetente
+            const numeroRemetente = mensagem.key.remoteJid?.replace('@s.whatsapp.net', '') || ''
+
+            // Imagem/PDF de cliente com pedido PIX em aberto é tratado como comprovante
+            try {
+                if (await tratarComprovantePix(mensagem, numeroRemetente)) continue
+            } catch (erro) {
+                logger.error(`[COMPROVANTE] Erro ao processar comprovante: ${erro.message}`)
+            }
+
             // Obtém o texto da mensagem
             const textoMensagem = mensagem.message?.conversation ||
                 mensagem.message?.extendedTextMessage?.text ||
@@ -659,11 +1834,35 @@ async function iniciarConexaoWhatsApp() {
 
             if (!textoMensagem.trim()) continue
 
-            // Obtém número do remetente
-            const numeroRemetente = mensagem.key.remoteJid?.replace('@s.whatsapp.net', '') || ''
-
             logger.info(`[BOT] Mensagem recebida de ${numeroRemetente}: ${textoMensagem.substring(0, 50)}...`)
 
+            // Comandos da loja e de entregadores (ex: 'pego 123') não passam pelas respostas automáticas
+            try {
+                if (await tratarComandoLoja(textoMensagem, mensagem.key.remoteJid, numeroRemetente)) continue
+                if (await tratarComandoEntregador(textoMensagem, mensagem.key.remoteJid, numeroRemetente)) continue
+            } catch (erro) {
+                logger.error(`[ENTREGAS] Erro ao processar comando: ${erro.message}`)
+            }
+
+            // Conversa de pedido pelo WhatsApp ('pedir' e as respostas de cada etapa)
+            try {
+                const respostaPedido = await processarConversaPedido(textoMensagem, numeroRemetente)
+
+                if (respostaPedido) {
+                    await enviarMensagem(mensagem.key.remoteJid, respostaPedido, { tipo: 'pedido_whatsapp' })
+                    continue
+                }
+            } catch (erro) {
+                logger.error(`[PEDIDO WHATSAPP] Erro ao processar conversa: ${erro.message}`)
+            }
+
+            // Cancelamento pelo cliente ('cancelar pedido')
+            try {
+                if (await tratarCancelamentoCliente(textoMensagem, mensagem.key.remoteJid, numeroRemetente)) continue
+            } catch (erro) {
+                logger.error(`[CANCELAMENTO] Erro ao processar cancelamento: ${erro.message}`)
+            }
+
             try {
                 // Processa a mensagem e obtém resposta automática
                 const resposta = await processarMensagemRecebida(textoMensagem, numeroRemetente)
@@ -673,23 +1872,12 @@ async function iniciarConexaoWhatsApp() {
                     const mensagensResposta = Array.isArray(resposta) ? resposta : [resposta]
                     const jidRemetente = mensagem.key.remoteJid
 
+                    // Responde no JID original; a fila mantém a ordem das mensagens
                     for (const msg of mensagensResposta) {
-                        // Efeito "digitando..." antes de cada resposta automática
-                        await sock.sendPresenceUpdate('composing', jidRemetente)
-                        const delayDigitando = Math.min(Math.max(msg.length * 15, 1000), 3000)
-                        await new Promise(resolve => setTimeout(resolve, delayDigitando))
-
-                        await sock.sendMessage(jidRemetente, { text: msg })
-                        await sock.sendPresenceUpdate('paused', jidRemetente)
-                        estatisticas.mensagensEnviadas++
-
-                        // Pequeno delay entre mensagens múltiplas
-                        if (mensagensResposta.length > 1) {
-                            await new Promise(resolve => setTimeout(resolve, 500))
-                        }
+                        await enviarMensagem(jidRemetente, msg, { tipo: 'resposta_automatica' })
                     }
 
-                    logger.info(`[BOT] Resposta automática enviada para ${numeroRemetente}`)
+                    logger.info(`[BOT] Resposta automática enfileirada para ${numeroRemetente}`)
                 }
             } catch (erro) {
                 logger.error(`[BOT] Erro ao processar mensagem: ${erro.message}`)
@@ -698,10 +1886,45 @@ async function iniciarConexaoWhatsApp() {
     })
 }
 
+/**
+ * Retoma as conversas de pedido gravadas e inicia a verificação de expiração
+ */
+async function iniciarPedidosWhatsapp() {
+    if (!PEDIDO_WHATSAPP_ATIVO || intervaloSessoesPedido) return
+
+    const retomadas = await carregarSessoesPedido()
+    if (retomadas) {
+        logger.info(`[PEDIDO WHATSAPP] ${retomadas} conversa(s) de pedido retomada(s)`)
+    }
+
+    intervaloSessoesPedido = setInterval(avisarSessoesPedidoExpiradas, INTERVALO_SESSOES_PEDIDO_MS)
+}
+
+/**
+ * Encerra as conversas de pedido sem resposta e avisa os clientes
+ */
+async function avisarSessoesPedidoExpiradas() {
+    try {
+        const expiradas = await encerrarSessoesExpiradas()
+
+        for (const telefone of expiradas) {
+            await enviarMensagem(telefone, gerarMensagemSessaoExpirada(), { tipo: 'pedido_whatsapp' })
+        }
+
+        if (expiradas.length > 0) {
+            logger.info(`[PEDIDO WHATSAPP] ${expiradas.length} conversa(s) de pedido expirada(s)`)
+        }
+    } catch (erro) {
+        logger.error(`[PEDIDO WHATSAPP] Erro ao encerrar conversas expiradas: ${erro.message}`)
+    }
+}
+
 // =============== API EXPRESS ===============
 
 const app = express()
-app.use(cors())
+// Atrás do processo de várias lojas (lojas.js): req.ip vem do X-Forwarded-For repassado pelo proxy local
+if (LOJA_ID) app.set('trust proxy', 'loopback')
+app.use(cors(obterOpcoesCors()))
 app.use(express.json())
 
 // Compatibilidade de rotas antigas:
@@ -736,12 +1959,13 @@ app.get('/', (req, res) => {
 })
 
 // Status da conexão
-app.get('/status', async (req, res) => {
+app.get('/status', exigirEscopo('leitura'), async (req, res) => {
     const entregadores = await obterEntregadores()
 
     res.json({
         sucesso: true,
         dados: {
+            loja: LOJA_ID,
             conectado: statusConexao === 'conectado',
             status: statusConexao,
             numeroConectado: numeroConectado,
@@ -749,6 +1973,15 @@ app.get('/status', async (req, res) => {
             conectadoEm: conectadoEm,
             qrDisponivel: !!qrCodeAtual,
             lojaFechada: lojaFechadaPeloAdmin,
+            filaMensagens: obterResumoFila(),
+            monitoramentoPedidos: {
+                canalRealtime: statusCanalRealtime,
+                pollingRecuperacaoAtivo: !!intervaloPolling,
+                cobrancaPixAtiva: !!intervaloCobrancaPix,
+                conversasPedidoWhatsapp: PEDIDO_WHATSAPP_ATIVO ? contarSessoesPedido() : null,
+                modoDespacho: MODO_DESPACHO,
+                ofertasRodizioAtivas: ofertasRodizio.size
+            },
             estadoReconexao: {
                 autenticado: estaAutenticado,
                 qrCodesGerados: contadorQrCodes,
@@ -766,7 +1999,7 @@ app.get('/status', async (req, res) => {
 })
 
 // Retorna QR code
-app.get('/qr', (req, res) => {
+app.get('/qr', exigirEscopo('sessao'), (req, res) => {
     if (statusConexao === 'conectado') {
         res.json({
             sucesso: true,
@@ -794,7 +2027,7 @@ app.get('/qr', (req, res) => {
 })
 
 // Pareamento por número (pairing code)
-app.post('/parear-numero', async (req, res) => {
+app.post('/parear-numero', exigirEscopo('sessao'), async (req, res) => {
     try {
         const numeroBruto = req.body?.numero
         const numeroLimpo = String(numeroBruto || '').replace(/\D/g, '')
@@ -855,7 +2088,7 @@ app.post('/parear-numero', async (req, res) => {
 })
 
 // Reconectar - reinicia a conexão
-app.post('/reconectar', async (req, res) => {
+app.post('/reconectar', exigirEscopo('sessao'), async (req, res) => {
     try {
         if (sock) {
             sock.end()
@@ -870,7 +2103,7 @@ app.post('/reconectar', async (req, res) => {
 })
 
 // Limpar sessão - remove credenciais e força novo pareamento
-app.post('/limpar-sessao', async (req, res) => {
+app.post('/limpar-sessao', exigirEscopo('sessao'), async (req, res) => {
     try {
         if (sock) {
             try {
@@ -904,7 +2137,7 @@ app.post('/limpar-sessao', async (req, res) => {
 })
 
 // Força atualização do cache de entregadores
-app.post('/atualizar-entregadores', async (req, res) => {
+app.post('/atualizar-entregadores', exigirEscopo('admin'), async (req, res) => {
     await atualizarCacheEntregadores()
     res.json({
         success: true,
@@ -913,19 +2146,224 @@ app.post('/atualizar-entregadores', async (req, res) => {
 })
 
 // Endpoint para enviar mensagem manualmente
-app.post('/enviar', async (req, res) => {
+app.post('/enviar', exigirEscopo('envio'), async (req, res) => {
     const { telefone, mensagem } = req.body
 
     if (!telefone || !mensagem) {
         return res.status(400).json({ error: 'Telefone e mensagem são obrigatórios' })
     }
 
-    const enviado = await enviarMensagem(telefone, mensagem)
-    res.json({ success: enviado })
+    const enviado = await enviarMensagem(telefone, mensagem, { tipo: 'manual' })
+    res.json({ success: enviado, enfileirado: enviado })
+})
+
+// Lista chaves PIX cadastradas
+app.get('/pix/chaves', exigirEscopo('admin'), async (req, res) => {
+    try {
+        const chaves = await listarChavesPix()
+        res.json({ sucesso: true, chaves })
+    } catch (erro) {
+        res.status(500).json({ sucesso: false, erro: erro.message })
+    }
+})
+
+// Cadastra nova chave PIX
+app.post('/pix/chaves', exigirEscopo('admin'), async (req, res) => {
+    const { tipo, chave, titular, peso, limiteDiario } = req.body || {}
+
+    if (!tipo || !chave || !titular) {
+        return res.status(400).json({ sucesso: false, erro: 'Tipo, chave e titular são obrigatórios' })
+    }
+
+    try {
+        const chaveCriada = await adicionarChavePix({ tipo, chave, titular, peso, limiteDiario })
+        res.status(201).json({ sucesso: true, chave: chaveCriada })
+    } catch (erro) {
+        logger.error('[API] Erro ao cadastrar chave PIX:', erro.message)
+        res.status(500).json({ sucesso: false, erro: erro.message })
+    }
+})
+
+// Atualiza chave PIX (ativar/desativar, peso, limite diário, titular)
+app.patch('/pix/chaves/:id', exigirEscopo('admin'), async (req, res) => {
+    const { ativa, peso, limiteDiario, titular } = req.body || {}
+
+    try {
+        const chaveAtualizada = await atualizarChavePix(req.params.id, { ativa, peso, limiteDiario, titular })
+
+        if (!chaveAtualizada) {
+            return res.status(404).json({ sucesso: false, erro: 'Chave PIX não encontrada' })
+        }
+
+        res.json({ sucesso: true, chave: chaveAtualizada })
+    } catch (erro) {
+        logger.error('[API] Erro ao atualizar chave PIX:', erro.message)
+        res.status(400).json({ sucesso: false, erro: erro.message })
+    }
+})
+
+// Desativa chave PIX
+app.post('/pix/chaves/:id/desativar', exigirEscopo('admin'), async (req, res) => {
+    try {
+        const chaveAtualizada = await atualizarChavePix(req.params.id, { ativa: false })
+
+        if (!chaveAtualizada) {
+            return res.status(404).json({ sucesso: false, erro: 'Chave PIX não encontrada' })
+        }
+
+        res.json({ sucesso: true, chave: chaveAtualizada })
+    } catch (erro) {
+        logger.error('[API] Erro ao desativar chave PIX:', erro.message)
+        res.status(500).json({ sucesso: false, erro: erro.message })
+    }
+})
+
+// Tempo estimado atual por tipo de pedido (carga da cozinha + modo pico)
+app.get('/loja/tempo-estimado', exigirEscopo('leitura'), async (req, res) => {
+    try {
+        const [config, pedidosEmAberto] = await Promise.all([carregarConfiguracoesLoja(), contarPedidosEmAberto()])
+
+        res.json({
+            sucesso: true,
+            pedidosEmAberto,
+            delivery: calcularTempoEstimado({ delivery: true, pedidosEmAberto, config }),
+            retirada: calcularTempoEstimado({ delivery: false, pedidosEmAberto, config })
+        })
+    } catch (erro) {
+        res.status(500).json({ sucesso: false, erro: erro.message })
+    }
+})
+
+// Modo pico: acrescenta minutos ao tempo estimado (0 desliga)
+// Body: { minutos }
+app.post('/loja/modo-pico', exigirEscopo('admin'), async (req, res) => {
+    const minutos = Number(req.body?.minutos)
+
+    if (!Number.isInteger(minutos) || minutos < 0 || minutos > 240) {
+        return res.status(400).json({ sucesso: false, erro: 'Informe minutos entre 0 e 240' })
+    }
+
+    const salvo = await definirModoPico(minutos)
+    if (!salvo) {
+        return res.status(500).json({ sucesso: false, erro: 'Erro ao salvar modo pico' })
+    }
+
+    const config = await atualizarConfiguracoes()
+    logger.info(minutos > 0 ? `[LOJA] Modo pico ativado: +${minutos} minutos` : '[LOJA] Modo pico desativado')
+
+    res.json({ sucesso: true, modoPico: Number(config[CHAVE_MODO_PICO]) || 0 })
+})
+
+// Lista os templates de mensagens de pedido (padrão e personalizado em uso)
+app.get('/templates', exigirEscopo('admin'), async (req, res) => {
+    await carregarTemplatesMensagens(true)
+    res.json({ sucesso: true, templates: listarTemplatesMensagens() })
+})
+
+// Prévia de template com pedido de exemplo (ou pedido informado)
+// Body: { texto?, pedido?, status? } - sem texto, usa o template em uso
+app.post('/templates/:chave/previa', exigirEscopo('admin'), (req, res) => {
+    const { texto, pedido, status } = req.body || {}
+    const previa = gerarPreviaTemplate(req.params.chave, { texto, pedido, status })
+
+    if (!previa.sucesso) {
+        return res.status(400).json(previa)
+    }
+
+    res.json(previa)
+})
+
+// Salva template personalizado (texto vazio volta ao padrão)
+app.put('/templates/:chave', exigirEscopo('admin'), async (req, res) => {
+    const { texto } = req.body || {}
+
+    if (texto) {
+        const previa = gerarPreviaTemplate(req.params.chave, { texto })
+        if (!previa.sucesso) {
+            return res.status(400).json(previa)
+        }
+    } else if (!listarTemplatesMensagens().some(template => template.chave === req.params.chave)) {
+        return res.status(404).json({ sucesso: false, erro: `Template desconhecido: ${req.params.chave}` })
+    }
+
+    const salvo = await salvarTemplateMensagem(req.params.chave, texto)
+    if (!salvo) {
+        return res.status(500).json({ sucesso: false, erro: 'Erro ao salvar template' })
+    }
+
+    res.json({ sucesso: true, templates: listarTemplatesMensagens() })
+})
+
+// Mostra qual intenção das respostas automáticas cada frase atinge
+// Body: { frases: ['qual o endereço?', 'tem picanha?'] }
+app.post('/intencoes/testar', exigirEscopo('admin'), async (req, res) => {
+    const frases = req.body?.frases
+
+    if (!Array.isArray(frases) || frases.length === 0 || frases.length > 200 || frases.some(frase => typeof frase !== 'string')) {
+        return res.status(400).json({ sucesso: false, erro: 'Informe frases (lista de 1 a 200 textos)' })
+    }
+
+    res.json({ sucesso: true, resultados: await testarIntencoes(frases) })
+})
+
+// Campanhas sazonais em uso (a do dia e o próximo período de cada uma)
+app.get('/campanhas', exigirEscopo('admin'), async (req, res) => {
+    await carregarCampanhas(true)
+    res.json({ sucesso: true, ...await listarCampanhas() })
+})
+
+// Grava as campanhas padrão (datas comemorativas) na tabela campaigns para edição
+app.post('/campanhas/semear', exigirEscopo('admin'), async (req, res) => {
+    const gravadas = await semearCampanhasPadrao()
+
+    if (gravadas === null) {
+        return res.status(500).json({ sucesso: false, erro: 'Erro ao gravar campanhas padrão' })
+    }
+
+    logger.info(`[CAMPANHAS] ${gravadas} campanha(s) padrão gravada(s)`)
+    res.json({ sucesso: true, gravadas, ...await listarCampanhas() })
+})
+
+// Acerto dos entregadores por período (dias de trabalho, YYYY-MM-DD)
+// GET /entregadores/acerto?inicio=2026-10-01&fim=2026-10-07&formato=csv
+app.get('/entregadores/acerto', exigirEscopo('leitura'), async (req, res) => {
+    const diaInicio = req.query.inicio || obterDiaTurno()
+    const diaFim = req.query.fim || diaInicio
+
+    const inicio = obterInicioDiaTurnoDaData(diaInicio)
+    const inicioDiaFim = obterInicioDiaTurnoDaData(diaFim)
+
+    if (!inicio || !inicioDiaFim || inicioDiaFim < inicio) {
+        return res.status(400).json({ sucesso: false, erro: 'Período inválido. Use inicio e fim no formato YYYY-MM-DD' })
+    }
+
+    // O dia de trabalho 'fim' vai até a virada do dia seguinte
+    const fim = new Date(inicioDiaFim.getTime() + 24 * 60 * 60 * 1000)
+
+    try {
+        const pedidos = await buscarPedidosEntregues(inicio, fim)
+
+        if (!pedidos) {
+            return res.status(500).json({ sucesso: false, erro: 'Erro ao buscar pedidos entregues' })
+        }
+
+        const acerto = calcularAcertoEntregadores(pedidos, inicio, fim)
+
+        if (req.query.formato === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+            res.setHeader('Content-Disposition', `attachment; filename="acerto-entregadores-${diaInicio}-a-${diaFim}.csv"`)
+            return res.send(gerarCsvAcerto(acerto))
+        }
+
+        res.json({ sucesso: true, acerto })
+    } catch (erro) {
+        logger.error('[API] Erro ao gerar acerto dos entregadores:', erro.message)
+        res.status(500).json({ sucesso: false, erro: erro.message })
+    }
 })
 
 // Desconectar
-app.post('/desconectar', async (req, res) => {
+app.post('/desconectar', exigirEscopo('sessao'), async (req, res) => {
     try {
         if (sock) {
             sock.end()
@@ -996,11 +2434,28 @@ function liberarLock() {
 }
 
 // Adquire lock antes de iniciar — impede múltiplas instâncias
-adquirirLock()
+// Dentro do processo de várias lojas, cada loja roda em uma worker thread com sessão própria
+if (isMainThread) {
+    adquirirLock()
+}
 
 // Inicia servidor
-app.listen(PORTA, () => {
-    logger.info(`[API] Servidor rodando na porta ${PORTA}`)
+app.listen(PORTA, HOST, async () => {
+    logger.info(`[API] Servidor rodando na porta ${PORTA}${LOJA_ID ? ` (loja ${LOJA_ID})` : ''}`)
+
+    const resumoAutenticacao = obterResumoAutenticacao()
+    if (resumoAutenticacao.desativada) {
+        logger.warn('[API] ⚠️ Autenticação DESATIVADA (API_AUTH_DISABLED=true) - use apenas em desenvolvimento')
+    } else {
+        logger.info(`[API] Autenticação por chave ativa (${resumoAutenticacao.chavesAmbiente} chave(s) em API_KEYS + tabela api_keys)`)
+    }
+    if (resumoAutenticacao.origensCors === 0) {
+        logger.warn('[API] Nenhuma origem em CORS_ORIGINS - navegadores não poderão chamar a API')
+    }
+    const identidadeAusente = ['LOJA_NOME', 'LOJA_SITE', 'LOJA_ENDERECO', 'LOJA_TELEFONE'].filter(chave => !process.env[chave])
+    if (identidadeAusente.length > 0) {
+        logger.warn(`[API] Dados da loja não configurados: ${identidadeAusente.join(', ')} - as mensagens saem sem eles`)
+    }
     logger.info(`[API] Endpoints disponíveis:`)
     logger.info(`[API]   GET  /        - Health check`)
     logger.info(`[API]   GET  /status  - Status da conexão`)
@@ -1010,25 +2465,47 @@ app.listen(PORTA, () => {
     logger.info(`[API]   POST /enviar  - Enviar mensagem`)
     logger.info(`[API]   POST /atualizar-entregadores - Atualiza cache`)
     logger.info(`[API]   POST /desconectar - Desconecta o bot`)
+    logger.info(`[API]   POST /reconectar - Reinicia a conexão`)
+    logger.info(`[API]   POST /limpar-sessao - Remove credenciais e força novo pareamento`)
+    logger.info(`[API]   GET/POST /pix/chaves, PATCH /pix/chaves/:id - Gerencia chaves PIX`)
+    logger.info(`[API]   GET  /entregadores/acerto?inicio=&fim=&formato=csv - Acerto dos entregadores`)
+    logger.info(`[API]   GET  /templates, PUT /templates/:chave, POST /templates/:chave/previa - Templates de mensagens`)
+    logger.info(`[API]   GET  /loja/tempo-estimado, POST /loja/modo-pico - Tempo estimado e modo pico`)
+    logger.info(`[API]   GET  /campanhas, POST /campanhas/semear - Campanhas sazonais`)
+    logger.info(`[API]   POST /intencoes/testar - Testa a detecção de intenções`)
     logger.info(`[API]   Prefixo /api/* também é aceito`)
+    logger.info(`[API]   Todas as rotas exceto / exigem chave de API (Authorization: Bearer ou X-API-Key)`)
+
+    // Recupera mensagens pendentes da fila antes de conectar
+    await carregarFilaPendente()
+    iniciarFila()
+
+    // Retoma as conversas de pedido pelo WhatsApp interrompidas pelo restart
+    await iniciarPedidosWhatsapp()
 
     // Inicia conexão WhatsApp
     iniciarConexaoWhatsApp()
 })
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-    logger.info('[BOT] Encerrando...')
+function encerrarBot(motivo) {
+    logger.info(`[BOT] Encerrando${motivo ? ` (${motivo})` : ''}...`)
     if (intervaloPolling) clearInterval(intervaloPolling)
-    if (intervaloVerificacaoLoja) clearInterval(intervaloVerificacaoLoja)
-    liberarLock()
+    if (intervaloCobrancaPix) clearInterval(intervaloCobrancaPix)
+    if (intervaloSessoesPedido) clearInterval(intervaloSessoesPedido)
+    ofertasRodizio.forEach(temporizador => clearTimeout(temporizador))
+    if (assinaturaRealtime) assinaturaRealtime.cancelar()
+    pararFila()
+    if (isMainThread) liberarLock()
     process.exit(0)
-})
+}
 
-process.on('SIGTERM', () => {
-    logger.info('[BOT] Encerrando (SIGTERM)...')
-    if (intervaloPolling) clearInterval(intervaloPolling)
-    if (intervaloVerificacaoLoja) clearInterval(intervaloVerificacaoLoja)
-    liberarLock()
-    process.exit(0)
-})
+if (isMainThread) {
+    process.on('SIGINT', () => encerrarBot())
+    process.on('SIGTERM', () => encerrarBot('SIGTERM'))
+} else {
+    // Sinais chegam só ao processo principal, que repassa o encerramento para cada loja
+    parentPort?.on('message', (mensagem) => {
+        if (mensagem?.tipo === 'encerrar') encerrarBot(mensagem.motivo)
+    })
+}
@@ -0,0 +1,228 @@
+/**
+ * Acerto de contas com os entregadores (fim da noite)
+ * Rei do Churrasco
+ *
+ * Para cada entregador, a partir dos pedidos entregues no período:
+ * - Quantidade de entregas
+ * - Taxas de entrega (valor devido ao entregador)
+ * - Dinheiro recebido dos clientes (pedidos pagos em dinheiro)
+ * - Troco levado
+ * - Saldo: dinheiro recebido - taxas (positivo = entregador repassa à loja)
+ *
+ * O período vale pelo horário da entrega (orders.entregue_em, gravado no 'entreguei');
+ * pedidos marcados como entregues pelo painel, sem esse horário, contam pelo created_at.
+ *
+ * O dia do último acerto enviado fica em store_settings (courier_settlement_sent_day),
+ * evitando reenviar após restart ou nova troca de status da loja.
+ */
+
+import { supabase } from './supabase.js'
+import {
+    extrairTaxaEntrega,
+    traduzirFormaPagamento,
+    calcularTroco
+} from './mensagens.js'
+
+const STATUS_ENTREGUE = ['delivered', 'entregue', 'completed', 'finalizado']
+const METODOS_DINHEIRO = ['cash', 'dinheiro']
+const CHAVE_ULTIMO_ACERTO = 'courier_settlement_sent_day'
+
+// Um pedido entregue no período pode ter sido criado antes do início (ex: pedido feito antes da virada)
+const FOLGA_CRIACAO_MS = 24 * 60 * 60 * 1000
+
+function arredondar(valor) {
+    return Math.round(valor * 100) / 100
+}
+
+/**
+ * Horário em que o pedido conta para o acerto: a entrega, ou a criação se ela não foi registrada
+ */
+function momentoEntrega(pedido) {
+    return new Date(pedido.entregue_em || pedido.created_at).getTime()
+}
+
+/**
+ * Busca os pedidos entregues por entregadores no período (pelo horário da entrega)
+ * @param {Date} inicio
+ * @param {Date} fim
+ * @returns {Promise<Array|null>} Pedidos ou null em caso de erro
+ */
+export async function buscarPedidosEntregues(inicio, fim) {
+    try {
+        const { data, error } = await supabase
+            .from('orders')
+            .select('*')
+            .in('status', STATUS_ENTREGUE)
+            .not('entregador_id', 'is', null)
+            .gte('created_at', new Date(inicio.getTime() - FOLGA_CRIACAO_MS).toISOString())
+            .lt('created_at', fim.toISOString())
+            .order('created_at', { ascending: true })
+
+        if (error) {
+            console.error('[ACERTO] Erro ao buscar pedidos entregues:', error.message)
+            return null
+        }
+
+        return (data || []).filter(pedido => {
+            const momento = momentoEntrega(pedido)
+            return momento >= inicio.getTime() && momento < fim.getTime()
+        })
+    } catch (erro) {
+        console.error('[ACERTO] Erro ao buscar pedidos entregues:', erro.message)
+        return null
+    }
+}
+
+/**
+ * Calcula o acerto por entregador
+ * @param {Array} pedidos - Pedidos entregues (com entregador_id)
+ * @param {Date} inicio - Início do período (apenas informativo)
+ * @param {Date} fim - Fim do período (apenas informativo)
+ * @returns {Object} { inicio, fim, entregadores: [...], totais }
+ */
+export function calcularAcertoEntregadores(pedidos, inicio, fim) {
+    const porEntregador = new Map()
+
+    for (const pedido of pedidos) {
+        const metodo = String(pedido.payment_method || pedido.forma_pagamento || '').toLowerCase()
+        const pagoEmDinheiro = METODOS_DINHEIRO.includes(metodo)
+        const taxa = extrairTaxaEntrega(pedido)
+        const troco = pagoEmDinheiro ? calcularTroco(pedido) : 0
+        const total = Number(pedido.total) || 0
+
+        const acerto = porEntregador.get(pedido.entregador_id) || {
+            entregadorId: pedido.entregador_id,
+            nome: pedido.entregador_nome || 'Entregador',
+            entregas: 0,
+            taxas: 0,
+            dinheiroRecebido: 0,
+            trocoLevado: 0,
+            saldo: 0,
+            pedidos: []
+        }
+
+        acerto.entregas++
+        acerto.taxas += taxa
+        acerto.dinheiroRecebido += pagoEmDinheiro ? total : 0
+        acerto.trocoLevado += troco
+        acerto.pedidos.push({
+            numero: pedido.order_number || pedido.id?.slice(0, 8),
+            cliente: pedido.customer_name || 'Cliente',
+            total,
+            taxa,
+            formaPagamento: traduzirFormaPagamento(pedido.payment_method || pedido.forma_pagamento),
+            troco
+        })
+
+        porEntregador.set(pedido.entregador_id, acerto)
+    }
+
+    const entregadores = [...porEntregador.values()]
+        .map(acerto => ({
+            ...acerto,
+            taxas: arredondar(acerto.taxas),
+            dinheiroRecebido: arredondar(acerto.dinheiroRecebido),
+            trocoLevado: arredondar(acerto.trocoLevado),
+            saldo: arredondar(acerto.dinheiroRecebido - acerto.taxas)
+        }))
+        .sort((a, b) => a.nome.localeCompare(b.nome))
+
+    const somar = (campo) => arredondar(entregadores.reduce((soma, acerto) => soma + acerto[campo], 0))
+
+    return {
+        inicio: inicio.toISOString(),
+        fim: fim.toISOString(),
+        entregadores,
+        totais: {
+            entregas: entregadores.reduce((soma, acerto) => soma + acerto.entregas, 0),
+            taxas: somar('taxas'),
+            dinheiroRecebido: somar('dinheiroRecebido'),
+            trocoLevado: somar('trocoLevado'),
+            saldo: somar('saldo')
+        }
+    }
+}
+
+/**
+ * Converte o acerto em CSV (uma linha por entregador)
+ */
+export function gerarCsvAcerto(acerto) {
+    const escapar = (valor) => {
+        const texto = String(valor ?? '')
+        return /[",\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto
+    }
+
+    const linhas = [
+        ['entregador', 'entregas', 'taxas', 'dinheiro_recebido', 'troco_levado', 'saldo', 'inicio', 'fim']
+    ]
+
+    for (const item of acerto.entregadores) {
+        linhas.push([
+            item.nome,
+            item.entregas,
+            item.taxas.toFixed(2),
+            item.dinheiroRecebido.toFixed(2),
+            item.trocoLevado.toFixed(2),
+            item.saldo.toFixed(2),
+            acerto.inicio,
+            acerto.fim
+        ])
+    }
+
+    return linhas.map(linha => linha.map(escapar).join(',')).join('\n') + '\n'
+}
+
+/**
+ * Verifica se o acerto do dia de trabalho já foi enviado
+ * @param {string} dia - YYYY-MM-DD
+ */
+export async function acertoJaEnviado(dia) {
+    try {
+        const { data, error } = await supabase
+            .from('store_settings')
+            .select('setting_value')
+            .eq('setting_key', CHAVE_ULTIMO_ACERTO)
+            .maybeSingle()
+
+        if (error) {
+            console.error('[ACERTO] Erro ao verificar último acerto:', error.message)
+            return false
+        }
+
+        return data?.setting_value === dia
+    } catch (erro) {
+        console.error('[ACERTO] Erro ao verificar último acerto:', erro.message)
+        return false
+    }
+}
+
+/**
+ * Registra o dia de trabalho do acerto enviado
+ * @param {string} dia - YYYY-MM-DD
+ */
+export async function registrarAcertoEnviado(dia) {
+    try {
+        const { error } = await supabase
+            .from('store_settings')
+            .upsert({
+                setting_key: CHAVE_ULTIMO_ACERTO,
+                setting_value: dia
+            }, {
+                onConflict: 'setting_key'
+            })
+
+        if (error) {
+            console.error('[ACERTO] Erro ao registrar acerto enviado:', error.message)
+        }
+    } catch (erro) {
+        console.error('[ACERTO] Erro ao registrar acerto enviado:', erro.message)
+    }
+}
+
+export default {
+    buscarPedidosEntregues,
+    calcularAcertoEntregadores,
+    gerarCsvAcerto,
+    acertoJaEnviado,
+    registrarAcertoEnviado
+}
@@ -0,0 +1,244 @@
+/**
+ * Autenticação da API Express do Bot WhatsApp
+ * Rei do Churrasco
+ *
+ * - Chaves de API com escopos (env API_KEYS e/ou tabela api_keys do Supabase)
+ * - Allowlist de origens CORS (env CORS_ORIGINS)
+ * - Auditoria de chamadas autenticadas (log + tabela api_audit_log)
+ *
+ * Escopos:
+ *   'leitura' - consultas sem alteração de estado (status, lojas, tempo estimado, acerto dos entregadores)
+ *   'envio'   - envio de mensagens
+ *   'sessao'  - QR code, pareamento, reconexão, desconexão e limpeza de sessão
+ *   'admin'   - todos os escopos acima e rotas administrativas (chaves PIX, templates, modo pico,
+ *               campanhas, intenções e recarga do cache de entregadores)
+ *
+ * Formato de API_KEYS: nome:chave:escopo1|escopo2,nome2:chave2:escopo
+ * Tabela api_keys: name, key_hash (sha256 hex da chave), scopes (texto separado por vírgula ou array), active
+ *
+ * A chave é enviada no header 'Authorization: Bearer <chave>' ou 'X-API-Key: <chave>'.
+ */
+
+import crypto from 'crypto'
+import { supabase } from './supabase.js'
+
+export const ESCOPOS_API = ['leitura', 'envio', 'sessao', 'admin']
+
+const AUTENTICACAO_DESATIVADA = process.env.API_AUTH_DISABLED === 'true'
+
+// Cache das chaves cadastradas no Supabase
+let chavesSupabase = []
+let ultimaAtualizacaoChaves = null
+const INTERVALO_CACHE_CHAVES_MS = 5 * 60 * 1000
+
+/**
+ * Gera o hash sha256 (hex) de uma chave
+ */
+export function gerarHashChave(chave) {
+    return crypto.createHash('sha256').update(String(chave)).digest('hex')
+}
+
+function normalizarEscopos(escopos) {
+    const lista = Array.isArray(escopos) ? escopos : String(escopos || '').split(/[|,]/)
+    return lista.map(escopo => String(escopo).trim()).filter(escopo => ESCOPOS_API.includes(escopo))
+}
+
+/**
+ * Compara dois hashes em tempo constante
+ */
+function hashesIguais(hashA, hashB) {
+    const bufferA = Buffer.from(hashA, 'hex')
+    const bufferB = Buffer.from(hashB, 'hex')
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * Lê as chaves configuradas na variável de ambiente API_KEYS
+ */
+function carregarChavesAmbiente() {
+    return String(process.env.API_KEYS || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => {
+            const [nome, chave, escopos] = item.split(':')
+            if (!nome || !chave) {
+                console.error(`[AUTH-API] Entrada inválida em API_KEYS: ${nome || '(sem nome)'}`)
+                return null
+            }
+            return { nome, hash: gerarHashChave(chave), escopos: normalizarEscopos(escopos), origem: 'env' }
+        })
+        .filter(Boolean)
+}
+
+const chavesAmbiente = carregarChavesAmbiente()
+
+/**
+ * Carrega as chaves ativas do Supabase (com cache)
+ */
+async function carregarChavesSupabase() {
+    const agora = Date.now()
+
+    if (ultimaAtualizacaoChaves && (agora - ultimaAtualizacaoChaves) < INTERVALO_CACHE_CHAVES_MS) {
+        return chavesSupabase
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .select('name, key_hash, scopes')
+            .eq('active', true)
+
+        if (error) {
+            console.error('[AUTH-API] Erro ao carregar chaves:', error.message)
+            return chavesSupabase
+        }
+
+        chavesSupabase = (data || [])
+            .filter(item => item.key_hash)
+            .map(item => ({
+                nome: item.name,
+                hash: String(item.key_hash).toLowerCase(),
+                escopos: normalizarEscopos(item.scopes),
+                origem: 'supabase'
+            }))
+
+        ultimaAtualizacaoChaves = agora
+        return chavesSupabase
+    } catch (erro) {
+        console.error('[AUTH-API] Erro ao carregar chaves:', erro.message)
+        return chavesSupabase
+    }
+}
+
+/**
+ * Extrai a chave enviada na requisição
+ */
+function extrairChaveRequisicao(req) {
+    const autorizacao = req.headers.authorization || ''
+    if (autorizacao.toLowerCase().startsWith('bearer ')) {
+        return autorizacao.slice(7).trim()
+    }
+    return String(req.headers['x-api-key'] || '').trim()
+}
+
+/**
+ * Identifica a chave da requisição
+ * @returns {Promise<Object|null>} { nome, escopos, origem } ou null
+ */
+async function identificarChave(req) {
+    const chave = extrairChaveRequisicao(req)
+    if (!chave) return null
+
+    const hash = gerarHashChave(chave)
+    const candidatas = [...chavesAmbiente, ...(await carregarChavesSupabase())]
+
+    return candidatas.find(candidata => hashesIguais(candidata.hash, hash)) || null
+}
+
+/**
+ * Registra a chamada na auditoria (log + tabela api_audit_log)
+ */
+async function registrarAuditoria({ nomeChave, metodo, rota, statusHttp, ip }) {
+    console.log(`[AUDITORIA] ${nomeChave} ${metodo} ${rota} → ${statusHttp} (${ip})`)
+
+    try {
+        const { error } = await supabase
+            .from('api_audit_log')
+            .insert({
+                key_name: nomeChave,
+                method: metodo,
+                path: rota,
+                status_code: statusHttp,
+                ip,
+                created_at: new Date().toISOString()
+            })
+
+        if (error) {
+            console.error('[AUDITORIA] Erro ao registrar chamada:', error.message)
+        }
+    } catch (erro) {
+        console.error('[AUDITORIA] Erro ao registrar chamada:', erro.message)
+    }
+}
+
+/**
+ * Middleware que exige uma chave de API com o escopo informado
+ * O escopo 'admin' libera todas as rotas
+ * @param {string} escopo - Escopo exigido pela rota
+ */
+export function exigirEscopo(escopo) {
+    return async (req, res, next) => {
+        if (AUTENTICACAO_DESATIVADA) {
+            return next()
+        }
+
+        const rota = req.originalUrl.split('?')[0]
+        const ip = req.ip || req.socket?.remoteAddress || 'desconhecido'
+
+        try {
+            const chave = await identificarChave(req)
+
+            if (!chave) {
+                registrarAuditoria({ nomeChave: 'anonimo', metodo: req.method, rota, statusHttp: 401, ip })
+                return res.status(401).json({ sucesso: false, erro: 'Chave de API ausente ou inválida' })
+            }
+
+            if (!chave.escopos.includes(escopo) && !chave.escopos.includes('admin')) {
+                registrarAuditoria({ nomeChave: chave.nome, metodo: req.method, rota, statusHttp: 403, ip })
+                return res.status(403).json({ sucesso: false, erro: `Chave sem permissão para o escopo '${escopo}'` })
+            }
+
+            req.chaveApi = { nome: chave.nome, escopos: chave.escopos }
+
+            // Registra depois da resposta para auditar o status final
+            res.on('finish', () => {
+                registrarAuditoria({ nomeChave: chave.nome, metodo: req.method, rota, statusHttp: res.statusCode, ip })
+            })
+
+            next()
+        } catch (erro) {
+            console.error('[AUTH-API] Erro ao autenticar requisição:', erro.message)
+            res.status(500).json({ sucesso: false, erro: 'Erro ao autenticar requisição' })
+        }
+    }
+}
+
+/**
+ * Opções do middleware cors() com a allowlist de CORS_ORIGINS
+ * Sem CORS_ORIGINS, nenhuma origem de navegador é liberada (chamadas servidor-servidor continuam funcionando)
+ */
+export function obterOpcoesCors() {
+    const origensPermitidas = String(process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map(origem => origem.trim().replace(/\/$/, ''))
+        .filter(Boolean)
+
+    return {
+        origin: (origem, callback) => {
+            // Requisições sem Origin (curl, servidor-servidor) não passam pelo CORS
+            if (!origem) return callback(null, true)
+            callback(null, origensPermitidas.includes('*') || origensPermitidas.includes(origem))
+        },
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+    }
+}
+
+/**
+ * Resumo da configuração para log de inicialização
+ */
+export function obterResumoAutenticacao() {
+    return {
+        desativada: AUTENTICACAO_DESATIVADA,
+        chavesAmbiente: chavesAmbiente.length,
+        origensCors: String(process.env.CORS_ORIGINS || '').split(',').filter(origem => origem.trim()).length
+    }
+}
+
+export default {
+    exigirEscopo,
+    obterOpcoesCors,
+    obterResumoAutenticacao,
+    gerarHashChave,
+    ESCOPOS_API
+}
@@ -0,0 +1,519 @@
+/**
+ * Campanhas sazonais (saudação de datas especiais e promoções)
+ * Rei do Churrasco
+ *
+ * Cadastradas na tabela campaigns, sem precisar de deploy (ex: Black Friday).
+ * Enquanto a tabela estiver vazia valem as campanhas padrão (CAMPANHAS_PADRAO),
+ * que podem ser gravadas nela com semearCampanhasPadrao() para edição.
+ *
+ * Colunas de campaigns:
+ *   slug (único), name, rule_type, rule (json), body, priority,
+ *   append_to_greeting (true = acrescenta à saudação normal, false = substitui), active
+ *
+ * Regras (rule_type → rule):
+ *   fixed        { month, day, days }                      - dia fixo (days = duração, padrão 1)
+ *   range        { start: 'MM-DD', end: 'MM-DD' }          - período que se repete todo ano (pode virar o ano)
+ *                { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' } - período único
+ *   nth_weekday  { month, weekday, n, offset, days }       - n-ésimo dia da semana do mês (0 = domingo, n = -1 é o último)
+ *   easter       { offset, days }                          - dias a partir da Páscoa (ex: -50 = sábado de Carnaval)
+ *
+ * Placeholders do texto (ver templates.js):
+ *   {{loja.nome}}, {{loja.site}}, {{saudacao}}, {{campanha.nome}}, {{campanha.ano}}, {{campanha.anoFim}}
+ *
+ * Havendo mais de uma campanha no dia, vale a de maior prioridade.
+ */
+
+import { supabase } from './supabase.js'
+import { renderizarTemplate, validarTemplate } from './templates.js'
+
+const TIMEZONE = 'America/Fortaleza'
+const MS_DIA = 24 * 60 * 60 * 1000
+const TIPOS_REGRA = ['fixed', 'range', 'nth_weekday', 'easter']
+
+export const CAMPANHAS_PADRAO = [
+    {
+        slug: 'carnaval',
+        name: 'Carnaval',
+        rule_type: 'easter',
+        rule: { offset: -50, days: 4 },
+        priority: 80,
+        append_to_greeting: false,
+        active: true,
+        body: `🎉🥩 Seja bem-vindo ao {{loja.nome}}! 🥩🎉
+
+O Carnaval chegou com muito sabor, alegria e aquele churrasco que faz a gente sambar de felicidade! 🥳🔥
+
+Não fique de fora dessa folia de sabores!
+Faça seu pedido agora mesmo: 👉 {{loja.site}}
+
+💛 {{loja.nome}} — O melhor churrasco no ritmo do Carnaval! 💚`
+    },
+    {
+        slug: 'natal',
+        name: 'Natal',
+        rule_type: 'range',
+        rule: { start: '12-20', end: '12-26' },
+        priority: 70,
+        append_to_greeting: false,
+        active: true,
+        body: `🎄🥩 Feliz Natal! 🥩🎄
+
+O *{{loja.nome}}* deseja a você e toda sua família um Natal repleto de paz, amor e muito sabor! 🎅❤️
+
+Neste Natal, celebre com nosso churrasco especial! 🎁🔥
+
+Faça seu pedido: 👉 {{loja.site}}
+
+🌟 {{loja.nome}} — O melhor presente é um churrasco de verdade! 🌟`
+    },
+    {
+        slug: 'ano-novo',
+        name: 'Ano Novo',
+        rule_type: 'range',
+        rule: { start: '12-28', end: '01-02' },
+        priority: 60,
+        append_to_greeting: false,
+        active: true,
+        body: `🎆🥩 Feliz Ano Novo! 🥩🎆
+
+O *{{loja.nome}}* deseja um {{campanha.anoFim}} repleto de conquistas, felicidade e churrascos incríveis! 🥂✨
+
+Comece o ano com o melhor sabor!
+Faça seu pedido: 👉 {{loja.site}}
+
+🎉 {{loja.nome}} — Um novo ano, o mesmo sabor inconfundível! 🎉`
+    },
+    {
+        slug: 'dia-dos-namorados',
+        name: 'Dia dos Namorados',
+        rule_type: 'fixed',
+        rule: { month: 6, day: 12 },
+        priority: 50,
+        append_to_greeting: false,
+        active: true,
+        body: `💕🥩 Feliz Dia dos Namorados! 🥩💕
+
+No *{{loja.nome}}*, acreditamos que o amor combina com um churrasco incrível! 💑🔥
+
+Surpreenda quem você ama com nossos pratos especiais! 🥰
+
+Peça agora: 👉 {{loja.site}}
+
+❤️ {{loja.nome}} — O amor também passa pelo estômago! ❤️`
+    },
+    {
+        slug: 'dia-das-maes',
+        name: 'Dia das Mães',
+        rule_type: 'nth_weekday',
+        rule: { month: 5, weekday: 0, n: 2 },
+        priority: 40,
+        append_to_greeting: false,
+        active: true,
+        body: `👩‍👧‍👦🥩 Feliz Dia das Mães! 🥩👩‍👧‍👦
+
+O *{{loja.nome}}* parabeniza todas as mães! Vocês são incríveis! 💐❤️
+
+Que tal celebrar com um churrasco especial pra ela? 🎉🔥
+
+Peça agora: 👉 {{loja.site}}
+
+💖 {{loja.nome}} — Mãe merece o melhor sabor! 💖`
+    },
+    {
+        slug: 'dia-dos-pais',
+        name: 'Dia dos Pais',
+        rule_type: 'nth_weekday',
+        rule: { month: 8, weekday: 0, n: 2 },
+        priority: 30,
+        append_to_greeting: false,
+        active: true,
+        body: `👨‍👧‍👦🥩 Feliz Dia dos Pais! 🥩👨‍👧‍👦
+
+O *{{loja.nome}}* homenageia todos os pais! Vocês são demais! 💪❤️
+
+Celebre com aquele churrasco que seu pai merece! 🎉🔥
+
+Peça agora: 👉 {{loja.site}}
+
+🏆 {{loja.nome}} — Pai também merece o melhor churrasco! 🏆`
+    },
+    {
+        slug: 'sao-joao',
+        name: 'São João',
+        rule_type: 'range',
+        rule: { start: '06-22', end: '06-25' },
+        priority: 20,
+        append_to_greeting: false,
+        active: true,
+        body: `🎇🥩 Viva São João! 🥩🎇
+
+O *{{loja.nome}}* entra no clima das festas juninas com muito sabor e animação! 🌽🔥
+
+Além do forró, garanta aquele churrasco que combina com tudo!
+
+Faça seu pedido: 👉 {{loja.site}}
+
+🎶 {{loja.nome}} — Arraiá de sabores na brasa! 🎶`
+    },
+    {
+        slug: 'dia-das-criancas',
+        name: 'Dia das Crianças',
+        rule_type: 'fixed',
+        rule: { month: 10, day: 12 },
+        priority: 10,
+        append_to_greeting: false,
+        active: true,
+        body: `🧒🥩 Feliz Dia das Crianças! 🥩🧒
+
+O *{{loja.nome}}* deseja um dia cheio de alegria e diversão para a criançada! 🎈🎉
+
+O melhor presente? Um churrasco delicioso em família! 🤩🔥
+
+Peça agora: 👉 {{loja.site}}
+
+🎁 {{loja.nome}} — Sabor que faz qualquer criança sorrir! 🎁`
+    }
+]
+
+// Cache (recarregado a cada 5 minutos)
+let campanhas = null
+let ultimaAtualizacaoCampanhas = null
+const INTERVALO_CACHE_CAMPANHAS_MS = 5 * 60 * 1000
+
+/**
+ * Calcula a data da Páscoa para um dado ano (algoritmo de Gauss)
+ * Retorna { mes, dia }
+ */
+export function calcularPascoa(ano) {
+    const a = ano % 19
+    const b = Math.floor(ano / 100)
+    const c = ano % 100
+    const d = Math.floor(b / 4)
+    const e = b % 4
+    const f = Math.floor((b + 8) / 25)
+    const g = Math.floor((b - f + 1) / 3)
+    const h = (19 * a + b - d - g + 15) % 30
+    const i = Math.floor(c / 4)
+    const k = c % 4
+    const l = (32 + 2 * e + 2 * i - h - k) % 7
+    const m = Math.floor((a + 11 * h + 22 * l) / 451)
+    const mes = Math.floor((h + l - 7 * m + 114) / 31)
+    const dia = ((h + l - 7 * m + 114) % 31) + 1
+    return { mes, dia }
+}
+
+/**
+ * N-ésimo dia da semana do mês (n = -1 é o último)
+ * @returns {number|null} Data em ms (meia-noite UTC) ou null se não existir
+ */
+function obterNesimoDiaSemana(ano, mes, diaSemana, n) {
+    if (n < 0) {
+        const ultimoDia = Date.UTC(ano, mes, 0)
+        const recuo = (new Date(ultimoDia).getUTCDay() - diaSemana + 7) % 7
+        return ultimoDia - recuo * MS_DIA
+    }
+
+    const primeiroDia = Date.UTC(ano, mes - 1, 1)
+    const avanco = (diaSemana - new Date(primeiroDia).getUTCDay() + 7) % 7
+    const data = primeiroDia + (avanco + (n - 1) * 7) * MS_DIA
+
+    return new Date(data).getUTCMonth() === mes - 1 ? data : null
+}
+
+/**
+ * Converte 'MM-DD' ou 'YYYY-MM-DD' em { ano, mes, dia } (ano null quando repete todo ano)
+ */
+function converterDiaRegra(valor) {
+    const resultado = String(valor || '').match(/^(?:(\d{4})-)?(\d{2})-(\d{2})$/)
+    if (!resultado) return null
+
+    return {
+        ano: resultado[1] ? Number(resultado[1]) : null,
+        mes: Number(resultado[2]),
+        dia: Number(resultado[3])
+    }
+}
+
+/**
+ * Período da campanha que começa no ano informado
+ * @returns {Object|null} { inicio, fim } em ms (meia-noite UTC, inclusive) ou null se não houver
+ */
+export function calcularPeriodoCampanha(campanha, ano) {
+    const regra = campanha.rule || {}
+    const duracao = Math.max(1, Math.floor(Number(regra.days) || 1))
+    const deslocamento = Math.floor(Number(regra.offset) || 0) * MS_DIA
+    let inicio = null
+
+    switch (campanha.rule_type) {
+        case 'fixed':
+            inicio = Date.UTC(ano, Number(regra.month) - 1, Number(regra.day))
+            break
+
+        case 'nth_weekday': {
+            const data = obterNesimoDiaSemana(ano, Number(regra.month), Number(regra.weekday), Number(regra.n) || 1)
+            inicio = data === null ? null : data + deslocamento
+            break
+        }
+
+        case 'easter': {
+            const pascoa = calcularPascoa(ano)
+            inicio = Date.UTC(ano, pascoa.mes - 1, pascoa.dia) + deslocamento
+            break
+        }
+
+        case 'range': {
+            const comeco = converterDiaRegra(regra.start)
+            const termino = converterDiaRegra(regra.end)
+            if (!comeco || !termino) return null
+
+            // Período único: só existe no ano em que começa
+            if (comeco.ano !== null) {
+                if (comeco.ano !== ano) return null
+                return {
+                    inicio: Date.UTC(comeco.ano, comeco.mes - 1, comeco.dia),
+                    fim: Date.UTC(termino.ano ?? comeco.ano, termino.mes - 1, termino.dia)
+                }
+            }
+
+            const inicioRange = Date.UTC(ano, comeco.mes - 1, comeco.dia)
+            let fim = Date.UTC(ano, termino.mes - 1, termino.dia)
+            if (fim < inicioRange) {
+                fim = Date.UTC(ano + 1, termino.mes - 1, termino.dia)
+            }
+            return { inicio: inicioRange, fim }
+        }
+
+        default:
+            return null
+    }
+
+    if (inicio === null || Number.isNaN(inicio)) return null
+
+    return { inicio, fim: inicio + (duracao - 1) * MS_DIA }
+}
+
+/**
+ * Verifica se a campanha vale na data (considera períodos que começaram no ano anterior)
+ * @param {Object} data - { ano, mes, dia }
+ * @returns {Object|null} { inicio, fim } do período em andamento
+ */
+export function obterPeriodoAtivo(campanha, { ano, mes, dia }) {
+    const hoje = Date.UTC(ano, mes - 1, dia)
+
+    for (const anoInicio of [ano, ano - 1]) {
+        const periodo = calcularPeriodoCampanha(campanha, anoInicio)
+        if (periodo && periodo.inicio <= hoje && hoje <= periodo.fim) {
+            return periodo
+        }
+    }
+
+    return null
+}
+
+/**
+ * Valida o cadastro de uma campanha
+ * @returns {Object} { valida, erro }
+ */
+export function validarCampanha(campanha) {
+    if (!TIPOS_REGRA.includes(campanha?.rule_type)) {
+        return { valida: false, erro: `Tipo de regra inválido: ${campanha?.rule_type}` }
+    }
+
+    const template = validarTemplate(campanha.body)
+    if (!template.valido) {
+        return { valida: false, erro: template.erro }
+    }
+
+    const anoAtual = new Date().getUTCFullYear()
+    const regraValida = campanha.rule_type === 'range'
+        ? Boolean(converterDiaRegra(campanha.rule?.start) && converterDiaRegra(campanha.rule?.end))
+        : [anoAtual, anoAtual + 1].some(ano => calcularPeriodoCampanha(campanha, ano))
+
+    if (!regraValida) {
+        return { valida: false, erro: 'Regra de data inválida' }
+    }
+
+    return { valida: true, erro: null }
+}
+
+/**
+ * Carrega as campanhas ativas do Supabase (com cache)
+ * Tabela vazia usa as campanhas padrão; em caso de erro mantém as últimas carregadas
+ * @param {boolean} forcar - Ignora o cache
+ */
+export async function carregarCampanhas(forcar = false) {
+    const agora = Date.now()
+
+    if (!forcar && campanhas && ultimaAtualizacaoCampanhas && (agora - ultimaAtualizacaoCampanhas) < INTERVALO_CACHE_CAMPANHAS_MS) {
+        return campanhas
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('campaigns')
+            .select('slug, name, rule_type, rule, body, priority, append_to_greeting, active')
+
+        if (error) {
+            console.error('[CAMPANHAS] Erro ao carregar campanhas:', error.message)
+            return campanhas || CAMPANHAS_PADRAO
+        }
+
+        const cadastradas = data || []
+        const validas = cadastradas.filter(campanha => {
+            if (campanha.active === false) return false
+
+            const { valida, erro } = validarCampanha(campanha)
+            if (!valida) {
+                console.error(`[CAMPANHAS] Campanha '${campanha.slug}' ignorada: ${erro}`)
+            }
+            return valida
+        })
+
+        campanhas = cadastradas.length > 0 ? validas : CAMPANHAS_PADRAO
+        ultimaAtualizacaoCampanhas = agora
+
+        return campanhas
+    } catch (erro) {
+        console.error('[CAMPANHAS] Erro ao carregar campanhas:', erro.message)
+        return campanhas || CAMPANHAS_PADRAO
+    }
+}
+
+/**
+ * Campanha de maior prioridade que vale na data
+ * @param {Object} data - { ano, mes, dia } no horário da loja
+ * @returns {Promise<Object|null>} { campanha, periodo } ou null
+ */
+export async function obterCampanhaDoDia(data) {
+    const lista = await carregarCampanhas()
+    let escolhida = null
+
+    for (const campanha of lista) {
+        const periodo = obterPeriodoAtivo(campanha, data)
+        if (!periodo) continue
+
+        if (!escolhida || (Number(campanha.priority) || 0) > (Number(escolhida.campanha.priority) || 0)) {
+            escolhida = { campanha, periodo }
+        }
+    }
+
+    return escolhida
+}
+
+/**
+ * Monta a mensagem da campanha
+ * @param {Object} campanhaDoDia - Retorno de obterCampanhaDoDia
+ * @param {Object} contexto - { loja: { nome, site }, saudacao }
+ * @returns {string|null} Mensagem ou null se o texto não puder ser montado
+ */
+export function gerarMensagemCampanha({ campanha, periodo }, contexto = {}) {
+    try {
+        const mensagem = renderizarTemplate(campanha.body, {
+            ...contexto,
+            campanha: {
+                nome: campanha.name,
+                ano: new Date(periodo.inicio).getUTCFullYear(),
+                anoFim: new Date(periodo.fim).getUTCFullYear()
+            }
+        }).trim()
+
+        return mensagem || null
+    } catch (erro) {
+        console.error(`[CAMPANHAS] Erro ao montar campanha '${campanha.slug}':`, erro.message)
+        return null
+    }
+}
+
+function formatarData(ms) {
+    return new Date(ms).toISOString().slice(0, 10)
+}
+
+/**
+ * Data de hoje no horário da loja
+ * @returns {Object} { ano, mes, dia }
+ */
+function obterHojeLocal() {
+    const partes = new Intl.DateTimeFormat('en-CA', {
+        timeZone: TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(new Date())
+
+    const obterParte = (tipo) => parseInt(partes.find(p => p.type === tipo)?.value || '0', 10)
+
+    return { ano: obterParte('year'), mes: obterParte('month'), dia: obterParte('day') }
+}
+
+/**
+ * Lista as campanhas em uso com o período atual ou o próximo
+ * @param {Object} data - { ano, mes, dia } (padrão: hoje no horário da loja)
+ * @returns {Promise<Object>} { data, campanhaDoDia, campanhas: [...] }
+ */
+export async function listarCampanhas(data = obterHojeLocal()) {
+    const lista = await carregarCampanhas()
+    const hoje = Date.UTC(data.ano, data.mes - 1, data.dia)
+    const campanhaDoDia = await obterCampanhaDoDia(data)
+
+    const campanhasListadas = lista.map(campanha => {
+        const proximo = [data.ano - 1, data.ano, data.ano + 1]
+            .map(ano => calcularPeriodoCampanha(campanha, ano))
+            .filter(periodo => periodo && periodo.fim >= hoje)
+            .sort((a, b) => a.inicio - b.inicio)[0]
+
+        return {
+            slug: campanha.slug,
+            nome: campanha.name,
+            tipoRegra: campanha.rule_type,
+            regra: campanha.rule,
+            prioridade: Number(campanha.priority) || 0,
+            anexar: campanha.append_to_greeting === true,
+            ativaHoje: Boolean(proximo && proximo.inicio <= hoje),
+            proximoPeriodo: proximo ? { inicio: formatarData(proximo.inicio), fim: formatarData(proximo.fim) } : null
+        }
+    })
+
+    return {
+        data: formatarData(hoje),
+        campanhaDoDia: campanhaDoDia?.campanha.slug || null,
+        padrao: lista === CAMPANHAS_PADRAO,
+        campanhas: campanhasListadas
+    }
+}
+
+/**
+ * Grava as campanhas padrão na tabela (não altera campanhas já cadastradas com o mesmo slug)
+ * @returns {Promise<number|null>} Quantidade gravada ou null em caso de erro
+ */
+export async function semearCampanhasPadrao() {
+    try {
+        const { data, error } = await supabase
+            .from('campaigns')
+            .upsert(CAMPANHAS_PADRAO, { onConflict: 'slug', ignoreDuplicates: true })
+            .select('slug')
+
+        if (error) {
+            console.error('[CAMPANHAS] Erro ao gravar campanhas padrão:', error.message)
+            return null
+        }
+
+        await carregarCampanhas(true)
+        return data?.length || 0
+    } catch (erro) {
+        console.error('[CAMPANHAS] Erro ao gravar campanhas padrão:', erro.message)
+        return null
+    }
+}
+
+export default {
+    CAMPANHAS_PADRAO,
+    calcularPascoa,
+    calcularPeriodoCampanha,
+    obterPeriodoAtivo,
+    validarCampanha,
+    carregarCampanhas,
+    obterCampanhaDoDia,
+    gerarMensagemCampanha,
+    listarCampanhas,
+    semearCampanhasPadrao
+}
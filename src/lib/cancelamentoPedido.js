@@ -0,0 +1,241 @@
+/**
+ * Cancelamento de pedido pelo cliente (conversa pelo WhatsApp)
+ * Rei do Churrasco
+ *
+ * Fluxo: 'cancelar pedido' → escolha do pedido (se houver mais de um) → motivo → confirmação
+ *
+ * - Só pedidos do próprio telefone (buscarPedidosCliente) ainda em STATUS_CANCELAVEIS
+ * - 'cancelar pedido 123' já escolhe o pedido pelo número
+ * - O update só acontece se o status não mudou durante a conversa (a cozinha pode confirmar antes)
+ * - Conversas ficam em memória e expiram após 10 minutos sem resposta
+ * - Avisos para a loja e o entregador ficam com o index.js (tratarCancelamentoCliente)
+ *
+ * Colunas usadas em orders:
+ *   status, cancellation_reason, cancelled_at
+ */
+
+import { supabase, buscarPedidosCliente } from './supabase.js'
+import { formatarMoeda, obterTextoStatus } from './mensagens.js'
+import { normalizarTexto } from './intencoes.js'
+
+// Status a partir dos quais o cliente ainda pode cancelar sozinho
+export const STATUS_CANCELAVEIS = ['pending', 'pendente', 'confirmed', 'confirmado']
+
+// Pedidos nesses status não aparecem como "em andamento" para o cliente
+const STATUS_ENCERRADOS = [
+    'delivered', 'entregue',
+    'completed', 'finalizado',
+    'cancelled', 'cancelado'
+]
+
+const EXPIRACAO_MS = 10 * 60 * 1000
+const TAMANHO_MAXIMO_MOTIVO = 300
+
+const RESPOSTAS_SIM = ['1', 'sim', 's', 'confirmar', 'confirmo', 'pode cancelar']
+const RESPOSTAS_NAO = ['2', 'nao', 'n', 'nao cancelar']
+const COMANDOS_DESISTIR = ['sair', 'desistir', 'deixa', 'deixa pra la', 'esquece']
+const RESPOSTAS_SEM_MOTIVO = ['0', 'pular', 'sem motivo']
+
+// Conversas em andamento: telefone → { etapa, pedidos, pedidoId, motivo, atualizadoEm }
+const conversas = new Map()
+
+function numeroDoPedido(pedido) {
+    return pedido.order_number || pedido.id?.slice(0, 8)
+}
+
+/**
+ * Verifica se a mensagem pede cancelamento ('cancelar meu pedido', 'quero cancelar o pedido 123')
+ */
+function pedeCancelamento(texto) {
+    if (!/\b(?:cancelar|cancela|cancelamento)\b/.test(texto)) return false
+    return /\bpedido\b/.test(texto) || /^(?:quero )?(?:cancelar|cancela)$/.test(texto)
+}
+
+/**
+ * Cancela o pedido somente se ele ainda estiver em STATUS_CANCELAVEIS
+ * @returns {Promise<Object>} { sucesso, pedido } - se o status mudou antes, pedido traz o status atual
+ */
+async function cancelarPedido(pedido, motivo) {
+    try {
+        const { data, error } = await supabase
+            .from('orders')
+            .update({
+                status: 'cancelled',
+                cancellation_reason: motivo || null,
+                cancelled_at: new Date().toISOString()
+            })
+            .eq('id', pedido.id)
+            .in('status', STATUS_CANCELAVEIS)
+            .select()
+
+        if (error) {
+            console.error(`[CANCELAMENTO] Erro ao cancelar pedido ${pedido.id}:`, error.message)
+            return { sucesso: false, pedido: null }
+        }
+
+        if (data?.length > 0) {
+            return { sucesso: true, pedido: data[0] }
+        }
+
+        // O status mudou durante a conversa: busca o atual para explicar ao cliente
+        const { data: pedidoAtual } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', pedido.id)
+            .single()
+
+        return { sucesso: false, pedido: pedidoAtual || pedido }
+    } catch (erro) {
+        console.error(`[CANCELAMENTO] Erro ao cancelar pedido ${pedido.id}:`, erro.message)
+        return { sucesso: false, pedido: null }
+    }
+}
+
+function gerarMensagemNaoCancelavel(pedido) {
+    return `❌ O pedido *#${numeroDoPedido(pedido)}* está como *${obterTextoStatus(pedido.status)}* e não pode mais ser cancelado por aqui.
+
+Se precisar de ajuda com ele, chame nossa equipe por esta conversa.`
+}
+
+function gerarPerguntaMotivo(pedido) {
+    return `🚫 *Cancelar o pedido #${numeroDoPedido(pedido)}* (${formatarMoeda(pedido.total)})
+
+Pode contar o motivo do cancelamento? _(ou *0* para pular)_`
+}
+
+function gerarPerguntaConfirmacao(pedido, motivo) {
+    return `Confirma o cancelamento do pedido *#${numeroDoPedido(pedido)}* (${formatarMoeda(pedido.total)})?${motivo ? `\n*Motivo:* ${motivo}` : ''}
+
+1. ✅ Sim, cancelar
+2. ❌ Não, manter o pedido`
+}
+
+/**
+ * Começa a conversa: lista os pedidos que o cliente ainda pode cancelar
+ */
+async function iniciarConversa(texto, telefone) {
+    const pedidos = await buscarPedidosCliente(telefone)
+
+    if (pedidos === null) {
+        return { resposta: '⚠️ Não consegui consultar seus pedidos agora. Tente de novo em alguns minutos, por favor.' }
+    }
+
+    // 'cancelar pedido 123' já escolhe o pedido
+    const numeroInformado = texto.match(/(\d+)$/)?.[1]
+    if (numeroInformado) {
+        const pedido = pedidos.find(item => String(item.order_number) === numeroInformado)
+
+        if (pedido && !STATUS_CANCELAVEIS.includes(pedido.status)) {
+            return { resposta: gerarMensagemNaoCancelavel(pedido) }
+        }
+
+        if (pedido) {
+            conversas.set(telefone, { etapa: 'motivo', pedidos: [pedido], pedidoId: pedido.id, motivo: null, atualizadoEm: Date.now() })
+            return { resposta: gerarPerguntaMotivo(pedido) }
+        }
+    }
+
+    const cancelaveis = pedidos.filter(pedido => STATUS_CANCELAVEIS.includes(pedido.status))
+
+    if (cancelaveis.length === 0) {
+        const emAndamento = pedidos.find(pedido => !STATUS_ENCERRADOS.includes(pedido.status))
+
+        return {
+            resposta: emAndamento
+                ? gerarMensagemNaoCancelavel(emAndamento)
+                : 'Não encontrei pedidos em andamento neste número para cancelar. 🤔'
+        }
+    }
+
+    if (cancelaveis.length === 1) {
+        conversas.set(telefone, { etapa: 'motivo', pedidos: cancelaveis, pedidoId: cancelaveis[0].id, motivo: null, atualizadoEm: Date.now() })
+        return { resposta: gerarPerguntaMotivo(cancelaveis[0]) }
+    }
+
+    conversas.set(telefone, { etapa: 'escolher', pedidos: cancelaveis, pedidoId: null, motivo: null, atualizadoEm: Date.now() })
+
+    const lista = cancelaveis
+        .map((pedido, indice) => `${indice + 1}. Pedido *#${numeroDoPedido(pedido)}* - ${formatarMoeda(pedido.total)} (${obterTextoStatus(pedido.status)})`)
+        .join('\n')
+
+    return { resposta: `Qual pedido você quer cancelar?\n${lista}\n\nResponda com a opção ou *sair* para desistir.` }
+}
+
+/**
+ * Processa a mensagem dentro da conversa de cancelamento
+ * @param {string} mensagem - Texto recebido
+ * @param {string} telefone - Número do cliente
+ * @returns {Promise<Object|null>} { resposta, pedidoCancelado, motivo } ou null se a mensagem não faz parte da conversa
+ */
+export async function processarCancelamentoCliente(mensagem, telefone) {
+    const texto = normalizarTexto(mensagem)
+    let conversa = conversas.get(telefone)
+
+    if (conversa && Date.now() - conversa.atualizadoEm > EXPIRACAO_MS) {
+        conversas.delete(telefone)
+        conversa = null
+    }
+
+    if (!conversa) {
+        return pedeCancelamento(texto) ? await iniciarConversa(texto, telefone) : null
+    }
+
+    if (COMANDOS_DESISTIR.includes(texto)) {
+        conversas.delete(telefone)
+        return { resposta: '👍 Tudo certo, nenhum pedido foi cancelado.' }
+    }
+
+    conversa.atualizadoEm = Date.now()
+    const pedido = conversa.pedidos.find(item => item.id === conversa.pedidoId)
+
+    if (conversa.etapa === 'escolher') {
+        const opcao = /^\d+$/.test(texto) ? Number(texto) : null
+        const escolhido = conversa.pedidos[opcao - 1] || conversa.pedidos.find(item => String(item.order_number) === texto)
+
+        if (!escolhido) {
+            return { resposta: 'Não encontrei essa opção. Responda com o número da lista ou *sair* para desistir.' }
+        }
+
+        conversa.pedidoId = escolhido.id
+        conversa.etapa = 'motivo'
+        return { resposta: gerarPerguntaMotivo(escolhido) }
+    }
+
+    if (conversa.etapa === 'motivo') {
+        conversa.motivo = RESPOSTAS_SEM_MOTIVO.includes(texto) ? null : String(mensagem).trim().slice(0, TAMANHO_MAXIMO_MOTIVO)
+        conversa.etapa = 'confirmar'
+        return { resposta: gerarPerguntaConfirmacao(pedido, conversa.motivo) }
+    }
+
+    if (RESPOSTAS_NAO.includes(texto)) {
+        conversas.delete(telefone)
+        return { resposta: `👍 Combinado! Seu pedido *#${numeroDoPedido(pedido)}* continua valendo.` }
+    }
+
+    if (!RESPOSTAS_SIM.includes(texto)) {
+        return { resposta: `Responda *1* para cancelar ou *2* para manter o pedido.\n\n${gerarPerguntaConfirmacao(pedido, conversa.motivo)}` }
+    }
+
+    const { sucesso, pedido: pedidoAtualizado } = await cancelarPedido(pedido, conversa.motivo)
+
+    if (!pedidoAtualizado) {
+        return { resposta: '⚠️ Não consegui cancelar agora. Responda *1* de novo em instantes, por favor.' }
+    }
+
+    conversas.delete(telefone)
+
+    if (!sucesso) {
+        return { resposta: gerarMensagemNaoCancelavel(pedidoAtualizado) }
+    }
+
+    return {
+        resposta: 'Se você já pagou, nossa equipe entra em contato para combinar o estorno.',
+        pedidoCancelado: pedidoAtualizado,
+        motivo: conversa.motivo
+    }
+}
+
+export default {
+    STATUS_CANCELAVEIS,
+    processarCancelamentoCliente
+}
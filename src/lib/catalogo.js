@@ -0,0 +1,242 @@
+/**
+ * Catálogo de produtos (o mesmo que alimenta o site) para as respostas automáticas
+ * Rei do Churrasco
+ *
+ * - Busca produtos citados na mensagem ('quanto é a picanha?', 'tem costela hoje?')
+ * - Lista uma categoria ('quais bebidas tem?')
+ * - Tolera erros de digitação e plural (mesma comparação de palavras de intencoes.js)
+ *
+ * Tabelas (env):
+ *   CATALOGO_TABELA_PRODUTOS   - padrão 'products'
+ *   CATALOGO_TABELA_CATEGORIAS - padrão 'categories'
+ *
+ * Colunas aceitas (compatível com nomes em inglês e português):
+ *   produto:   name/nome, description/descricao, price/preco, category_id/category/categoria,
+ *              active/ativo/visible (false = fora do site), available/is_available/disponivel (false = esgotado),
+ *              stock/stock_quantity/estoque (vazio = sem controle de estoque),
+ *              addons/adicionais/extras (lista de { name/nome, price/preco })
+ *   categoria: id, name/nome
+ */
+
+import { supabase } from './supabase.js'
+import { separarPalavras, compararPalavra } from './intencoes.js'
+
+const TABELA_PRODUTOS = process.env.CATALOGO_TABELA_PRODUTOS || 'products'
+const TABELA_CATEGORIAS = process.env.CATALOGO_TABELA_CATEGORIAS || 'categories'
+
+// Estoque a partir do qual a resposta avisa 'últimas unidades'
+export const ESTOQUE_BAIXO = 5
+
+// Palavras que não identificam produto ('quanto é a picanha' → 'picanha')
+const PALAVRAS_IGNORADAS = new Set(separarPalavras(`
+    a o as os um uma uns umas e de da do das dos no na nos nas em com sem pra para por pro
+    que qual quais quanto quanta quantos quantas custa custo preco precos valor valores
+    tem tera teria tao ta esta estao voces vcs vc voce ai hoje agora ainda mais me manda mandar
+    quero queria gostaria pode poderia favor pf pfv sim nao oi ola bom boa dia tarde noite
+    cardapio opcoes opcao tipos tipo sabores lista todas todos disponivel disponiveis
+    kg g ml l un und unidade porcao inteira meia grande pequena media
+`))
+
+// Palavras que indicam pedido de lista da categoria
+const PALAVRAS_LISTAGEM = new Set(separarPalavras('quais lista opcoes tipos sabores todas todos'))
+
+// Palavras de pergunta sobre produto (mensagens sem intenção reconhecida)
+const PALAVRAS_CONSULTA = new Set(separarPalavras('quanto quanta custa preco valor tem'))
+
+// Cache (recarregado a cada 5 minutos)
+let catalogo = null
+let ultimaAtualizacaoCatalogo = null
+const INTERVALO_CACHE_CATALOGO_MS = 5 * 60 * 1000
+
+function primeiroNumero(...valores) {
+    for (const valor of valores) {
+        if (valor === null || valor === undefined || valor === '') continue
+        const numero = Number(valor)
+        if (Number.isFinite(numero)) return numero
+    }
+    return null
+}
+
+/**
+ * Palavras que identificam o nome (sem palavras genéricas)
+ */
+function extrairPalavrasChave(texto) {
+    return separarPalavras(texto).filter(palavra => palavra.length > 1 && !PALAVRAS_IGNORADAS.has(palavra) && !/^\d/.test(palavra))
+}
+
+function converterAdicionais(registro) {
+    const lista = registro.addons || registro.adicionais || registro.extras || registro.complements
+    if (!Array.isArray(lista)) return []
+
+    return lista
+        .map(adicional => ({
+            nome: String(adicional?.name || adicional?.nome || adicional?.label || '').trim(),
+            preco: primeiroNumero(adicional?.price, adicional?.preco, adicional?.valor) ?? 0
+        }))
+        .filter(adicional => adicional.nome)
+}
+
+function converterCategoria(registro) {
+    const nome = String(registro.name || registro.nome || '').trim()
+    return { id: registro.id, nome, palavras: extrairPalavrasChave(nome) }
+}
+
+function converterProduto(registro, categoriasPorId) {
+    const nome = String(registro.name || registro.nome || registro.title || '').trim()
+    const categoria = categoriasPorId.get(registro.category_id ?? registro.categoria_id) ||
+        (typeof registro.category === 'string' ? registro.category : '') ||
+        (typeof registro.categoria === 'string' ? registro.categoria : '')
+
+    return {
+        id: registro.id,
+        nome,
+        descricao: String(registro.description || registro.descricao || '').trim(),
+        preco: primeiroNumero(registro.price, registro.preco, registro.base_price),
+        categoria,
+        ativo: registro.active !== false && registro.ativo !== false && registro.visible !== false,
+        disponivel: registro.available !== false && registro.is_available !== false && registro.disponivel !== false,
+        estoque: primeiroNumero(registro.stock, registro.stock_quantity, registro.estoque),
+        adicionais: converterAdicionais(registro),
+        palavras: extrairPalavrasChave(nome)
+    }
+}
+
+/**
+ * Verifica se o produto pode ser vendido agora
+ */
+export function produtoDisponivel(produto) {
+    return produto.disponivel && (produto.estoque === null || produto.estoque > 0)
+}
+
+/**
+ * Carrega produtos e categorias do Supabase (com cache)
+ * Em caso de erro mantém o último catálogo carregado
+ * @param {boolean} forcar - Ignora o cache
+ * @returns {Promise<Object>} { produtos, categorias }
+ */
+export async function carregarCatalogo(forcar = false) {
+    const agora = Date.now()
+
+    if (!forcar && catalogo && ultimaAtualizacaoCatalogo && (agora - ultimaAtualizacaoCatalogo) < INTERVALO_CACHE_CATALOGO_MS) {
+        return catalogo
+    }
+
+    try {
+        const [produtos, categorias] = await Promise.all([
+            supabase.from(TABELA_PRODUTOS).select('*'),
+            supabase.from(TABELA_CATEGORIAS).select('*')
+        ])
+
+        if (produtos.error) {
+            console.error('[CATALOGO] Erro ao carregar produtos:', produtos.error.message)
+            return catalogo || { produtos: [], categorias: [] }
+        }
+
+        // Sem tabela de categorias, usa a categoria em texto do próprio produto
+        if (categorias.error) {
+            console.error('[CATALOGO] Erro ao carregar categorias:', categorias.error.message)
+        }
+
+        const listaCategorias = (categorias.data || []).map(converterCategoria).filter(categoria => categoria.nome)
+        const categoriasPorId = new Map(listaCategorias.map(categoria => [categoria.id, categoria.nome]))
+
+        const listaProdutos = (produtos.data || [])
+            .map(registro => converterProduto(registro, categoriasPorId))
+            .filter(produto => produto.nome && produto.ativo)
+
+        // Categorias em texto que não estão na tabela
+        for (const nome of new Set(listaProdutos.map(produto => produto.categoria).filter(Boolean))) {
+            if (!listaCategorias.some(categoria => categoria.nome === nome)) {
+                listaCategorias.push(converterCategoria({ nome }))
+            }
+        }
+
+        catalogo = { produtos: listaProdutos, categorias: listaCategorias }
+        ultimaAtualizacaoCatalogo = agora
+
+        return catalogo
+    } catch (erro) {
+        console.error('[CATALOGO] Erro ao carregar catálogo:', erro.message)
+        return catalogo || { produtos: [], categorias: [] }
+    }
+}
+
+/**
+ * Quantas palavras da mensagem aparecem no nome (com tolerância a erro de digitação)
+ */
+function contarCorrespondencias(palavrasMensagem, palavrasNome) {
+    return palavrasMensagem.filter(palavra => palavrasNome.some(palavraNome => compararPalavra(palavra, palavraNome) > 0)).length
+}
+
+/**
+ * Verifica se a mensagem pergunta sobre preço ou disponibilidade ('quanto', 'tem', 'preço'...)
+ */
+export function pareceConsultaProduto(mensagem) {
+    return separarPalavras(mensagem).some(palavra => PALAVRAS_CONSULTA.has(palavra))
+}
+
+/**
+ * Procura na mensagem produtos ou uma categoria do catálogo
+ * @param {string} mensagem - Texto recebido
+ * @param {Object} dadosCatalogo - Retorno de carregarCatalogo
+ * @returns {Object|null} { tipo: 'produtos', produtos } | { tipo: 'categoria', categoria, produtos } | null
+ */
+export function buscarNoCatalogo(mensagem, { produtos, categorias }) {
+    const palavrasMensagem = extrairPalavrasChave(mensagem)
+    if (palavrasMensagem.length === 0) return null
+
+    let melhorPontuacao = 0
+    let encontrados = []
+
+    for (const produto of produtos) {
+        const pontuacao = contarCorrespondencias(palavrasMensagem, produto.palavras)
+        if (pontuacao === 0 || pontuacao < melhorPontuacao) continue
+
+        if (pontuacao > melhorPontuacao) {
+            melhorPontuacao = pontuacao
+            encontrados = []
+        }
+        encontrados.push(produto)
+    }
+
+    let categoria = null
+    let pontuacaoCategoria = 0
+
+    for (const item of categorias) {
+        const pontuacao = contarCorrespondencias(palavrasMensagem, item.palavras)
+        if (pontuacao > pontuacaoCategoria) {
+            categoria = item
+            pontuacaoCategoria = pontuacao
+        }
+    }
+
+    const pedeListagem = separarPalavras(mensagem).some(palavra => PALAVRAS_LISTAGEM.has(palavra))
+
+    if (categoria && (encontrados.length === 0 || pedeListagem || pontuacaoCategoria > melhorPontuacao)) {
+        const daCategoria = produtos.filter(produto => produto.categoria === categoria.nome)
+        if (daCategoria.length > 0) {
+            return { tipo: 'categoria', categoria: categoria.nome, produtos: ordenarProdutos(daCategoria) }
+        }
+    }
+
+    if (encontrados.length === 0) return null
+
+    return { tipo: 'produtos', produtos: ordenarProdutos(encontrados) }
+}
+
+/**
+ * Disponíveis primeiro, depois por nome
+ */
+function ordenarProdutos(produtos) {
+    return [...produtos].sort((a, b) =>
+        Number(produtoDisponivel(b)) - Number(produtoDisponivel(a)) || a.nome.localeCompare(b.nome, 'pt-BR')
+    )
+}
+
+export default {
+    ESTOQUE_BAIXO,
+    produtoDisponivel,
+    carregarCatalogo,
+    pareceConsultaProduto,
+    buscarNoCatalogo
+}
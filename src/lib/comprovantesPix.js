@@ -0,0 +1,126 @@
+/**
+ * Comprovantes de pagamento PIX enviados pelos clientes
+ * Rei do Churrasco
+ *
+ * - Localiza o pedido PIX em aberto do cliente pelo telefone (orders.customer_phone)
+ * - Salva o arquivo (imagem ou PDF) no bucket do Storage
+ * - Anexa o caminho do arquivo ao pedido (nunca substitui um comprovante já anexado)
+ *
+ * Colunas usadas em orders:
+ *   payment_method, payment_status, customer_phone, status, created_at,
+ *   payment_receipt_path, payment_receipt_at
+ *
+ * Bucket: env PIX_COMPROVANTES_BUCKET (padrão 'pix-receipts')
+ */
+
+import { supabase, buscarPedidosCliente } from './supabase.js'
+
+const BUCKET_COMPROVANTES = process.env.PIX_COMPROVANTES_BUCKET || 'pix-receipts'
+
+// Só considera pedidos recentes (comprovante costuma chegar logo após o pedido)
+const JANELA_PEDIDOS_HORAS = 24
+
+const STATUS_PEDIDO_ENCERRADO = ['cancelled', 'cancelado', 'delivered', 'entregue', 'completed', 'finalizado']
+const STATUS_PAGAMENTO_QUITADO = ['paid', 'pago', 'confirmed', 'confirmado']
+
+const EXTENSOES_POR_MIMETYPE = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf'
+}
+
+function normalizarTexto(valor) {
+    return String(valor || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+}
+
+/**
+ * Verifica se o mimetype é aceito como comprovante (imagem ou PDF)
+ */
+export function mimetypeComprovanteAceito(mimetype) {
+    const tipo = String(mimetype || '').split(';')[0].trim().toLowerCase()
+    return tipo.startsWith('image/') || tipo === 'application/pdf'
+}
+
+/**
+ * Busca o pedido PIX mais recente do telefone que ainda não foi pago nem tem comprovante anexado
+ * @param {string} telefone - Número do remetente
+ * @returns {Promise<Object|null>} Pedido ou null
+ */
+export async function buscarPedidoPixEmAberto(telefone) {
+    const pedidos = await buscarPedidosCliente(telefone, { horas: JANELA_PEDIDOS_HORAS })
+    if (!pedidos) return null
+
+    // Status e forma de pagamento vêm em caixa e acentuação variadas: comparados já normalizados
+    return pedidos.find(pedido =>
+        normalizarTexto(pedido.payment_method).includes('pix') &&
+        !STATUS_PEDIDO_ENCERRADO.includes(normalizarTexto(pedido.status)) &&
+        !STATUS_PAGAMENTO_QUITADO.includes(normalizarTexto(pedido.payment_status)) &&
+        !pedido.payment_receipt_path
+    ) || null
+}
+
+/**
+ * Salva o comprovante no Storage e anexa ao pedido
+ * Se o pedido já tiver um comprovante (ex.: dois arquivos enviados em sequência), o primeiro
+ * é mantido e o novo arquivo fica só no bucket, para a loja conferir
+ * @param {Object} pedido - Pedido PIX em aberto
+ * @param {Object} arquivo
+ * @param {Buffer} arquivo.conteudo - Conteúdo do arquivo
+ * @param {string} arquivo.mimetype - Tipo do arquivo (imagem ou PDF)
+ * @param {string} arquivo.identificador - ID da mensagem (evita duplicar o mesmo arquivo)
+ * @returns {Promise<Object>} { situacao: 'anexado' | 'ja_anexado' | 'erro', caminho }
+ */
+export async function salvarComprovantePix(pedido, { conteudo, mimetype, identificador }) {
+    const tipo = String(mimetype || '').split(';')[0].trim().toLowerCase()
+    const extensao = EXTENSOES_POR_MIMETYPE[tipo] || 'jpg'
+    const caminho = `${pedido.id}/${identificador || Date.now()}.${extensao}`
+
+    try {
+        // O caminho é único por mensagem: upsert só regrava o mesmo arquivo se a mensagem for reprocessada
+        const { error: erroUpload } = await supabase.storage
+            .from(BUCKET_COMPROVANTES)
+            .upload(caminho, conteudo, { contentType: tipo, upsert: true })
+
+        if (erroUpload) {
+            console.error(`[COMPROVANTE] Erro ao salvar arquivo do pedido ${pedido.id}:`, erroUpload.message)
+            return { situacao: 'erro', caminho: null }
+        }
+
+        // Só anexa se o pedido ainda não tiver comprovante
+        const { data, error: erroPedido } = await supabase
+            .from('orders')
+            .update({
+                payment_receipt_path: caminho,
+                payment_receipt_at: new Date().toISOString()
+            })
+            .eq('id', pedido.id)
+            .is('payment_receipt_path', null)
+            .select('id')
+
+        if (erroPedido) {
+            console.error(`[COMPROVANTE] Erro ao anexar comprovante ao pedido ${pedido.id}:`, erroPedido.message)
+            return { situacao: 'erro', caminho }
+        }
+
+        if (!data || data.length === 0) {
+            console.error(`[COMPROVANTE] Pedido ${pedido.id} já tem comprovante anexado; novo arquivo mantido em ${caminho}`)
+            return { situacao: 'ja_anexado', caminho }
+        }
+
+        return { situacao: 'anexado', caminho }
+    } catch (erro) {
+        console.error(`[COMPROVANTE] Erro ao salvar comprovante do pedido ${pedido.id}:`, erro.message)
+        return { situacao: 'erro', caminho: null }
+    }
+}
+
+export default {
+    buscarPedidoPixEmAberto,
+    salvarComprovantePix,
+    mimetypeComprovanteAceito
+}
@@ -0,0 +1,142 @@
+/**
+ * Configuração das lojas (marcas) atendidas pelo mesmo processo
+ * Rei do Churrasco
+ *
+ * Arquivo JSON (LOJAS_ARQUIVO, padrão ./lojas.json) com uma lista de lojas:
+ *   [{
+ *     "id": "rei",                      - usado nas rotas (/lojas/rei/status)
+ *     "nome": "Rei do Churrasco",
+ *     "porta": 3101,                    - porta interna do bot da loja (só 127.0.0.1)
+ *     "ativa": true,
+ *     "env": {                          - variáveis do bot da loja (sobrescrevem as do processo)
+ *       "SESSION_ID": "rei-do-churrasco",
+ *       "NUMERO_LOJA": "5586999999999",
+ *       "SUPABASE_URL": "...", "SUPABASE_ANON_KEY": "...",
+ *       "LOJA_NOME": "Rei do Churrasco", "LOJA_SITE": "https://...",
+ *       "LOJA_ENDERECO": "...", "LOJA_MAPS_LINK": "https://...", "LOJA_TELEFONE": "(86) ...",
+ *       "LOJA_SLOGAN": "...", "LOJA_EMOJI": "🔥🥩"
+ *     }
+ *   }]
+ *
+ * Cada loja usa o próprio Supabase (SUPABASE_URL/SUPABASE_ANON_KEY distintos no env da loja:
+ * pedidos, store_settings, pix_keys, message_templates) e uma sessão do WhatsApp própria (SESSION_ID distinto).
+ * Os dados da loja (LOJA_*) vêm só do env da loja: os do processo principal não são herdados,
+ * para uma marca nunca sair com o endereço ou telefone de outra.
+ */
+
+import fs from 'fs'
+
+const REGEX_ID_LOJA = /^[a-z0-9][a-z0-9-]*$/
+
+// Dados da loja obrigatórios no env de cada loja
+const DADOS_LOJA_OBRIGATORIOS = ['LOJA_NOME', 'LOJA_SITE']
+
+/**
+ * Lê e valida o arquivo de lojas
+ * @param {string} caminho - Caminho do JSON
+ * @returns {Array} Lojas ativas
+ * @throws {Error} Se o arquivo não existir ou for inválido
+ */
+export function carregarConfigLojas(caminho) {
+    if (!fs.existsSync(caminho)) {
+        throw new Error(`Arquivo de lojas não encontrado: ${caminho}`)
+    }
+
+    let lojas
+    try {
+        lojas = JSON.parse(fs.readFileSync(caminho, 'utf-8'))
+    } catch (erro) {
+        throw new Error(`Arquivo de lojas inválido (${caminho}): ${erro.message}`)
+    }
+
+    if (!Array.isArray(lojas) || lojas.length === 0) {
+        throw new Error('O arquivo de lojas deve conter uma lista com pelo menos uma loja')
+    }
+
+    const ids = new Set()
+    const portas = new Set()
+    const sessoes = new Set()
+    const projetosSupabase = new Set()
+
+    for (const loja of lojas) {
+        if (!REGEX_ID_LOJA.test(String(loja?.id || ''))) {
+            throw new Error(`Id de loja inválido: '${loja?.id}' (use letras minúsculas, números e hífen)`)
+        }
+        if (ids.has(loja.id)) {
+            throw new Error(`Id de loja repetido: ${loja.id}`)
+        }
+
+        const porta = Number(loja.porta)
+        if (!Number.isInteger(porta) || porta <= 0 || porta > 65535) {
+            throw new Error(`Porta inválida na loja ${loja.id}`)
+        }
+        if (portas.has(porta)) {
+            throw new Error(`Porta ${porta} repetida (loja ${loja.id})`)
+        }
+
+        const sessao = loja.env?.SESSION_ID
+        if (!sessao) {
+            throw new Error(`SESSION_ID obrigatório na loja ${loja.id}`)
+        }
+        if (sessoes.has(sessao)) {
+            throw new Error(`SESSION_ID '${sessao}' repetido (loja ${loja.id}) - cada loja precisa de uma sessão própria`)
+        }
+
+        // Credenciais do Supabase precisam estar no env da própria loja (não valem as do processo)
+        const urlSupabase = String(loja.env.SUPABASE_URL || '').trim().replace(/\/+$/, '').toLowerCase()
+        if (!urlSupabase || !loja.env.SUPABASE_ANON_KEY) {
+            throw new Error(`SUPABASE_URL e SUPABASE_ANON_KEY obrigatórios na loja ${loja.id}`)
+        }
+        if (projetosSupabase.has(urlSupabase)) {
+            throw new Error(`SUPABASE_URL '${loja.env.SUPABASE_URL}' repetido (loja ${loja.id}) - cada loja precisa de um Supabase próprio`)
+        }
+
+        const ausentes = DADOS_LOJA_OBRIGATORIOS.filter(chave => !loja.env[chave])
+        if (ausentes.length > 0) {
+            throw new Error(`${ausentes.join(', ')} obrigatório(s) na loja ${loja.id}`)
+        }
+
+        ids.add(loja.id)
+        portas.add(porta)
+        sessoes.add(sessao)
+        projetosSupabase.add(urlSupabase)
+    }
+
+    return lojas
+        .filter(loja => loja.ativa !== false)
+        .map(loja => ({
+            id: loja.id,
+            nome: loja.nome || loja.id,
+            porta: Number(loja.porta),
+            env: { ...(loja.env || {}) }
+        }))
+}
+
+/**
+ * Monta as variáveis de ambiente do bot da loja
+ * @param {Object} loja - Loja validada
+ * @param {Object} ambienteBase - Variáveis do processo principal
+ */
+export function montarAmbienteLoja(loja, ambienteBase = process.env) {
+    // Dados de outra marca (LOJA_* do .env do processo) não passam para a loja.
+    // Ficam definidos como vazios: o worker também roda 'dotenv/config', que não sobrescreve
+    // variáveis já existentes mas recriaria as removidas com os valores do .env principal
+    const ambienteCompartilhado = Object.fromEntries(
+        Object.entries(ambienteBase).map(([chave, valor]) => [chave, chave.startsWith('LOJA_') ? '' : valor])
+    )
+
+    return {
+        ...ambienteCompartilhado,
+        // Credenciais em arquivo ficam em pastas separadas por loja
+        AUTH_DIR: `./auth_info_${loja.id}`,
+        ...loja.env,
+        LOJA_ID: loja.id,
+        PORT: String(loja.porta),
+        HOST: '127.0.0.1'
+    }
+}
+
+export default {
+    carregarConfigLojas,
+    montarAmbienteLoja
+}
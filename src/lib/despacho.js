@@ -0,0 +1,101 @@
+/**
+ * Despacho de entregas para os entregadores
+ * Rei do Churrasco
+ *
+ * - Filtra entregadores com check-in no turno de hoje (ver turnos.js); sem ninguém em turno,
+ *   usa todos os entregadores ativos (e a loja é alertada) para o pedido não ficar sem aviso
+ * - Avisa apenas quem atende o bairro do pedido (funcionarios.bairros)
+ * - Sem ninguém no bairro, avisa todos os entregadores disponíveis
+ * - Modo rodízio: oferece o pedido a um entregador por vez, com prazo para aceitar
+ *
+ * funcionarios.bairros: array de texto ou texto separado por vírgula (ex: 'Centro, São Francisco')
+ *
+ * Configuração (env):
+ *   DESPACHO_MODO                   - 'todos' (padrão) ou 'rodizio'
+ *   DESPACHO_TEMPO_OFERTA_SEGUNDOS  - prazo de cada oferta no rodízio (padrão 120)
+ */
+
+import { extrairBairro } from './mensagens.js'
+import { entregadorEmTurno } from './turnos.js'
+
+export const MODO_DESPACHO = process.env.DESPACHO_MODO === 'rodizio' ? 'rodizio' : 'todos'
+export const TEMPO_OFERTA_MS = (Number(process.env.DESPACHO_TEMPO_OFERTA_SEGUNDOS) || 120) * 1000
+
+// Posição do rodízio: cada pedido começa pelo entregador seguinte ao do pedido anterior
+let posicaoRodizio = 0
+
+function normalizarBairro(valor) {
+    return String(valor || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * Lista os bairros atendidos pelo entregador (normalizados)
+ */
+export function listarBairrosEntregador(entregador) {
+    const bairros = Array.isArray(entregador?.bairros)
+        ? entregador.bairros
+        : String(entregador?.bairros || '').split(',')
+
+    return bairros.map(normalizarBairro).filter(Boolean)
+}
+
+/**
+ * Verifica se o entregador atende o bairro (ignora acentos e maiúsculas)
+ */
+export function entregadorAtendeBairro(entregador, bairro) {
+    const bairroNormalizado = normalizarBairro(bairro)
+    if (!bairroNormalizado) return false
+
+    return listarBairrosEntregador(entregador).includes(bairroNormalizado)
+}
+
+/**
+ * Seleciona os entregadores que devem receber o pedido
+ * - Considera quem fez check-in no turno de hoje; sem ninguém em turno, todos os ativos (semTurno: true)
+ * - Prioriza quem atende o bairro do pedido; sem correspondência, usa todos os disponíveis
+ * @param {Object} pedido - Pedido de delivery
+ * @param {Array} entregadores - Entregadores ativos
+ * @returns {Object} { entregadores, criterio: 'bairro' | 'todos', bairro, semTurno }
+ */
+export function selecionarEntregadoresParaPedido(pedido, entregadores) {
+    const emTurno = entregadores.filter(entregadorEmTurno)
+    const semTurno = emTurno.length === 0
+    const disponiveis = semTurno ? entregadores : emTurno
+    const bairro = extrairBairro(pedido)
+
+    const doBairro = disponiveis.filter(entregador => entregadorAtendeBairro(entregador, bairro))
+
+    if (doBairro.length > 0) {
+        return { entregadores: doBairro, criterio: 'bairro', bairro, semTurno }
+    }
+
+    return { entregadores: disponiveis, criterio: 'todos', bairro, semTurno }
+}
+
+/**
+ * Ordena os entregadores para o rodízio, começando pelo próximo da vez
+ * Avança a posição do rodízio a cada chamada (um pedido por chamada)
+ */
+export function ordenarParaRodizio(entregadores) {
+    if (entregadores.length === 0) return []
+
+    const ordenados = [...entregadores].sort((a, b) => String(a.id).localeCompare(String(b.id)))
+    const inicio = posicaoRodizio % ordenados.length
+    posicaoRodizio++
+
+    return [...ordenados.slice(inicio), ...ordenados.slice(0, inicio)]
+}
+
+export default {
+    MODO_DESPACHO,
+    TEMPO_OFERTA_MS,
+    listarBairrosEntregador,
+    entregadorAtendeBairro,
+    selecionarEntregadoresParaPedido,
+    ordenarParaRodizio
+}
@@ -0,0 +1,205 @@
+/**
+ * Entregas pelo WhatsApp - comandos dos entregadores e da loja
+ * Rei do Churrasco
+ *
+ * Comandos reconhecidos (mensagem do entregador):
+ *   'entrei'               - entra no turno (passa a receber pedidos)
+ *   'saí do turno'         - sai do turno
+ *   'pego 123'             - assume a entrega do pedido 123 (o primeiro que responder fica com ela)
+ *   'saí 123'              - saiu para a entrega (status out_for_delivery)
+ *   'entreguei 123'        - entrega concluída (status delivered)
+ *   'problema 123 <texto>' - avisa a loja sobre um problema na entrega
+ *
+ * Comandos reconhecidos (mensagem do número da loja):
+ *   'quem está de turno'   - lista os entregadores em turno
+ *
+ * Colunas usadas em orders:
+ *   order_number, status, created_at,
+ *   entregador_id, entregador_nome, entregador_atribuido_em, entregue_em
+ */
+
+import { supabase } from './supabase.js'
+
+// Pedidos mais antigos que isso não são encontrados pelo número (a numeração pode reiniciar)
+const JANELA_BUSCA_PEDIDO_MS = 24 * 60 * 60 * 1000
+
+const COMANDOS_ENTREGADOR = [
+    { acao: 'entrar_turno', padrao: /^(?:entrei|cheguei)(?:\s+no\s+turno)?$/ },
+    { acao: 'sair_turno', padrao: /^(?:sai|sair|saindo)\s+do\s+turno$/ },
+    { acao: 'pegar', padrao: /^(?:pego|peguei)\s+(?:o\s+)?(?:pedido\s+)?#?(\d+)$/ },
+    { acao: 'sair', padrao: /^(?:sai|saindo)\s+(?:com\s+)?(?:o\s+)?(?:pedido\s+)?#?(\d+)$/ },
+    { acao: 'entregar', padrao: /^entreguei\s+(?:o\s+)?(?:pedido\s+)?#?(\d+)$/ },
+    { acao: 'problema', padrao: /^problema\s+(?:no\s+|com\s+o\s+)?(?:pedido\s+)?#?(\d+)\b/ }
+]
+
+const COMANDOS_LOJA = [
+    { acao: 'consultar_turno', padrao: /^quem\s+(?:esta|ta)\s+(?:de|no)\s+turno\??$/ }
+]
+
+// Status de destino de cada comando e status a partir dos quais ele é aceito
+export const TRANSICOES_ENTREGADOR = {
+    sair: {
+        novoStatus: 'out_for_delivery',
+        statusPermitidos: ['confirmed', 'confirmado', 'preparing', 'preparando', 'ready', 'pronto']
+    },
+    entregar: {
+        novoStatus: 'delivered',
+        statusPermitidos: ['ready', 'pronto', 'out_for_delivery', 'saiu_entrega']
+    }
+}
+
+function normalizarTexto(valor) {
+    return String(valor || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * Interpreta a mensagem como comando de entregador
+ * @param {string} texto - Texto recebido
+ * @returns {Object|null} { acao, numeroPedido, descricao } ou null se não for comando
+ */
+export function interpretarComandoEntregador(texto) {
+    const textoNormalizado = normalizarTexto(texto)
+
+    for (const { acao, padrao } of COMANDOS_ENTREGADOR) {
+        const resultado = textoNormalizado.match(padrao)
+        if (resultado) {
+            // Descrição (comando 'problema') vem do texto original, com acentos
+            const descricao = resultado[1] ? String(texto).trim().replace(/^[^\d]*#?\d+\s*[-:]?\s*/, '') : ''
+            return { acao, numeroPedido: resultado[1] || null, descricao }
+        }
+    }
+
+    return null
+}
+
+/**
+ * Interpreta a mensagem do número da loja como comando
+ * @returns {Object|null} { acao } ou null se não for comando
+ */
+export function interpretarComandoLoja(texto) {
+    const textoNormalizado = normalizarTexto(texto)
+    const comando = COMANDOS_LOJA.find(({ padrao }) => padrao.test(textoNormalizado))
+    return comando ? { acao: comando.acao } : null
+}
+
+/**
+ * Busca o pedido mais recente com o número informado
+ * @param {string} numeroPedido - order_number do pedido
+ * @returns {Promise<Object|null>} Pedido ou null
+ */
+export async function buscarPedidoPorNumero(numeroPedido) {
+    try {
+        const desde = new Date(Date.now() - JANELA_BUSCA_PEDIDO_MS).toISOString()
+
+        const { data, error } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('order_number', numeroPedido)
+            .gte('created_at', desde)
+            .order('created_at', { ascending: false })
+            .limit(1)
+
+        if (error) {
+            console.error(`[ENTREGAS] Erro ao buscar pedido #${numeroPedido}:`, error.message)
+            return null
+        }
+
+        return data?.[0] || null
+    } catch (erro) {
+        console.error(`[ENTREGAS] Erro ao buscar pedido #${numeroPedido}:`, erro.message)
+        return null
+    }
+}
+
+/**
+ * Atribui a entrega ao entregador somente se ninguém a assumiu antes
+ * A condição entregador_id IS NULL no próprio update garante que só o primeiro fica com o pedido
+ * @param {Object} pedido - Pedido a ser atribuído
+ * @param {Object} entregador - { id, nome }
+ * @returns {Promise<Object>} { sucesso, pedido } - em caso de disputa, pedido traz o entregador atual
+ */
+export async function atribuirEntregador(pedido, entregador) {
+    try {
+        const { data, error } = await supabase
+            .from('orders')
+            .update({
+                entregador_id: entregador.id,
+                entregador_nome: entregador.nome,
+                entregador_atribuido_em: new Date().toISOString()
+            })
+            .eq('id', pedido.id)
+            .is('entregador_id', null)
+            .select()
+
+        if (error) {
+            console.error(`[ENTREGAS] Erro ao atribuir pedido ${pedido.id}:`, error.message)
+            return { sucesso: false, pedido: null }
+        }
+
+        if (data?.length > 0) {
+            return { sucesso: true, pedido: data[0] }
+        }
+
+        // Outro entregador chegou antes: busca quem ficou com a entrega
+        const { data: pedidoAtual } = await supabase
+            .from('orders')
+            .select('*')
+            .eq('id', pedido.id)
+            .single()
+
+        return { sucesso: false, pedido: pedidoAtual || pedido }
+    } catch (erro) {
+        console.error(`[ENTREGAS] Erro ao atribuir pedido ${pedido.id}:`, erro.message)
+        return { sucesso: false, pedido: null }
+    }
+}
+
+/**
+ * Atualiza o status do pedido pelo entregador responsável
+ * O update só acontece se o pedido ainda for do entregador e estiver em um dos status permitidos
+ * Na entrega ('delivered') grava também o horário em entregue_em (usado no acerto da noite)
+ * @param {Object} pedido - Pedido atual
+ * @param {Object} entregador - { id }
+ * @param {string} novoStatus - Status de destino
+ * @param {string[]} statusPermitidos - Status atuais aceitos para a transição
+ * @returns {Promise<Object|null>} Pedido atualizado ou null se a condição não foi atendida
+ */
+export async function atualizarStatusEntrega(pedido, entregador, novoStatus, statusPermitidos) {
+    const alteracoes = novoStatus === 'delivered'
+        ? { status: novoStatus, entregue_em: new Date().toISOString() }
+        : { status: novoStatus }
+
+    try {
+        const { data, error } = await supabase
+            .from('orders')
+            .update(alteracoes)
+            .eq('id', pedido.id)
+            .eq('entregador_id', entregador.id)
+            .in('status', statusPermitidos)
+            .select()
+
+        if (error) {
+            console.error(`[ENTREGAS] Erro ao atualizar status do pedido ${pedido.id}:`, error.message)
+            return null
+        }
+
+        return data?.[0] || null
+    } catch (erro) {
+        console.error(`[ENTREGAS] Erro ao atualizar status do pedido ${pedido.id}:`, erro.message)
+        return null
+    }
+}
+
+export default {
+    interpretarComandoEntregador,
+    interpretarComandoLoja,
+    buscarPedidoPorNumero,
+    atribuirEntregador,
+    atualizarStatusEntrega,
+    TRANSICOES_ENTREGADOR
+}
@@ -0,0 +1,293 @@
+/**
+ * Fila persistente de mensagens de saída
+ * Rei do Churrasco
+ *
+ * Toda mensagem enviada pelo bot passa por esta fila:
+ * - Registrada na tabela 'whatsapp_outbox' antes do envio
+ * - Enviada em ordem (por destinatário) quando o socket estiver conectado
+ * - Reenviada com backoff exponencial em caso de falha
+ * - Marcada como 'sent' ou 'failed' no banco
+ * - Não enviada depois de FILA_EXPIRACAO_MINUTOS (padrão 60) da criação: fica como 'expired'
+ *   (ex: após o bot passar horas desconectado, o cliente não recebe confirmações velhas)
+ *
+ * Colunas de whatsapp_outbox:
+ *   id, recipient, body, order_id, kind, status, attempts,
+ *   next_attempt_at, last_error, created_at, sent_at,
+ *   media_type, media_caption (opcionais: ex 'qrcode' gera a imagem a partir do body)
+ *
+ * As pendentes ficam também em memória (mesma estratégia de cache do
+ * authStateSupabase), então uma falha do banco não impede o envio.
+ */
+
+import crypto from 'crypto'
+import { supabase } from './supabase.js'
+
+const TABELA_FILA = 'whatsapp_outbox'
+
+const MAX_TENTATIVAS = 6
+const DELAY_BASE_TENTATIVA_MS = 5000
+const DELAY_MAXIMO_TENTATIVA_MS = 5 * 60 * 1000
+const INTERVALO_PROCESSAMENTO_MS = 5000
+const EXPIRACAO_MS = (Number(process.env.FILA_EXPIRACAO_MINUTOS) || 60) * 60 * 1000
+
+// Mensagens pendentes em ordem de criação
+const filaLocal = []
+
+let enviarMensagemFila = null
+let podeEnviarFila = () => false
+let processandoFila = false
+let intervaloFila = null
+let totalFalhas = 0
+let totalExpiradas = 0
+
+/**
+ * Persiste o registro da fila no banco
+ */
+async function salvarRegistro(registro) {
+    try {
+        const { error } = await supabase
+            .from(TABELA_FILA)
+            .upsert(registro, { onConflict: 'id' })
+
+        if (error) {
+            console.error(`[FILA] Erro ao salvar mensagem ${registro.id}:`, error.message)
+            return false
+        }
+        return true
+    } catch (erro) {
+        console.error(`[FILA] Erro ao salvar mensagem ${registro.id}:`, erro.message)
+        return false
+    }
+}
+
+/**
+ * Calcula o atraso da próxima tentativa (5s, 10s, 20s, 40s... até 5 min)
+ */
+function calcularAtrasoTentativa(tentativas) {
+    return Math.min(DELAY_BASE_TENTATIVA_MS * Math.pow(2, tentativas - 1), DELAY_MAXIMO_TENTATIVA_MS)
+}
+
+function mensagemExpirada(registro) {
+    return Date.now() - new Date(registro.created_at).getTime() > EXPIRACAO_MS
+}
+
+function removerDaFilaLocal(id) {
+    const indice = filaLocal.findIndex(registro => registro.id === id)
+    if (indice >= 0) filaLocal.splice(indice, 1)
+}
+
+/**
+ * Configura a função de envio usada pela fila
+ * @param {Object} opcoes
+ * @param {Function} opcoes.enviar - async (destinatario, corpo, registro) → lança erro em caso de falha
+ * @param {Function} opcoes.podeEnviar - Retorna true quando o socket está conectado
+ */
+export function configurarFilaMensagens({ enviar, podeEnviar }) {
+    enviarMensagemFila = enviar
+    podeEnviarFila = podeEnviar
+}
+
+/**
+ * Carrega do banco as mensagens que ficaram pendentes (ex: antes de um restart)
+ */
+export async function carregarFilaPendente() {
+    try {
+        const { data, error } = await supabase
+            .from(TABELA_FILA)
+            .select('*')
+            .eq('status', 'pending')
+            .order('created_at', { ascending: true })
+
+        if (error) {
+            console.error('[FILA] Erro ao carregar pendentes:', error.message)
+            return 0
+        }
+
+        const idsLocais = new Set(filaLocal.map(registro => registro.id))
+        const carregadas = (data || []).filter(registro => !idsLocais.has(registro.id))
+        const expiradas = carregadas.filter(mensagemExpirada)
+        const pendentes = carregadas.filter(registro => !mensagemExpirada(registro))
+
+        if (expiradas.length > 0) {
+            await marcarExpiradas(expiradas)
+        }
+
+        filaLocal.push(...pendentes)
+        filaLocal.sort((a, b) => a.created_at.localeCompare(b.created_at))
+
+        console.log(`[FILA] ${pendentes.length} mensagem(ns) pendente(s) carregada(s) do banco`)
+        return pendentes.length
+    } catch (erro) {
+        console.error('[FILA] Erro ao carregar pendentes:', erro.message)
+        return 0
+    }
+}
+
+/**
+ * Marca no banco as mensagens pendentes que passaram da validade (não serão enviadas)
+ */
+async function marcarExpiradas(registros) {
+    totalExpiradas += registros.length
+    console.warn(`[FILA] ⚠️ ${registros.length} mensagem(ns) pendente(s) com mais de ${EXPIRACAO_MS / 60000} min descartada(s) sem envio`)
+
+    try {
+        const { error } = await supabase
+            .from(TABELA_FILA)
+            .update({ status: 'expired', last_error: 'Expirada antes do envio' })
+            .in('id', registros.map(registro => registro.id))
+            .eq('status', 'pending')
+
+        if (error) {
+            console.error('[FILA] Erro ao marcar mensagens expiradas:', error.message)
+        }
+    } catch (erro) {
+        console.error('[FILA] Erro ao marcar mensagens expiradas:', erro.message)
+    }
+}
+
+/**
+ * Adiciona mensagem na fila de saída e dispara o processamento
+ * @param {Object} dados
+ * @param {string} dados.destinatario - Telefone ou JID do WhatsApp, já normalizado
+ *   (é a chave que mantém a ordem das mensagens de cada destinatário)
+ * @param {string} dados.corpo - Texto da mensagem
+ * @param {string} [dados.pedidoId] - Pedido relacionado (quando houver)
+ * @param {string} [dados.tipo] - Tipo da mensagem (ex: 'cliente_confirmacao', 'loja_pedido')
+ * @param {Object} [dados.midia] - Mídia opcional { tipo: 'qrcode', legenda }
+ * @returns {Promise<Object>} Registro enfileirado
+ */
+export async function enfileirarMensagem({ destinatario, corpo, pedidoId = null, tipo = 'manual', midia = null }) {
+    const agora = new Date().toISOString()
+
+    const registro = {
+        id: crypto.randomUUID(),
+        recipient: String(destinatario),
+        body: corpo,
+        order_id: pedidoId,
+        kind: tipo,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: agora,
+        last_error: null,
+        created_at: agora,
+        sent_at: null,
+        media_type: midia?.tipo || null,
+        media_caption: midia?.legenda || null
+    }
+
+    filaLocal.push(registro)
+    await salvarRegistro(registro)
+
+    // Não aguarda o envio: quem enfileira só precisa da garantia de persistência
+    processarFila()
+
+    return registro
+}
+
+/**
+ * Envia as mensagens pendentes em ordem
+ * Mensagens de um mesmo destinatário nunca ultrapassam uma anterior que ainda está aguardando nova tentativa
+ */
+export async function processarFila() {
+    if (processandoFila || !enviarMensagemFila) return
+    processandoFila = true
+
+    try {
+        const destinatariosBloqueados = new Set()
+
+        for (const registro of [...filaLocal]) {
+            if (!podeEnviarFila()) break
+
+            if (destinatariosBloqueados.has(registro.recipient)) continue
+
+            // Ficou pendente além da validade (ex: bot desconectado por horas)
+            if (mensagemExpirada(registro)) {
+                registro.status = 'expired'
+                registro.last_error = 'Expirada antes do envio'
+                removerDaFilaLocal(registro.id)
+                totalExpiradas++
+                console.warn(`[FILA] ⚠️ Mensagem ${registro.id} (${registro.kind}) expirada sem envio`)
+                await salvarRegistro(registro)
+                continue
+            }
+
+            if (new Date(registro.next_attempt_at).getTime() > Date.now()) {
+                destinatariosBloqueados.add(registro.recipient)
+                continue
+            }
+
+            try {
+                await enviarMensagemFila(registro.recipient, registro.body, registro)
+
+                registro.status = 'sent'
+                registro.sent_at = new Date().toISOString()
+                registro.last_error = null
+                removerDaFilaLocal(registro.id)
+                await salvarRegistro(registro)
+            } catch (erro) {
+                registro.attempts++
+                registro.last_error = erro.message
+
+                if (registro.attempts >= MAX_TENTATIVAS) {
+                    registro.status = 'failed'
+                    totalFalhas++
+                    removerDaFilaLocal(registro.id)
+                    console.error(`[FILA] ❌ Mensagem ${registro.id} (${registro.kind}) descartada após ${registro.attempts} tentativas: ${erro.message}`)
+                } else {
+                    const atraso = calcularAtrasoTentativa(registro.attempts)
+                    registro.next_attempt_at = new Date(Date.now() + atraso).toISOString()
+                    destinatariosBloqueados.add(registro.recipient)
+                    console.warn(`[FILA] ⚠️ Falha ao enviar ${registro.id} (${registro.kind}), nova tentativa em ${atraso / 1000}s: ${erro.message}`)
+                }
+
+                await salvarRegistro(registro)
+            }
+        }
+    } finally {
+        processandoFila = false
+    }
+}
+
+/**
+ * Inicia o processamento periódico da fila (tentativas com backoff)
+ */
+export function iniciarFila() {
+    if (intervaloFila) return
+    intervaloFila = setInterval(processarFila, INTERVALO_PROCESSAMENTO_MS)
+}
+
+/**
+ * Para o processamento periódico da fila
+ */
+export function pararFila() {
+    if (!intervaloFila) return
+    clearInterval(intervaloFila)
+    intervaloFila = null
+}
+
+/**
+ * Resumo da fila para o endpoint /status
+ */
+export function obterResumoFila() {
+    const maisAntiga = filaLocal[0] || null
+    const idadeMaisAntigaMs = maisAntiga ? Date.now() - new Date(maisAntiga.created_at).getTime() : 0
+
+    return {
+        pendentes: filaLocal.length,
+        aguardandoNovaTentativa: filaLocal.filter(registro => registro.attempts > 0).length,
+        pendenteMaisAntigaEm: maisAntiga?.created_at || null,
+        idadePendenteMaisAntigaSegundos: Math.round(idadeMaisAntigaMs / 1000),
+        falhasDesdeInicio: totalFalhas,
+        expiradasDesdeInicio: totalExpiradas
+    }
+}
+
+export default {
+    configurarFilaMensagens,
+    carregarFilaPendente,
+    enfileirarMensagem,
+    processarFila,
+    iniciarFila,
+    pararFila,
+    obterResumoFila
+}
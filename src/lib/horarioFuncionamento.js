@@ -0,0 +1,340 @@
+/**
+ * Horário de funcionamento da loja
+ * Rei do Churrasco
+ *
+ * - Horário semanal por dia da semana (mais de um período por dia, ex: almoço e jantar)
+ * - Períodos que passam da meia-noite (fechamento menor ou igual à abertura termina no dia seguinte)
+ * - Datas especiais: feriados e exceções que fecham a loja ou trocam o horário do dia
+ * - Sem horário cadastrado, vale o padrão: Seg-Qui 17:00-23:00, Sex-Sáb 17:00-00:00, Dom fechado
+ *
+ * Colunas de store_hours:
+ *   weekday (0 = domingo ... 6 = sábado), opens ('HH:MM'), closes ('HH:MM'), active
+ *
+ * Colunas de store_special_dates:
+ *   date ('YYYY-MM-DD'), recurring (repete todo ano no mesmo dia/mês), closed,
+ *   opens, closes (horário do dia quando não está fechado), description (ex: 'Natal')
+ *
+ * Timezone: America/Fortaleza (sem horário de verão, os cálculos usam o horário local)
+ */
+
+import { supabase } from './supabase.js'
+
+const TIMEZONE = 'America/Fortaleza'
+const MINUTOS_DIA = 24 * 60
+const MS_MINUTO = 60 * 1000
+const MS_DIA = MINUTOS_DIA * MS_MINUTO
+
+// Até quantos dias à frente procurar a próxima abertura
+const DIAS_BUSCA_ABERTURA = 14
+
+// Datas especiais exibidas na resposta de horário
+const DIAS_AVISO_DATAS_ESPECIAIS = 15
+
+const NOMES_DIAS = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado']
+const ABREVIACOES_DIAS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb']
+const NOMES_DIAS_COMPLETOS = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado']
+
+// Ordem de exibição (semana começando na segunda)
+const ORDEM_EXIBICAO = [1, 2, 3, 4, 5, 6, 0]
+
+const HORARIO_PADRAO = [
+    { diaSemana: 1, abre: 17 * 60, fecha: 23 * 60 },
+    { diaSemana: 2, abre: 17 * 60, fecha: 23 * 60 },
+    { diaSemana: 3, abre: 17 * 60, fecha: 23 * 60 },
+    { diaSemana: 4, abre: 17 * 60, fecha: 23 * 60 },
+    { diaSemana: 5, abre: 17 * 60, fecha: 0 },
+    { diaSemana: 6, abre: 17 * 60, fecha: 0 }
+]
+
+// Cache (recarregado a cada 5 minutos)
+let horarios = { semanal: HORARIO_PADRAO, especiais: [] }
+let ultimaAtualizacaoHorarios = null
+const INTERVALO_CACHE_HORARIOS_MS = 5 * 60 * 1000
+
+/**
+ * Converte 'HH:MM' (ou 'HH:MM:SS') em minutos desde a meia-noite
+ * @returns {number|null} null se inválido
+ */
+function converterHorario(valor) {
+    const resultado = String(valor ?? '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/)
+    if (!resultado) return null
+
+    const minutos = Number(resultado[1]) * 60 + Number(resultado[2])
+    return minutos <= MINUTOS_DIA && Number(resultado[2]) < 60 ? minutos % MINUTOS_DIA : null
+}
+
+function formatarHorario(minutos) {
+    return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`
+}
+
+/**
+ * Instante atual no horário da loja, representado como data UTC (ex: 17:30 local → 17:30Z)
+ */
+function obterAgoraLocal(agora = new Date()) {
+    const partes = new Intl.DateTimeFormat('en-CA', {
+        timeZone: TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(agora)
+
+    const obterParte = (tipo) => parseInt(partes.find(p => p.type === tipo)?.value || '0', 10)
+
+    return Date.UTC(obterParte('year'), obterParte('month') - 1, obterParte('day'), obterParte('hour'), obterParte('minute'))
+}
+
+function converterRegistroSemanal(registro) {
+    return {
+        diaSemana: Number(registro.weekday),
+        abre: converterHorario(registro.opens),
+        fecha: converterHorario(registro.closes)
+    }
+}
+
+function converterRegistroEspecial(registro) {
+    const data = String(registro.date || '').slice(0, 10)
+
+    return {
+        data,
+        diaMes: data.slice(5),
+        recorrente: registro.recurring === true,
+        fechado: registro.closed === true,
+        abre: converterHorario(registro.opens),
+        fecha: converterHorario(registro.closes),
+        descricao: registro.description || ''
+    }
+}
+
+/**
+ * Carrega horário semanal e datas especiais do Supabase (com cache)
+ * Em caso de erro mantém o último horário carregado
+ * @param {boolean} forcar - Ignora o cache
+ */
+export async function carregarHorarios(forcar = false) {
+    const agora = Date.now()
+
+    if (!forcar && ultimaAtualizacaoHorarios && (agora - ultimaAtualizacaoHorarios) < INTERVALO_CACHE_HORARIOS_MS) {
+        return horarios
+    }
+
+    try {
+        const [semanal, especiais] = await Promise.all([
+            supabase.from('store_hours').select('weekday, opens, closes').eq('active', true),
+            supabase.from('store_special_dates').select('date, recurring, closed, opens, closes, description')
+        ])
+
+        if (semanal.error || especiais.error) {
+            console.error('[HORARIO] Erro ao carregar horários:', (semanal.error || especiais.error).message)
+            return horarios
+        }
+
+        const periodos = (semanal.data || [])
+            .map(converterRegistroSemanal)
+            .filter(periodo => periodo.diaSemana >= 0 && periodo.diaSemana <= 6 && periodo.abre !== null && periodo.fecha !== null)
+
+        horarios = {
+            semanal: periodos.length > 0 ? periodos : HORARIO_PADRAO,
+            especiais: (especiais.data || [])
+                .map(converterRegistroEspecial)
+                .filter(especial => /^\d{4}-\d{2}-\d{2}$/.test(especial.data))
+        }
+        ultimaAtualizacaoHorarios = agora
+
+        return horarios
+    } catch (erro) {
+        console.error('[HORARIO] Erro ao carregar horários:', erro.message)
+        return horarios
+    }
+}
+
+/**
+ * Data especial que vale para o dia (data exata tem prioridade sobre a recorrente)
+ * @param {number} inicioDia - Meia-noite do dia (horário local representado em UTC)
+ */
+function obterDataEspecial(inicioDia, { especiais }) {
+    const data = new Date(inicioDia).toISOString().slice(0, 10)
+
+    return especiais.find(especial => !especial.recorrente && especial.data === data) ||
+        especiais.find(especial => especial.recorrente && especial.diaMes === data.slice(5)) ||
+        null
+}
+
+/**
+ * Períodos de funcionamento que começam no dia
+ * @returns {Array} [{ inicio, fim, descricao }] em ms (horário local representado em UTC)
+ */
+function obterPeriodosDoDia(inicioDia, dadosHorarios) {
+    const especial = obterDataEspecial(inicioDia, dadosHorarios)
+    let periodos
+
+    if (especial) {
+        periodos = especial.fechado || especial.abre === null || especial.fecha === null
+            ? []
+            : [{ abre: especial.abre, fecha: especial.fecha }]
+    } else {
+        const diaSemana = new Date(inicioDia).getUTCDay()
+        periodos = dadosHorarios.semanal.filter(periodo => periodo.diaSemana === diaSemana)
+    }
+
+    return periodos.map(periodo => ({
+        inicio: inicioDia + periodo.abre * MS_MINUTO,
+        // Fechamento menor ou igual à abertura termina no dia seguinte (ex: 18:00-02:00, 17:00-00:00)
+        fim: inicioDia + (periodo.fecha > periodo.abre ? periodo.fecha : periodo.fecha + MINUTOS_DIA) * MS_MINUTO,
+        descricao: especial?.descricao || ''
+    }))
+}
+
+/**
+ * Calcula se a loja está aberta e quando abre/fecha
+ * @param {Date} agora
+ * @param {Object} dadosHorarios - Horários carregados (padrão: cache atual)
+ * @returns {Object} { aberta, abreEm, fechaEm, minutosParaAbrir } - datas no horário local representado em UTC
+ */
+export function calcularSituacaoHorario(agora = new Date(), dadosHorarios = horarios) {
+    const agoraLocal = obterAgoraLocal(agora)
+    const hoje = agoraLocal - (agoraLocal % MS_DIA)
+
+    // Inclui o dia anterior para períodos que passam da meia-noite
+    const periodos = []
+    for (let dia = -1; dia <= DIAS_BUSCA_ABERTURA; dia++) {
+        periodos.push(...obterPeriodosDoDia(hoje + dia * MS_DIA, dadosHorarios))
+    }
+    periodos.sort((a, b) => a.inicio - b.inicio)
+
+    const atual = periodos.find(periodo => periodo.inicio <= agoraLocal && agoraLocal < periodo.fim)
+
+    if (atual) {
+        // Períodos emendados (ex: 17:00-00:00 e 00:00-02:00) contam como um só
+        let fechaEm = atual.fim
+        for (const periodo of periodos) {
+            if (periodo.inicio <= fechaEm && periodo.fim > fechaEm) fechaEm = periodo.fim
+        }
+
+        return { aberta: true, abreEm: null, fechaEm: new Date(fechaEm), minutosParaAbrir: 0 }
+    }
+
+    const proximo = periodos.find(periodo => periodo.inicio > agoraLocal)
+
+    return {
+        aberta: false,
+        abreEm: proximo ? new Date(proximo.inicio) : null,
+        fechaEm: null,
+        minutosParaAbrir: proximo ? Math.round((proximo.inicio - agoraLocal) / MS_MINUTO) : null
+    }
+}
+
+/**
+ * Texto do tempo restante (ex: '2 horas e 15 minutos')
+ */
+export function formatarTempoAte(minutos) {
+    const horas = Math.floor(minutos / 60)
+    const resto = minutos % 60
+    const textoHoras = horas > 0 ? `${horas} ${horas === 1 ? 'hora' : 'horas'}` : ''
+    const textoMinutos = resto > 0 || horas === 0 ? `${resto} ${resto === 1 ? 'minuto' : 'minutos'}` : ''
+
+    return [textoHoras, textoMinutos].filter(Boolean).join(' e ')
+}
+
+/**
+ * Quando a loja abre, para mensagens ao cliente
+ * @returns {string|null} ex: 'hoje às 17:00 (em 2 horas e 15 minutos)' ou null sem abertura prevista
+ */
+export function descreverProximaAbertura(situacao, agora = new Date()) {
+    if (!situacao?.abreEm) return null
+
+    const abreEm = situacao.abreEm.getTime()
+    const agoraLocal = obterAgoraLocal(agora)
+    const dias = Math.floor(abreEm / MS_DIA) - Math.floor(agoraLocal / MS_DIA)
+    const horario = formatarHorario(situacao.abreEm.getUTCHours() * 60 + situacao.abreEm.getUTCMinutes())
+
+    let quando
+    if (dias === 0) {
+        quando = `hoje às ${horario}`
+    } else if (dias === 1) {
+        quando = `amanhã às ${horario}`
+    } else if (dias < 7) {
+        quando = `${NOMES_DIAS_COMPLETOS[situacao.abreEm.getUTCDay()]} às ${horario}`
+    } else {
+        quando = `${situacao.abreEm.toISOString().slice(8, 10)}/${situacao.abreEm.toISOString().slice(5, 7)} às ${horario}`
+    }
+
+    return situacao.minutosParaAbrir < 24 * 60
+        ? `${quando} (em ${formatarTempoAte(situacao.minutosParaAbrir)})`
+        : quando
+}
+
+function descreverPeriodos(periodos) {
+    return periodos
+        .slice()
+        .sort((a, b) => a.abre - b.abre)
+        .map(periodo => `${formatarHorario(periodo.abre)} às ${formatarHorario(periodo.fecha)}`)
+        .join(' e ')
+}
+
+function nomearGrupoDias(dias) {
+    if (dias.length === 1) return NOMES_DIAS[dias[0]]
+    if (dias.length === 2) return `${NOMES_DIAS[dias[0]]} e ${NOMES_DIAS[dias[1]]}`
+    return `${ABREVIACOES_DIAS[dias[0]]} a ${ABREVIACOES_DIAS[dias[dias.length - 1]]}`
+}
+
+/**
+ * Gera as linhas do horário semanal, agrupando dias seguidos com o mesmo horário
+ * (ex: '🔥 *Seg a Qui:* 17:00 às 23:00')
+ */
+export function gerarTextoHorarioSemanal(dadosHorarios = horarios) {
+    const grupos = []
+
+    for (const diaSemana of ORDEM_EXIBICAO) {
+        const texto = descreverPeriodos(dadosHorarios.semanal.filter(periodo => periodo.diaSemana === diaSemana))
+        const ultimo = grupos[grupos.length - 1]
+
+        if (ultimo && ultimo.texto === texto) {
+            ultimo.dias.push(diaSemana)
+        } else {
+            grupos.push({ texto, dias: [diaSemana] })
+        }
+    }
+
+    return grupos
+        .map(({ texto, dias }) => texto
+            ? `🔥 *${nomearGrupoDias(dias)}:* ${texto}`
+            : `❌ *${nomearGrupoDias(dias)}:* Fechado`)
+        .join('\n')
+}
+
+/**
+ * Gera as linhas das datas especiais dos próximos dias (ex: '📅 *25/12 (Natal):* Fechado')
+ */
+export function gerarTextoDatasEspeciais(agora = new Date(), dadosHorarios = horarios) {
+    const agoraLocal = obterAgoraLocal(agora)
+    const hoje = agoraLocal - (agoraLocal % MS_DIA)
+    const linhas = []
+
+    for (let dia = 0; dia < DIAS_AVISO_DATAS_ESPECIAIS; dia++) {
+        const inicioDia = hoje + dia * MS_DIA
+        const especial = obterDataEspecial(inicioDia, dadosHorarios)
+        if (!especial) continue
+
+        const data = new Date(inicioDia).toISOString()
+        const rotulo = `${data.slice(8, 10)}/${data.slice(5, 7)}${especial.descricao ? ` (${especial.descricao})` : ''}`
+        const periodos = especial.fechado || especial.abre === null || especial.fecha === null
+            ? ''
+            : descreverPeriodos([especial])
+
+        linhas.push(periodos ? `📅 *${rotulo}:* ${periodos}` : `📅 *${rotulo}:* Fechado`)
+    }
+
+    return linhas.join('\n')
+}
+
+export default {
+    carregarHorarios,
+    calcularSituacaoHorario,
+    formatarTempoAte,
+    descreverProximaAbertura,
+    gerarTextoHorarioSemanal,
+    gerarTextoDatasEspeciais
+}
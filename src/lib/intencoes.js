@@ -0,0 +1,362 @@
+/**
+ * Motor de intenções das respostas automáticas
+ * Rei do Churrasco
+ *
+ * - Intenções, palavras-chave, exclusões e respostas definidas em dados
+ *   (tabela bot_intents ou arquivo JSON, ver respostasAutomaticas.js)
+ * - Palavras comparadas inteiras ('rua' não casa com 'sua' nem com 'ruas')
+ * - Tolerância a erros de digitação: letras repetidas ('picanhaa') e uma letra
+ *   trocada, faltando ou sobrando em palavras de 5+ letras ('endereso')
+ * - Pontuação de todas as intenções: vence a de maior pontuação, empate fica com a maior prioridade
+ *
+ * Formato de cada intenção (mesmas colunas da tabela bot_intents):
+ *   key          - identificador (ex: 'pix', 'localizacao')
+ *   keywords     - termos: texto ('chave pix') ou { term, weight } (peso padrão 1)
+ *   exclusions   - termos que anulam a intenção quando aparecem na mensagem
+ *   response     - texto da resposta (templates.js); vazio usa a resposta padrão da intenção
+ *   priority     - desempate (maior vence)
+ *   edges_only   - termos só valem no começo ou no fim da mensagem (saudações)
+ *   fallback     - só vence quando nenhuma outra intenção atinge a pontuação mínima (saudações)
+ *   active       - false desativa a intenção
+ *
+ * Pontuação de um termo: peso x quantidade de palavras (x 0,8 se casou com erro de digitação).
+ * A intenção precisa somar pelo menos PONTUACAO_MINIMA.
+ */
+
+import fs from 'fs'
+
+export const PONTUACAO_MINIMA = 0.75
+const FATOR_APROXIMADO = 0.8
+const TAMANHO_MINIMO_APROXIMADO = 5
+const TAMANHO_DOIS_ERROS = 9
+
+export const INTENCOES_PADRAO = [
+    {
+        key: 'pix',
+        priority: 80,
+        keywords: [
+            'pix', 'chave pix', 'chave do pix', 'qual o pix', 'qual pix',
+            'manda o pix', 'manda pix', 'envia o pix', 'envia pix',
+            'passa o pix', 'passa pix', 'me passa o pix',
+            'forma de pagamento', 'formas de pagamento', 'como pagar',
+            'como pago', 'como faco pra pagar', 'como eu pago',
+            { term: 'pagamento', weight: 0.75 },
+            { term: 'transferencia', weight: 0.75 },
+            { term: 'transferir', weight: 0.75 }
+        ]
+    },
+    {
+        // Pedidos em andamento do próprio cliente (consulta orders pelo telefone)
+        key: 'status_pedido',
+        priority: 75,
+        keywords: [
+            'meu pedido', 'cade meu pedido', 'cade o pedido', 'cade o meu pedido',
+            'status', 'status do pedido', 'acompanhar pedido', 'acompanhar meu pedido',
+            'pedido ja saiu', 'ja saiu', 'saiu pra entrega', 'ja ta pronto',
+            'ta demorando', 'esta demorando', 'demorando', 'vai demorar',
+            'previsao do pedido', 'pedido chegou'
+        ]
+    },
+    {
+        key: 'horario',
+        priority: 70,
+        keywords: [
+            'horario', 'horarios', 'que horas abre', 'que horas fecha',
+            'ta aberto', 'esta aberto', 'abre hoje', 'vai abrir',
+            { term: 'aberto', weight: 0.75 },
+            { term: 'fechado', weight: 0.75 },
+            'que horas', 'funciona ate', 'abre que horas',
+            'hora de funcionar', 'funcionamento'
+        ]
+    },
+    {
+        key: 'pedido',
+        priority: 60,
+        keywords: [
+            'quero pedir', 'quero fazer pedido', 'fazer pedido',
+            'como faco pedido', 'como pedir', 'como faz pra pedir',
+            'como faco pra pedir', 'aceita pedido', 'pedido', 'menu', 'site'
+        ],
+        exclusions: ['meu pedido']
+    },
+    {
+        key: 'entrega',
+        priority: 50,
+        keywords: [
+            'entrega', 'delivery', 'entregam', 'taxa de entrega',
+            'taxa entrega', 'frete', 'entregam aqui', 'entrega no',
+            'voces entregam', 'faz entrega'
+        ]
+    },
+    {
+        key: 'marmita',
+        priority: 40,
+        keywords: [
+            'marmita', 'marmitex', 'quentinha', 'viagem',
+            'pra levar', 'embalagem', 'quero marmita', 'tem marmita'
+        ]
+    },
+    {
+        key: 'localizacao',
+        priority: 30,
+        keywords: [
+            'endereco', 'onde fica', 'localizacao', 'como chegar',
+            'onde voces ficam', 'onde e', 'qual o endereco', 'mapa',
+            'onde fica a loja',
+            { term: 'rua', weight: 0.75 },
+            { term: 'local', weight: 0.75 }
+        ],
+        exclusions: ['minha rua', 'meu endereco', 'no local', 'consumo no local']
+    },
+    {
+        key: 'churrasco',
+        priority: 20,
+        keywords: [
+            'churrasco', 'carne', 'picanha', 'costela', 'maminha',
+            'carneiro', 'suino', 'frango', 'linguica', 'toscana',
+            'mignon', 'file', 'contra file', 'pernil', 'carre',
+            'tira gosto', 'tiragosto', 'porcao', 'porcoes',
+            'cardapio', 'tem carne', 'quero carne',
+            'vende carne', 'quero churrasco', 'tem churrasco',
+            'bebida', 'cerveja', 'heineken', 'budweiser', 'skol',
+            'whisky', 'vodka', 'gin', 'dose', 'suco'
+        ]
+    },
+    {
+        // Saudação por último e só no começo ou no fim da mensagem (palavras mais genéricas)
+        key: 'saudacao',
+        priority: 10,
+        edges_only: true,
+        fallback: true,
+        keywords: [
+            'boa noite', 'boa tarde', 'bom dia', 'boa madrugada',
+            'oi', 'ola', 'hey', 'eae', 'e ai', 'fala',
+            'salve', 'hello', 'hi', 'oie',
+            'boa', 'bao', 'blz', 'beleza', 'tudo bem',
+            'tudo bom', 'como vai', 'opa'
+        ]
+    }
+]
+
+/**
+ * Normaliza texto removendo acentos, pontuação e convertendo para minúsculo
+ */
+export function normalizarTexto(texto) {
+    return String(texto ?? '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\w\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * Separa o texto em palavras, juntando letras repetidas ('picanhaa' → 'picanha', 'oiii' → 'oi')
+ */
+export function separarPalavras(texto) {
+    const normalizado = normalizarTexto(texto)
+    if (!normalizado) return []
+
+    return normalizado.split(' ').map(palavra => palavra.replace(/(.)\1+/g, '$1'))
+}
+
+/**
+ * Distância de edição (troca, inclusão, remoção e inversão de letras vizinhas)
+ * Para de calcular quando passa do limite
+ */
+function calcularDistancia(a, b, limite) {
+    if (Math.abs(a.length - b.length) > limite) return limite + 1
+
+    let anterior2 = null
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+    for (let i = 1; i <= a.length; i++) {
+        const atual = [i]
+        let menorDaLinha = i
+
+        for (let j = 1; j <= b.length; j++) {
+            const custo = a[i - 1] === b[j - 1] ? 0 : 1
+            atual[j] = Math.min(anterior[j] + 1, atual[j - 1] + 1, anterior[j - 1] + custo)
+
+            if (anterior2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                atual[j] = Math.min(atual[j], anterior2[j - 2] + 1)
+            }
+            menorDaLinha = Math.min(menorDaLinha, atual[j])
+        }
+
+        if (menorDaLinha > limite) return limite + 1
+        anterior2 = anterior
+        anterior = atual
+    }
+
+    return anterior[b.length]
+}
+
+/**
+ * Compara uma palavra da mensagem com uma palavra do termo
+ * @returns {number} 1 (igual), FATOR_APROXIMADO (erro de digitação) ou 0
+ */
+export function compararPalavra(palavra, palavraTermo) {
+    if (palavra === palavraTermo) return 1
+    if (palavraTermo.length < TAMANHO_MINIMO_APROXIMADO || palavra[0] !== palavraTermo[0]) return 0
+
+    const limite = palavraTermo.length >= TAMANHO_DOIS_ERROS ? 2 : 1
+    return calcularDistancia(palavra, palavraTermo, limite) <= limite ? FATOR_APROXIMADO : 0
+}
+
+/**
+ * Procura o termo (sequência de palavras) na mensagem
+ * @returns {number} Melhor fator encontrado (0 = não encontrado)
+ */
+function localizarTermo(palavras, termo, somenteBorda) {
+    const tamanho = termo.palavras.length
+    let melhor = 0
+
+    for (let inicio = 0; inicio + tamanho <= palavras.length; inicio++) {
+        if (somenteBorda && inicio !== 0 && inicio + tamanho !== palavras.length) continue
+
+        let fator = 1
+        for (let i = 0; i < tamanho && fator > 0; i++) {
+            fator = Math.min(fator, compararPalavra(palavras[inicio + i], termo.palavras[i]))
+        }
+
+        melhor = Math.max(melhor, fator)
+        if (melhor === 1) break
+    }
+
+    return melhor
+}
+
+function compilarTermo(entrada) {
+    const texto = typeof entrada === 'string' ? entrada : entrada?.term
+    const peso = typeof entrada === 'string' ? 1 : Number(entrada?.weight ?? 1)
+    const palavras = separarPalavras(texto)
+
+    if (palavras.length === 0 || !Number.isFinite(peso) || peso <= 0) return null
+
+    return { texto: palavras.join(' '), palavras, peso }
+}
+
+function converterLista(valor) {
+    if (Array.isArray(valor)) return valor
+    if (typeof valor === 'string') return valor.split(',')
+    return []
+}
+
+/**
+ * Junta as intenções personalizadas às padrão (mesma key substitui os campos informados)
+ * @param {Array} padrao - Intenções padrão
+ * @param {Array} personalizadas - Intenções do Supabase ou do arquivo JSON
+ * @returns {Array} Definições resultantes (active false remove a intenção)
+ */
+export function mesclarIntencoes(padrao, personalizadas = []) {
+    const porChave = new Map(padrao.map(intencao => [intencao.key, { ...intencao }]))
+
+    for (const intencao of personalizadas) {
+        if (!intencao?.key) continue
+
+        const campos = Object.fromEntries(Object.entries(intencao).filter(([, valor]) => valor !== null && valor !== undefined))
+        porChave.set(intencao.key, { ...porChave.get(intencao.key), ...campos })
+    }
+
+    return [...porChave.values()].filter(intencao => intencao.active !== false)
+}
+
+/**
+ * Prepara as definições para a detecção (ignora intenções sem termos válidos)
+ * @param {Array} definicoes - Intenções no formato da tabela bot_intents
+ * @returns {Array} Intenções compiladas
+ */
+export function compilarIntencoes(definicoes) {
+    return definicoes
+        .map((definicao, ordem) => ({
+            chave: String(definicao.key),
+            termos: converterLista(definicao.keywords).map(compilarTermo).filter(Boolean),
+            exclusoes: converterLista(definicao.exclusions).map(compilarTermo).filter(Boolean),
+            resposta: typeof definicao.response === 'string' && definicao.response.trim() ? definicao.response : null,
+            prioridade: Number(definicao.priority) || 0,
+            somenteBorda: definicao.edges_only === true,
+            reserva: definicao.fallback === true,
+            ordem
+        }))
+        .filter(intencao => intencao.termos.length > 0)
+}
+
+/**
+ * Pontua a mensagem em todas as intenções
+ * @param {string} mensagem - Texto recebido
+ * @param {Array} intencoes - Intenções compiladas (compilarIntencoes)
+ * @returns {Object} { intencao, pontuacao, termos, ranking } - intencao null se nenhuma atingir a pontuação mínima
+ */
+export function detectarIntencao(mensagem, intencoes) {
+    const palavras = separarPalavras(mensagem)
+    const ranking = []
+
+    for (const intencao of intencoes) {
+        if (palavras.length === 0) break
+
+        const excluida = intencao.exclusoes.some(exclusao => localizarTermo(palavras, exclusao, false) === 1)
+        if (excluida) continue
+
+        let pontuacao = 0
+        const termos = []
+
+        for (const termo of intencao.termos) {
+            const fator = localizarTermo(palavras, termo, intencao.somenteBorda)
+            if (fator === 0) continue
+
+            pontuacao += termo.peso * termo.palavras.length * fator
+            termos.push(fator === 1 ? termo.texto : `${termo.texto}~`)
+        }
+
+        if (pontuacao > 0) {
+            ranking.push({
+                intencao: intencao.chave,
+                pontuacao: Math.round(pontuacao * 100) / 100,
+                termos,
+                prioridade: intencao.prioridade,
+                reserva: intencao.reserva,
+                ordem: intencao.ordem
+            })
+        }
+    }
+
+    ranking.sort((a, b) => a.reserva - b.reserva || b.pontuacao - a.pontuacao || b.prioridade - a.prioridade || a.ordem - b.ordem)
+
+    const vencedora = ranking.find(item => item.pontuacao >= PONTUACAO_MINIMA) || null
+
+    return {
+        intencao: vencedora?.intencao || null,
+        pontuacao: vencedora?.pontuacao || 0,
+        termos: vencedora?.termos || [],
+        ranking: ranking.map(({ intencao, pontuacao, termos }) => ({ intencao, pontuacao, termos }))
+    }
+}
+
+/**
+ * Lê intenções de um arquivo JSON (lista ou { intents: [...] })
+ * @throws {Error} Se o arquivo não existir ou não for uma lista de intenções
+ */
+export function lerIntencoesArquivo(caminho) {
+    const conteudo = JSON.parse(fs.readFileSync(caminho, 'utf-8'))
+    const lista = Array.isArray(conteudo) ? conteudo : conteudo?.intents
+
+    if (!Array.isArray(lista)) {
+        throw new Error(`${caminho}: esperado uma lista de intenções`)
+    }
+
+    return lista
+}
+
+export default {
+    PONTUACAO_MINIMA,
+    INTENCOES_PADRAO,
+    normalizarTexto,
+    separarPalavras,
+    compararPalavra,
+    mesclarIntencoes,
+    compilarIntencoes,
+    detectarIntencao,
+    lerIntencoesArquivo
+}
@@ -5,17 +5,31 @@
  * Todas as mensagens enviadas aos clientes, loja e entregadores
  */
 
-// Configurações da loja
-const CONFIG_LOJA = {
-    nome: 'REI DO CHURRASCO',
-    emoji: '🔥🥩',
-    slogan: 'O Melhor Churrasco da Região!',
+import { renderizarTemplate, validarTemplate, listarPlaceholders } from './templates.js'
+
+// Dados da loja vindos do ambiente (env da loja em lojas.json ou .env) - ver configLojas.js
+// Personalizáveis em store_settings (ver templatesMensagens.js)
+const ENDERECO_LOJA = process.env.LOJA_ENDERECO || ''
+
+const CONFIG_LOJA_PADRAO = {
+    nome: (process.env.LOJA_NOME || '').toUpperCase(),
+    emoji: process.env.LOJA_EMOJI || '🔥🥩',
+    slogan: process.env.LOJA_SLOGAN || '',
     localizacao: {
-        rua: 'R. Gen. Taumaturgo de Azevedo, n° 279 - Riachinho',
-        mapsLink: 'https://maps.google.com/?q=R.+Gen.+Taumaturgo+de+Azevedo,+279+-+Riachinho'
+        rua: ENDERECO_LOJA,
+        mapsLink: process.env.LOJA_MAPS_LINK ||
+            (ENDERECO_LOJA ? `https://maps.google.com/?q=${encodeURIComponent(ENDERECO_LOJA)}` : '')
     },
-    contato: '(86) 98131-9596',
-    site: 'https://reidochurrascobarras.com.br'
+    contato: process.env.LOJA_TELEFONE || '',
+    site: process.env.LOJA_SITE || '',
+    // Usado na prévia dos templates: os envios usam o tempo calculado pela carga da cozinha (ver tempoEstimado.js)
+    tempoEstimado: '30-45 minutos'
+}
+
+// Configurações em uso (padrão + personalização)
+const CONFIG_LOJA = {
+    ...CONFIG_LOJA_PADRAO,
+    localizacao: { ...CONFIG_LOJA_PADRAO.localizacao }
 }
 
 /**
@@ -26,6 +40,32 @@ export function formatarMoeda(valor) {
     return `R$ ${Number(valor).toFixed(2).replace('.', ',')}`
 }
 
+/**
+ * Reduz o telefone a DDD + 8 dígitos
+ * O WhatsApp entrega números sem o 9º dígito, e o cadastro pode ter ou não o 55/9
+ */
+function chaveTelefone(telefone) {
+    let numero = String(telefone || '').replace(/\D/g, '')
+
+    if (numero.length > 11 && numero.startsWith('55')) {
+        numero = numero.slice(2)
+    }
+
+    if (numero.length === 11 && numero[2] === '9') {
+        numero = numero.slice(0, 2) + numero.slice(3)
+    }
+
+    return numero
+}
+
+/**
+ * Verifica se dois telefones são o mesmo número (ignora formatação, 55 e 9º dígito)
+ */
+export function telefonesCorrespondem(telefoneA, telefoneB) {
+    const chaveA = chaveTelefone(telefoneA)
+    return chaveA.length >= 10 && chaveA === chaveTelefone(telefoneB)
+}
+
 /**
  * Formata telefone para exibição
  * Converte 5586999999999 para (86) 99999-9999
@@ -230,30 +270,6 @@ export function pedidoEhDelivery(pedido) {
     return obterContextoEntrega(pedido).tipo === 'delivery'
 }
 
-/**
- * Gera bloco textual de cupom/desconto aplicado no pedido
- */
-function formatarResumoDesconto(pedido) {
-    const codigoCupom = String(pedido.cupom_codigo || '').trim()
-    const descontoAplicado = numeroSeguro(pedido.desconto_aplicado)
-    const valorDesconto = numeroSeguro(pedido.valor_desconto || pedido.discount_value)
-    const descontoTotal = descontoAplicado || valorDesconto
-
-    if (!codigoCupom && descontoTotal <= 0) return ''
-
-    let resumo = ''
-
-    if (codigoCupom) {
-        resumo += `\n*🏷️ Cupom aplicado:* ${codigoCupom}`
-    }
-
-    if (descontoTotal > 0) {
-        resumo += `\n*💸 Desconto:* -${formatarMoeda(descontoTotal)}`
-    }
-
-    return resumo
-}
-
 /**
  * Extrai endereço do pedido (compatível com JSONB delivery_option e campos diretos)
  */
@@ -299,7 +315,7 @@ function extrairEnderecoCompleto(pedido) {
 /**
  * Extrai bairro do pedido
  */
-function extrairBairro(pedido) {
+export function extrairBairro(pedido) {
     const bairroDireto = textoSeguro(pedido.bairro)
     if (bairroDireto) return bairroDireto
     const opcaoEntrega = obterOpcaoEntrega(pedido)
@@ -338,7 +354,7 @@ function extrairReferencia(pedido) {
 /**
  * Extrai taxa de entrega do pedido
  */
-function extrairTaxaEntrega(pedido) {
+export function extrairTaxaEntrega(pedido) {
     if (pedido.taxa_entrega) return numeroSeguro(pedido.taxa_entrega)
     const opcaoEntrega = obterOpcaoEntrega(pedido)
     if (opcaoEntrega) {
@@ -350,7 +366,7 @@ function extrairTaxaEntrega(pedido) {
 /**
  * Formata itens do pedido (compatível com JSONB orders.items)
  */
-function formatarItensPedido(pedido, incluirPreco = true) {
+export function formatarItensPedido(pedido, incluirPreco = true) {
     // Items pode vir como array JSONB diretamente
     const itensBrutos = pedido.items || pedido.itens_pedido || []
     const itens = Array.isArray(itensBrutos) ? itensBrutos : []
@@ -396,252 +412,727 @@ function formatarItensPedido(pedido, incluirPreco = true) {
     }).join('\n')
 }
 
+// ==========================================
+// TEMPLATES DAS MENSAGENS DE PEDIDO
+// ==========================================
+
 /**
- * Gera mensagem de pedido recebido (para a loja)
+ * Templates padrão (usados quando não há personalização em message_templates
+ * ou quando o template personalizado falha)
+ * Placeholders disponíveis: ver montarContextoPedido / montarContextoStatus
  */
-export function gerarMensagemPedidoRecebido(pedido) {
-    const listaItens = formatarItensPedido(pedido, true)
-    const bairro = extrairBairro(pedido)
-    const complemento = extrairComplemento(pedido)
-    const referencia = extrairReferencia(pedido)
-    const taxaEntrega = extrairTaxaEntrega(pedido)
-    const contextoEntrega = obterContextoEntrega(pedido)
+export const TEMPLATES_PADRAO = {
+    pedido_loja: `{{loja.emoji}} *NOVO PEDIDO - {{loja.nome}}* {{loja.emoji}}
 
-    let tipoEntrega = '🏪 Retirada no balcão'
-    let infoEntrega = ''
+*Pedido #{{pedido.numero}}*
 
-    if (contextoEntrega.tipo === 'delivery') {
-        tipoEntrega = '🛵 Delivery'
-        const enderecoCompleto = extrairEnderecoCompleto(pedido)
-        infoEntrega = `\n\n*📍 Endereço:*\n${enderecoCompleto}${bairro ? `\n*Bairro:* ${bairro}` : ''}${complemento ? `\n*Complemento:* ${complemento}` : ''}${referencia ? `\n*Referência:* ${referencia}` : ''}`
-    } else if (contextoEntrega.tipo === 'local') {
-        tipoEntrega = contextoEntrega.numeroMesa
-            ? `🍽️ Mesa (${contextoEntrega.numeroMesa})`
-            : '🍽️ Consumo no local'
-    }
+*👤 Cliente:* {{pedido.cliente}}
+{{#if pedido.telefone}}*📞 Telefone:* {{pedido.telefone}}{{/if}}{{#if pedido.garcom}}
+*👨‍🍳 Garçom:* {{pedido.garcom}}{{/if}}
+
+*📋 Itens:*
+{{pedido.itens}}
 
-    const formaPagamento = traduzirFormaPagamento(pedido.payment_method || pedido.forma_pagamento)
+*💰 Subtotal:* {{pedido.subtotalOuTotal}}
+{{#if pedido.taxaEntrega}}*🛵 Taxa de Entrega:* {{pedido.taxaEntrega}}{{/if}}
+{{#if desconto.cupom}}
+*🏷️ Cupom aplicado:* {{desconto.cupom}}{{/if}}{{#if desconto.valor}}
+*💸 Desconto:* -{{desconto.valor}}{{/if}}
+*💰 TOTAL: {{pedido.total}}*
 
-    let infoTroco = ''
-    if (pedido.valor_pago && pedido.valor_pago > pedido.total) {
-        const troco = pedido.valor_pago - pedido.total
-        infoTroco = `\n💵 *Troco para:* ${formatarMoeda(pedido.valor_pago)} (${formatarMoeda(troco)})`
-    } else if (pedido.troco && pedido.troco > 0) {
-        infoTroco = `\n💵 *Troco:* ${formatarMoeda(pedido.troco)}`
-    }
+*📦 Tipo:* {{entrega.descricao}}
+*💳 Pagamento:* {{pedido.formaPagamento}}{{#if troco.valorPago}}
+💵 *Troco para:* {{troco.valorPago}} ({{troco.valor}}){{else}}{{#if troco.valor}}
+💵 *Troco:* {{troco.valor}}{{/if}}{{/if}}{{#if entrega.delivery}}
+
+*📍 Endereço:*
+{{entrega.endereco}}{{#if entrega.bairro}}
+*Bairro:* {{entrega.bairro}}{{/if}}{{#if entrega.complemento}}
+*Complemento:* {{entrega.complemento}}{{/if}}{{#if entrega.referencia}}
+*Referência:* {{entrega.referencia}}{{/if}}{{/if}}
+{{#if pedido.observacoes}}
+*📝 Observações:* {{pedido.observacoes}}{{/if}}
 
-    const infoDesconto = formatarResumoDesconto(pedido)
+⏱️ Tempo estimado: *{{pedido.tempoEstimado}}*`,
 
-    // Garçom que criou o pedido
-    const infoGarcom = pedido.waiter_name ? `\n*👨‍🍳 Garçom:* ${pedido.waiter_name}` : ''
+    pedido_cliente: `{{loja.emoji}} *{{loja.nome}}* {{loja.emoji}}
 
-    return `${CONFIG_LOJA.emoji} *NOVO PEDIDO - ${CONFIG_LOJA.nome}* ${CONFIG_LOJA.emoji}
+✅ *Pedido Confirmado!*
 
-*Pedido #${pedido.order_number || pedido.id?.slice(0, 8)}*
+Olá, {{pedido.cliente}}! 👋
 
-*👤 Cliente:* ${pedido.customer_name || 'Cliente'}
-${pedido.customer_phone ? `*📞 Telefone:* ${pedido.customer_phone}` : ''}${infoGarcom}
+Seu pedido foi recebido com sucesso!
+
+*📋 Itens:*
+{{pedido.itensSemPreco}}
+
+{{#if pedido.detalharTaxa}}*💰 Subtotal:* {{pedido.subtotal}}
+*🛵 Taxa de entrega:* {{pedido.taxaEntrega}}
+*💰 TOTAL: {{pedido.totalInformado}}*{{else}}*💰 Total: {{pedido.totalInformado}}*{{/if}}
+{{#if desconto.cupom}}
+*🏷️ Cupom aplicado:* {{desconto.cupom}}{{/if}}{{#if desconto.valor}}
+*💸 Desconto:* -{{desconto.valor}}{{/if}}
+*📦 Tipo:* {{entrega.descricao}}{{#if entrega.delivery}}
+
+📍 *Entregar em:*
+{{entrega.endereco}}{{/if}}{{#if entrega.retirada}}
+
+📍 *Local de retirada:*
+{{loja.endereco}}{{#if loja.mapsLink}}
+🗺️ {{loja.mapsLink}}{{/if}}{{/if}}
+*💳 Pagamento:* {{pedido.formaPagamento}}{{#if troco.valorPago}}
+💵 *Troco para:* {{troco.valorPago}} ({{troco.valor}}){{else}}{{#if troco.valor}}
+💵 *Troco:* {{troco.valor}}{{/if}}{{/if}}
+
+⏱️ *Tempo estimado: {{pedido.tempoEstimado}}*
+
+Obrigado pela preferência! ❤️🔥
+_{{loja.nome}}{{#if loja.slogan}} - {{loja.slogan}}{{/if}}_`,
+
+    pedido_entregador: `🛵 *NOVA ENTREGA - {{loja.nome}}* 🛵
+
+*Pedido #{{pedido.numero}}*
+
+*👤 Cliente:* {{pedido.cliente}}
+*📞 Telefone:* {{pedido.telefoneFormatado}}
+
+*🏘️ Bairro:* {{#if entrega.bairro}}{{entrega.bairro}}{{else}}Não informado{{/if}}
+*📍 Endereço:* {{entrega.endereco}}
+{{#if entrega.complemento}}*🏠 Complemento:* {{entrega.complemento}}{{/if}}
 
 *📋 Itens:*
-${listaItens}
+{{pedido.itensSemPreco}}
+
+*💰 Total: {{pedido.total}}*
+{{#if desconto.cupom}}
+*🏷️ Cupom aplicado:* {{desconto.cupom}}{{/if}}{{#if desconto.valor}}
+*💸 Desconto:* -{{desconto.valor}}{{/if}}
+*💳 Pagamento:* {{pedido.formaPagamento}}{{#if troco.valor}}
+💵 *Levar troco de:* {{troco.valor}}{{/if}}
+{{#if pedido.observacoes}}
+*📝 Obs:* {{pedido.observacoes}}{{/if}}
+
+👉 Responda *pego {{pedido.numero}}* para assumir esta entrega.
+_Aguarde o pedido ficar pronto!_ ⏳`,
+
+    status_atualizado: `{{loja.emoji}} *{{loja.nome}}* {{loja.emoji}}
+
+{{status.emoji}} *Atualização do Pedido #{{pedido.numero}}*
+
+*Status:* {{status.texto}}{{#if status.preparando}}
 
-*💰 Subtotal:* ${formatarMoeda(pedido.subtotal || pedido.total)}
-${taxaEntrega > 0 ? `*🛵 Taxa de Entrega:* ${formatarMoeda(taxaEntrega)}` : ''}
-${infoDesconto}
-*💰 TOTAL: ${formatarMoeda(pedido.total)}*
+Estamos preparando com carinho! 🔥🥩{{/if}}{{#if status.pronto}}{{#if entrega.retirada}}
 
-*📦 Tipo:* ${tipoEntrega}
-*💳 Pagamento:* ${formaPagamento}${infoTroco}${infoEntrega}
-${pedido.notes ? `\n*📝 Observações:* ${pedido.notes}` : ''}
+Pedido pronto para retirada!
 
-⏱️ Tempo estimado: *30-45 minutos*`
+📍 *Local:*
+{{loja.endereco}}{{#if loja.mapsLink}}
+🗺️ {{loja.mapsLink}}{{/if}}{{else}}{{#if entrega.local}}
+
+{{#if entrega.mesa}}Pedido pronto para consumo na Mesa {{entrega.mesa}}!{{else}}Pedido pronto para consumo no local!{{/if}}{{else}}
+
+Pedido pronto para retirada/entrega!{{/if}}{{/if}}{{/if}}{{#if status.saiuParaEntrega}}
+
+Entregador a caminho! 🏍️{{/if}}{{#if status.finalizado}}
+
+Obrigado pela preferência! ❤️🔥{{/if}}`
+}
+
+// Descrição de cada template (exibida no endpoint de templates)
+const DESCRICOES_TEMPLATES = {
+    pedido_loja: 'Novo pedido (enviado para a loja)',
+    pedido_cliente: 'Confirmação do pedido (enviada para o cliente)',
+    pedido_entregador: 'Nova entrega (enviada para os entregadores)',
+    status_atualizado: 'Atualização de status (enviada para o cliente)'
+}
+
+// Templates personalizados carregados do Supabase (chave → texto)
+let templatesPersonalizados = {}
+
+// Pedido fictício usado na prévia dos templates
+export const PEDIDO_EXEMPLO = {
+    id: '00000000-0000-0000-0000-000000000000',
+    order_number: 123,
+    customer_name: 'Maria Souza',
+    customer_phone: '5586999998888',
+    customer_address: 'Rua das Flores, 100',
+    bairro: 'Centro',
+    complemento: 'Casa azul',
+    referencia: 'Ao lado da farmácia',
+    order_type: 'delivery',
+    items: [
+        { quantidade: 2, nome: 'Espetinho de Carne', preco_unitario: 8 },
+        { quantidade: 1, nome: 'Baião de Dois', preco_unitario: 15, observacoes: 'Sem cebola' }
+    ],
+    subtotal: 31,
+    taxa_entrega: 5,
+    cupom_codigo: 'BEMVINDO',
+    valor_desconto: 3,
+    total: 33,
+    payment_method: 'cash',
+    valor_pago: 50,
+    notes: 'Tocar a campainha',
+    status: 'confirmed'
 }
 
 /**
- * Gera mensagem de confirmação para o cliente
+ * Monta os valores disponíveis nos templates de pedido
+ * @param {Object} opcoes - { tempoEstimado } texto calculado (ex: '40-55 minutos')
  */
-export function gerarMensagemCliente(pedido) {
-    const listaItens = formatarItensPedido(pedido, false)
-    const taxaEntrega = extrairTaxaEntrega(pedido)
+function montarContextoPedido(pedido, { tempoEstimado = null } = {}) {
     const contextoEntrega = obterContextoEntrega(pedido)
-    const formaPagamento = traduzirFormaPagamento(pedido.payment_method || pedido.forma_pagamento)
-
-    let tipoEntrega = '🏪 Retirada no balcão'
-    let infoEntregaCliente = ''
+    const taxaEntrega = extrairTaxaEntrega(pedido)
+    const descontoTotal = numeroSeguro(pedido.desconto_aplicado) ||
+        numeroSeguro(pedido.valor_desconto || pedido.discount_value)
+    const troco = calcularTroco(pedido)
+    const trocoParaValorPago = Boolean(pedido.valor_pago && pedido.valor_pago > pedido.total)
 
+    let descricaoEntrega = '🏪 Retirada no balcão'
     if (contextoEntrega.tipo === 'delivery') {
-        tipoEntrega = '🛵 Delivery'
-        const enderecoCompleto = extrairEnderecoCompleto(pedido)
-        infoEntregaCliente = `\n\n📍 *Entregar em:*\n${enderecoCompleto}`
+        descricaoEntrega = '🛵 Delivery'
     } else if (contextoEntrega.tipo === 'local') {
-        tipoEntrega = contextoEntrega.numeroMesa
+        descricaoEntrega = contextoEntrega.numeroMesa
             ? `🍽️ Mesa (${contextoEntrega.numeroMesa})`
             : '🍽️ Consumo no local'
-    } else if (contextoEntrega.tipo === 'retirada') {
-        tipoEntrega = '🏪 Retirada no balcão'
-        infoEntregaCliente = `\n\n📍 *Local de retirada:*\n${CONFIG_LOJA.localizacao.rua}\n🗺️ ${CONFIG_LOJA.localizacao.mapsLink}`
     }
 
-    const total = pedido.total ? formatarMoeda(pedido.total) : ''
-    const subtotal = pedido.subtotal ? formatarMoeda(pedido.subtotal) : ''
-    const infoDesconto = formatarResumoDesconto(pedido)
-    let infoTroco = ''
+    return {
+        loja: obterDadosLoja(),
+        pedido: {
+            numero: pedido.order_number || pedido.id?.slice(0, 8),
+            cliente: pedido.customer_name || 'Cliente',
+            telefone: pedido.customer_phone || '',
+            telefoneFormatado: formatarTelefone(pedido.customer_phone || pedido.telefone),
+            garcom: pedido.waiter_name || '',
+            itens: formatarItensPedido(pedido, true),
+            itensSemPreco: formatarItensPedido(pedido, false),
+            subtotal: pedido.subtotal ? formatarMoeda(pedido.subtotal) : '',
+            subtotalOuTotal: formatarMoeda(pedido.subtotal || pedido.total),
+            taxaEntrega: taxaEntrega > 0 ? formatarMoeda(taxaEntrega) : '',
+            detalharTaxa: taxaEntrega > 0 && Boolean(pedido.subtotal),
+            total: formatarMoeda(pedido.total),
+            totalInformado: pedido.total ? formatarMoeda(pedido.total) : '',
+            formaPagamento: traduzirFormaPagamento(pedido.payment_method || pedido.forma_pagamento),
+            observacoes: pedido.notes || '',
+            tempoEstimado: tempoEstimado || CONFIG_LOJA.tempoEstimado
+        },
+        desconto: {
+            cupom: String(pedido.cupom_codigo || '').trim(),
+            valor: descontoTotal > 0 ? formatarMoeda(descontoTotal) : ''
+        },
+        troco: {
+            valor: troco > 0 ? formatarMoeda(troco) : '',
+            valorPago: trocoParaValorPago ? formatarMoeda(pedido.valor_pago) : ''
+        },
+        entrega: {
+            tipo: contextoEntrega.tipo,
+            descricao: descricaoEntrega,
+            delivery: contextoEntrega.tipo === 'delivery',
+            retirada: contextoEntrega.tipo === 'retirada',
+            local: contextoEntrega.tipo === 'local',
+            mesa: contextoEntrega.numeroMesa,
+            endereco: extrairEnderecoCompleto(pedido),
+            bairro: extrairBairro(pedido),
+            complemento: extrairComplemento(pedido),
+            referencia: extrairReferencia(pedido)
+        }
+    }
+}
 
-    if (pedido.valor_pago && pedido.valor_pago > pedido.total) {
-        const troco = pedido.valor_pago - pedido.total
-        infoTroco = `\n💵 *Troco para:* ${formatarMoeda(pedido.valor_pago)} (${formatarMoeda(troco)})`
-    } else if (pedido.troco && pedido.troco > 0) {
-        infoTroco = `\n💵 *Troco:* ${formatarMoeda(pedido.troco)}`
+/**
+ * Contexto do template de status (contexto do pedido + status)
+ */
+function montarContextoStatus(pedido, novoStatus) {
+    return {
+        ...montarContextoPedido(pedido),
+        status: {
+            codigo: novoStatus,
+            emoji: statusEmojis[novoStatus] || '📋',
+            texto: statusTextos[novoStatus] || novoStatus,
+            preparando: ['preparing', 'preparando'].includes(novoStatus),
+            pronto: ['ready', 'pronto'].includes(novoStatus),
+            saiuParaEntrega: ['out_for_delivery', 'saiu_entrega'].includes(novoStatus),
+            finalizado: ['delivered', 'entregue', 'completed', 'finalizado'].includes(novoStatus)
+        }
     }
+}
 
-    let blocoValores = ''
-    if (taxaEntrega > 0 && subtotal) {
-        blocoValores = `*💰 Subtotal:* ${subtotal}\n*🛵 Taxa de entrega:* ${formatarMoeda(taxaEntrega)}\n*💰 TOTAL: ${total}*`
-    } else {
-        blocoValores = `*💰 Total: ${total}*`
+/**
+ * Renderiza o template da chave (personalizado ou padrão)
+ * Se o template personalizado falhar ou gerar mensagem vazia, usa o padrão
+ */
+function gerarMensagemComTemplate(chave, contexto) {
+    const personalizado = templatesPersonalizados[chave]
+
+    if (personalizado) {
+        try {
+            const mensagem = renderizarTemplate(personalizado, contexto)
+            if (mensagem.trim()) return mensagem
+            console.error(`[TEMPLATES] Template '${chave}' gerou mensagem vazia, usando o padrão`)
+        } catch (erro) {
+            console.error(`[TEMPLATES] Erro no template '${chave}', usando o padrão:`, erro.message)
+        }
     }
 
-    return `${CONFIG_LOJA.emoji} *${CONFIG_LOJA.nome}* ${CONFIG_LOJA.emoji}
+    return renderizarTemplate(TEMPLATES_PADRAO[chave], contexto)
+}
 
-✅ *Pedido Confirmado!*
+/**
+ * Aplica templates e dados da loja personalizados (carregados do Supabase)
+ * Valores ausentes voltam ao padrão
+ * @param {Object} personalizacao - { templates: { chave: texto }, loja: { nome, slogan, ... } }
+ */
+export function aplicarPersonalizacaoMensagens({ templates = {}, loja = {} } = {}) {
+    templatesPersonalizados = {}
 
-Olá, ${pedido.customer_name || 'Cliente'}! 👋
+    for (const [chave, texto] of Object.entries(templates)) {
+        if (!TEMPLATES_PADRAO[chave] || !texto) continue
 
-Seu pedido foi recebido com sucesso!
+        const validacao = validarTemplate(texto)
+        if (!validacao.valido) {
+            console.error(`[TEMPLATES] Template '${chave}' inválido, usando o padrão:`, validacao.erro)
+            continue
+        }
 
-*📋 Itens:*
-${listaItens}
+        templatesPersonalizados[chave] = texto
+    }
 
-${blocoValores}
-${infoDesconto}
-*📦 Tipo:* ${tipoEntrega}${infoEntregaCliente}
-*💳 Pagamento:* ${formaPagamento}${infoTroco}
+    const { localizacao = {}, ...dadosLoja } = loja
+    const preenchidos = (dados) => Object.fromEntries(Object.entries(dados).filter(([, valor]) => textoSeguro(valor)))
 
-⏱️ *Tempo estimado: 30-45 minutos*
+    Object.assign(CONFIG_LOJA, CONFIG_LOJA_PADRAO, preenchidos(dadosLoja))
+    CONFIG_LOJA.localizacao = { ...CONFIG_LOJA_PADRAO.localizacao, ...preenchidos(localizacao) }
+}
 
-Obrigado pela preferência! ❤️🔥
-_${CONFIG_LOJA.nome} - ${CONFIG_LOJA.slogan}_`
+/**
+ * Dados da loja em uso (ambiente + store_settings)
+ * @returns {Object} { nome, emoji, slogan, endereco, mapsLink, contato, site }
+ */
+export function obterDadosLoja() {
+    return {
+        nome: CONFIG_LOJA.nome,
+        emoji: CONFIG_LOJA.emoji,
+        slogan: CONFIG_LOJA.slogan,
+        endereco: CONFIG_LOJA.localizacao.rua,
+        mapsLink: CONFIG_LOJA.localizacao.mapsLink,
+        contato: CONFIG_LOJA.contato,
+        site: CONFIG_LOJA.site
+    }
 }
 
 /**
- * Gera mensagem para o entregador (apenas quando for delivery)
+ * Lista os templates de pedido com o texto padrão e o personalizado em uso
  */
-export function gerarMensagemEntregador(pedido) {
-    const listaItens = formatarItensPedido(pedido, false)
-    const formaPagamento = traduzirFormaPagamento(pedido.payment_method || pedido.forma_pagamento)
-    const telefoneFormatado = formatarTelefone(pedido.customer_phone || pedido.telefone)
-    const bairro = extrairBairro(pedido)
-    const complemento = extrairComplemento(pedido)
-    const enderecoCompleto = extrairEnderecoCompleto(pedido)
-    const infoDesconto = formatarResumoDesconto(pedido)
-
-    let infoTroco = ''
+export function listarTemplatesMensagens() {
+    return Object.keys(TEMPLATES_PADRAO).map(chave => ({
+        chave,
+        descricao: DESCRICOES_TEMPLATES[chave],
+        padrao: TEMPLATES_PADRAO[chave],
+        personalizado: templatesPersonalizados[chave] || null
+    }))
+}
+
+/**
+ * Renderiza a prévia de um template com um pedido de exemplo
+ * @param {string} chave - Chave do template (pedido_loja, pedido_cliente, pedido_entregador, status_atualizado)
+ * @param {Object} opcoes - { texto, pedido, status } - sem texto, usa o template em uso
+ * @returns {Object} { sucesso, erro, origem, mensagem, placeholders }
+ */
+export function gerarPreviaTemplate(chave, { texto = null, pedido = null, status = 'ready' } = {}) {
+    if (!TEMPLATES_PADRAO[chave]) {
+        return { sucesso: false, erro: `Template desconhecido: ${chave}` }
+    }
+
+    const pedidoPrevia = pedido && typeof pedido === 'object' ? pedido : PEDIDO_EXEMPLO
+    const contexto = chave === 'status_atualizado'
+        ? montarContextoStatus(pedidoPrevia, status)
+        : montarContextoPedido(pedidoPrevia)
+
+    const origem = texto ? 'enviado' : (templatesPersonalizados[chave] ? 'personalizado' : 'padrao')
+    const template = texto || templatesPersonalizados[chave] || TEMPLATES_PADRAO[chave]
+
+    const validacao = validarTemplate(template)
+    if (!validacao.valido) {
+        return { sucesso: false, erro: validacao.erro, origem }
+    }
+
+    return {
+        sucesso: true,
+        erro: null,
+        origem,
+        mensagem: renderizarTemplate(template, contexto),
+        placeholders: listarPlaceholders(contexto)
+    }
+}
+
+/**
+ * Gera mensagem de pedido recebido (para a loja)
+ * @param {Object} opcoes - { tempoEstimado } mesmo texto enviado ao cliente
+ */
+export function gerarMensagemPedidoRecebido(pedido, opcoes = {}) {
+    return gerarMensagemComTemplate('pedido_loja', montarContextoPedido(pedido, opcoes))
+}
+
+/**
+ * Gera mensagem de confirmação para o cliente
+ * @param {Object} opcoes - { tempoEstimado } calculado pela carga da cozinha
+ */
+export function gerarMensagemCliente(pedido, opcoes = {}) {
+    return gerarMensagemComTemplate('pedido_cliente', montarContextoPedido(pedido, opcoes))
+}
+
+/**
+ * Calcula o troco que o entregador precisa levar (pagamento em dinheiro)
+ */
+export function calcularTroco(pedido) {
     if (pedido.valor_pago && pedido.valor_pago > pedido.total) {
-        const troco = pedido.valor_pago - pedido.total
-        infoTroco = `\n💵 *Levar troco de:* ${formatarMoeda(troco)}`
-    } else if (pedido.troco && pedido.troco > 0) {
-        infoTroco = `\n💵 *Levar troco de:* ${formatarMoeda(pedido.troco)}`
+        return pedido.valor_pago - pedido.total
     }
+    if (pedido.troco && pedido.troco > 0) {
+        return pedido.troco
+    }
+    return 0
+}
 
-    return `🛵 *NOVA ENTREGA - ${CONFIG_LOJA.nome}* 🛵
+/**
+ * Gera mensagem para o entregador (apenas quando for delivery)
+ */
+export function gerarMensagemEntregador(pedido) {
+    return gerarMensagemComTemplate('pedido_entregador', montarContextoPedido(pedido))
+}
 
-*Pedido #${pedido.order_number || pedido.id?.slice(0, 8)}*
+/**
+ * Gera oferta de entrega para um único entregador (modo rodízio)
+ * @param {number} minutosParaResponder - Prazo antes de oferecer ao próximo entregador
+ */
+export function gerarMensagemOfertaEntrega(pedido, minutosParaResponder) {
+    return `⏱️ *OFERTA DE ENTREGA - só para você*
+Você tem *${minutosParaResponder} min* para responder *pego ${pedido.order_number || pedido.id?.slice(0, 8)}*. Depois disso, o pedido vai para o próximo entregador.
 
-*👤 Cliente:* ${pedido.customer_name || 'Cliente'}
-*📞 Telefone:* ${telefoneFormatado}
+${gerarMensagemEntregador(pedido)}`
+}
 
-*🏘️ Bairro:* ${bairro || 'Não informado'}
-*📍 Endereço:* ${enderecoCompleto}
-${complemento ? `*🏠 Complemento:* ${complemento}` : ''}
+/**
+ * Gera confirmação para o entregador que assumiu a entrega
+ */
+export function gerarMensagemEntregaAssumida(pedido) {
+    return `✅ *Entrega assumida!*
 
-*📋 Itens:*
-${listaItens}
+*Pedido #${pedido.order_number || pedido.id?.slice(0, 8)}* é seu.
+
+*👤 Cliente:* ${pedido.customer_name || 'Cliente'}
+*🏘️ Bairro:* ${extrairBairro(pedido) || 'Não informado'}
+*📍 Endereço:* ${extrairEnderecoCompleto(pedido)}
 
-*💰 Total: ${formatarMoeda(pedido.total)}*
-${infoDesconto}
-*💳 Pagamento:* ${formaPagamento}${infoTroco}
-${pedido.notes ? `\n*📝 Obs:* ${pedido.notes}` : ''}
+Ao sair, responda *saí ${pedido.order_number || pedido.id?.slice(0, 8)}*; ao entregar, *entreguei ${pedido.order_number || pedido.id?.slice(0, 8)}*.
+Algum problema? *problema ${pedido.order_number || pedido.id?.slice(0, 8)} <o que aconteceu>*
 
 _Aguarde o pedido ficar pronto!_ ⏳`
 }
 
+/**
+ * Gera a lista de entregadores em turno para a loja
+ * @param {Array} emTurno - Entregadores com check-in hoje
+ * @param {Array} foraDoTurno - Demais entregadores ativos
+ */
+export function gerarMensagemEntregadoresEmTurno(emTurno, foraDoTurno) {
+    const listar = (entregadores) => entregadores.length > 0
+        ? entregadores.map(entregador => `   • ${entregador.nome} - ${formatarTelefone(entregador.telefone)}`).join('\n')
+        : '   • Ninguém'
+
+    return `🛵 *ENTREGADORES EM TURNO - ${CONFIG_LOJA.nome}*
+
+*🟢 Em turno (${emTurno.length}):*
+${listar(emTurno)}
+
+*⚪ Fora do turno (${foraDoTurno.length}):*
+${listar(foraDoTurno)}
+
+_Entregadores entram com *entrei* e saem com *saí do turno*._`
+}
+
+/**
+ * Gera o acerto da noite para um entregador
+ * @param {Object} acerto - Item de calcularAcertoEntregadores().entregadores
+ * @param {string} dia - Dia de trabalho (YYYY-MM-DD)
+ */
+export function gerarMensagemAcertoEntregador(acerto, dia) {
+    const linhasPedidos = acerto.pedidos.map(pedido =>
+        `   • #${pedido.numero} - ${pedido.formaPagamento} - ${formatarMoeda(pedido.total)} (taxa ${formatarMoeda(pedido.taxa)})`
+    ).join('\n')
+
+    const textoSaldo = acerto.saldo >= 0
+        ? `*💰 Repassar para a loja:* ${formatarMoeda(acerto.saldo)}`
+        : `*💰 A loja te paga:* ${formatarMoeda(-acerto.saldo)}`
+
+    return `🧾 *ACERTO DO DIA ${dia.split('-').reverse().join('/')} - ${CONFIG_LOJA.nome}*
+
+Olá, ${acerto.nome}! Resumo das suas entregas:
+
+*🛵 Entregas:* ${acerto.entregas}
+*🏍️ Taxas de entrega:* ${formatarMoeda(acerto.taxas)}
+*💵 Dinheiro recebido:* ${formatarMoeda(acerto.dinheiroRecebido)}
+*🔄 Troco levado:* ${formatarMoeda(acerto.trocoLevado)}
+
+${textoSaldo}
+
+*📋 Pedidos:*
+${linhasPedidos}`
+}
+
+/**
+ * Gera o relatório de acerto de todos os entregadores para a loja
+ * @param {Object} acerto - Resultado de calcularAcertoEntregadores()
+ * @param {string} dia - Dia de trabalho (YYYY-MM-DD)
+ */
+export function gerarRelatorioAcertoLoja(acerto, dia) {
+    const linhas = acerto.entregadores.map(item =>
+        `*${item.nome}*\n` +
+        `   🛵 ${item.entregas} entrega(s) | Taxas ${formatarMoeda(item.taxas)}\n` +
+        `   💵 Dinheiro ${formatarMoeda(item.dinheiroRecebido)} | Troco ${formatarMoeda(item.trocoLevado)}\n` +
+        `   💰 Saldo ${item.saldo >= 0 ? 'a receber' : 'a pagar'}: ${formatarMoeda(Math.abs(item.saldo))}`
+    ).join('\n\n')
+
+    return `🧾 *ACERTO DOS ENTREGADORES - ${dia.split('-').reverse().join('/')}*
+
+${linhas}
+
+*TOTAL:* ${acerto.totais.entregas} entrega(s)
+*Taxas:* ${formatarMoeda(acerto.totais.taxas)}
+*Dinheiro recebido:* ${formatarMoeda(acerto.totais.dinheiroRecebido)}
+*Saldo a receber dos entregadores:* ${formatarMoeda(acerto.totais.saldo)}`
+}
+
+/**
+ * Gera alerta para a loja de problema informado pelo entregador
+ */
+export function gerarMensagemProblemaEntrega(pedido, nomeEntregador, descricao) {
+    return `🚨 *PROBLEMA NA ENTREGA* 🚨
+
+*Pedido:* #${pedido.order_number || pedido.id?.slice(0, 8)}
+*Entregador:* ${nomeEntregador}
+*Cliente:* ${pedido.customer_name || 'Cliente'}
+*Telefone:* ${formatarTelefone(pedido.customer_phone || pedido.telefone)}
+*📍 Endereço:* ${extrairEnderecoCompleto(pedido)}
+
+*Relato:* ${descricao}`
+}
+
+/**
+ * Gera aviso para os demais entregadores de que a entrega já foi assumida
+ */
+export function gerarMensagemEntregaJaAssumida(pedido, nomeEntregador) {
+    return `🚫 *Pedido #${pedido.order_number || pedido.id?.slice(0, 8)}* já foi assumido por *${nomeEntregador || 'outro entregador'}*.
+
+Não precisa ir buscar. 👍`
+}
+
+// Emojis e textos exibidos para cada status de pedido
+const statusEmojis = {
+    'pending': '⏳',
+    'pendente': '⏳',
+    'confirmed': '✅',
+    'confirmado': '✅',
+    'preparing': '👨‍🍳',
+    'preparando': '👨‍🍳',
+    'ready': '🍽️',
+    'pronto': '🍽️',
+    'out_for_delivery': '🛵',
+    'saiu_entrega': '🛵',
+    'delivered': '✅',
+    'entregue': '✅',
+    'completed': '🎉',
+    'finalizado': '🎉',
+    'cancelled': '❌',
+    'cancelado': '❌'
+}
+
+const statusTextos = {
+    'pending': 'Aguardando confirmação',
+    'pendente': 'Aguardando confirmação',
+    'confirmed': 'Pedido confirmado',
+    'confirmado': 'Pedido confirmado',
+    'preparing': 'Preparando pedido',
+    'preparando': 'Preparando pedido',
+    'ready': 'Pedido pronto',
+    'pronto': 'Pedido pronto',
+    'out_for_delivery': 'Saiu para entrega',
+    'saiu_entrega': 'Saiu para entrega',
+    'delivered': 'Pedido entregue',
+    'entregue': 'Pedido entregue',
+    'completed': 'Pedido finalizado',
+    'finalizado': 'Pedido finalizado',
+    'cancelled': 'Pedido cancelado',
+    'cancelado': 'Pedido cancelado'
+}
+
+/**
+ * Texto legível do status do pedido (ex: 'out_for_delivery' → 'Saiu para entrega')
+ */
+export function obterTextoStatus(status) {
+    return statusTextos[status] || status || 'Sem status'
+}
+
 /**
  * Gera mensagem de atualização de status
  */
 export function gerarMensagemStatusAtualizado(pedido, novoStatus) {
-    const statusEmojis = {
-        'pending': '⏳',
-        'pendente': '⏳',
-        'confirmed': '✅',
-        'confirmado': '✅',
-        'preparing': '👨‍🍳',
-        'preparando': '👨‍🍳',
-        'ready': '🍽️',
-        'pronto': '🍽️',
-        'out_for_delivery': '🛵',
-        'saiu_entrega': '🛵',
-        'delivered': '✅',
-        'entregue': '✅',
-        'completed': '🎉',
-        'finalizado': '🎉',
-        'cancelled': '❌',
-        'cancelado': '❌'
-    }
-
-    const statusTextos = {
-        'pending': 'Aguardando confirmação',
-        'pendente': 'Aguardando confirmação',
-        'confirmed': 'Pedido confirmado',
-        'confirmado': 'Pedido confirmado',
-        'preparing': 'Preparando pedido',
-        'preparando': 'Preparando pedido',
-        'ready': 'Pedido pronto',
-        'pronto': 'Pedido pronto',
-        'out_for_delivery': 'Saiu para entrega',
-        'saiu_entrega': 'Saiu para entrega',
-        'delivered': 'Pedido entregue',
-        'entregue': 'Pedido entregue',
-        'completed': 'Pedido finalizado',
-        'finalizado': 'Pedido finalizado',
-        'cancelled': 'Pedido cancelado',
-        'cancelado': 'Pedido cancelado'
-    }
-
-    const emoji = statusEmojis[novoStatus] || '📋'
-    const texto = statusTextos[novoStatus] || novoStatus
+    return gerarMensagemComTemplate('status_atualizado', montarContextoStatus(pedido, novoStatus))
+}
 
-    const contextoEntrega = obterContextoEntrega(pedido)
+/**
+ * Gera aviso para a loja de pedido cancelado pelo cliente no WhatsApp
+ * @param {string} motivo - Motivo informado pelo cliente
+ * @param {boolean} pagamentoConfirmado - Lembra a loja de providenciar o estorno
+ */
+export function gerarMensagemCancelamentoLoja(pedido, motivo, pagamentoConfirmado = false) {
+    const estorno = pagamentoConfirmado
+        ? `\n\n⚠️ *Pagamento já confirmado* (${traduzirFormaPagamento(pedido.payment_method || pedido.forma_pagamento)}): providencie o estorno.`
+        : ''
 
-    let mensagemExtra = ''
-    if (novoStatus === 'preparing' || novoStatus === 'preparando') {
-        mensagemExtra = '\n\nEstamos preparando com carinho! 🔥🥩'
-    } else if (novoStatus === 'ready' || novoStatus === 'pronto') {
-        if (contextoEntrega.tipo === 'retirada') {
-            mensagemExtra = `\n\nPedido pronto para retirada!\n\n📍 *Local:*\n${CONFIG_LOJA.localizacao.rua}\n🗺️ ${CONFIG_LOJA.localizacao.mapsLink}`
-        } else if (contextoEntrega.tipo === 'local') {
-            mensagemExtra = contextoEntrega.numeroMesa
-                ? `\n\nPedido pronto para consumo na Mesa ${contextoEntrega.numeroMesa}!`
-                : '\n\nPedido pronto para consumo no local!'
-        } else {
-            mensagemExtra = '\n\nPedido pronto para retirada/entrega!'
-        }
-    } else if (novoStatus === 'out_for_delivery' || novoStatus === 'saiu_entrega') {
-        mensagemExtra = '\n\nEntregador a caminho! 🏍️'
-    } else if (novoStatus === 'delivered' || novoStatus === 'entregue' || novoStatus === 'completed' || novoStatus === 'finalizado') {
-        mensagemExtra = '\n\nObrigado pela preferência! ❤️🔥'
-    }
+    return `🚫 *PEDIDO CANCELADO PELO CLIENTE* 🚫
+
+${gerarMensagemStatusAtualizado(pedido, 'cancelled')}
+
+*Cliente:* ${pedido.customer_name || 'Cliente'}
+*Telefone:* ${formatarTelefone(pedido.customer_phone || pedido.telefone)}
+*Total:* ${formatarMoeda(pedido.total)}
+*Motivo:* ${textoSeguro(motivo) || 'Não informado'}${estorno}`
+}
+
+/**
+ * Gera aviso para o entregador que já tinha assumido a entrega do pedido cancelado
+ */
+export function gerarMensagemCancelamentoEntregador(pedido) {
+    return `🚫 *ENTREGA CANCELADA* 🚫
+
+${gerarMensagemStatusAtualizado(pedido, 'cancelled')}
+
+O cliente cancelou o pedido. Não precisa mais fazer essa entrega. 👍`
+}
+
+/**
+ * Gera mensagem para o cliente quando o pedido chega com a loja fechada pelo admin
+ * O texto do aviso pode ser personalizado em store_settings (closed_order_message)
+ */
+export function gerarMensagemClienteLojaFechada(pedido, avisoPersonalizado = '') {
+    const aviso = textoSeguro(avisoPersonalizado) ||
+        'No momento estamos *fechados*, mas seu pedido foi registrado e será analisado pela nossa equipe assim que reabrirmos.'
+
+    return `${CONFIG_LOJA.emoji} *${CONFIG_LOJA.nome}* ${CONFIG_LOJA.emoji}
+
+📥 *Pedido #${pedido.order_number || pedido.id?.slice(0, 8)} recebido*
+
+Olá, ${pedido.customer_name || 'Cliente'}! 👋
+
+${aviso}
+
+Você receberá uma nova mensagem quando ele for confirmado. 😉`
+}
+
+/**
+ * Gera alerta para a loja de pedido recebido com a loja fechada pelo admin
+ * @param {Object} opcoes - { tempoEstimado } calculado pela carga da cozinha
+ */
+export function gerarMensagemPedidoLojaFechada(pedido, opcoes = {}) {
+    return `🔴 *PEDIDO RECEBIDO COM A LOJA FECHADA* 🔴
+
+${gerarMensagemPedidoRecebido(pedido, opcoes)}`
+}
+
+/**
+ * Gera relatório para a loja com os pedidos que chegaram enquanto ela estava fechada
+ */
+export function gerarRelatorioPedidosLojaFechada(pedidos) {
+    const linhas = pedidos.map(pedido => {
+        const numero = pedido.order_number || pedido.id?.slice(0, 8)
+        const tipo = obterContextoEntrega(pedido).tipo === 'delivery' ? '🛵' : '🏪'
+        const status = statusTextos[pedido.status] || pedido.status || 'Sem status'
+        return `   • ${tipo} *#${numero}* - ${pedido.customer_name || 'Cliente'} - ${formatarMoeda(pedido.total)} (${status})`
+    }).join('\n')
+
+    return `🟢 *LOJA REABERTA - ${CONFIG_LOJA.nome}*
+
+*${pedidos.length} pedido(s) recebido(s) enquanto a loja estava fechada:*
+
+${linhas}
+
+Confirme ou cancele cada pedido no painel. 📋`
+}
+
+/**
+ * Gera confirmação para o cliente de que o comprovante PIX foi recebido
+ */
+export function gerarMensagemComprovanteRecebido(pedido) {
+    return `${CONFIG_LOJA.emoji} *${CONFIG_LOJA.nome}* ${CONFIG_LOJA.emoji}
+
+🧾 *Comprovante recebido!*
+
+Recebemos o comprovante do PIX do *Pedido #${pedido.order_number || pedido.id?.slice(0, 8)}* (${formatarMoeda(pedido.total)}).
+
+Nossa equipe vai conferir o pagamento e seguir com o seu pedido. Obrigado! 🙏`
+}
+
+/**
+ * Gera alerta para a loja conferir o comprovante PIX enviado pelo cliente
+ * @param {string} situacao - Resultado de salvarComprovantePix: 'anexado', 'ja_anexado' ou 'erro'
+ */
+export function gerarMensagemComprovanteLoja(pedido, situacao) {
+    const localComprovante = {
+        anexado: '📎 Arquivo anexado ao pedido no painel.',
+        ja_anexado: '⚠️ O cliente enviou *outro comprovante*, mas o pedido já tinha um anexado. O anterior foi mantido: confira este novo arquivo na conversa do WhatsApp.'
+    }[situacao] || '⚠️ Não foi possível anexar o arquivo ao pedido. Confira na conversa do WhatsApp.'
+
+    return `🧾 *COMPROVANTE PIX RECEBIDO*
+
+*Pedido:* #${pedido.order_number || pedido.id?.slice(0, 8)}
+*Cliente:* ${pedido.customer_name || 'Cliente'}
+*Telefone:* ${formatarTelefone(pedido.customer_phone)}
+*Valor:* ${formatarMoeda(pedido.total)}
+
+${localComprovante}
 
+Confira o pagamento no banco antes de confirmar. ✅`
+}
+
+/**
+ * Gera lembrete de pagamento PIX para o cliente
+ * O código "copia e cola" segue em mensagem separada, com a mesma chave enviada no pedido
+ */
+export function gerarMensagemLembretePix(pedido, chavePix) {
     return `${CONFIG_LOJA.emoji} *${CONFIG_LOJA.nome}* ${CONFIG_LOJA.emoji}
 
-${emoji} *Atualização do Pedido #${pedido.order_number || pedido.id?.slice(0, 8)}*
+⏰ *Lembrete de pagamento - Pedido #${pedido.order_number || pedido.id?.slice(0, 8)}*
+
+Olá, ${pedido.customer_name || 'Cliente'}! Ainda não identificamos o PIX do seu pedido.
+
+*Valor:* ${formatarMoeda(pedido.total)}
+*Titular:* ${chavePix.titular}
+*Chave (${chavePix.tipo}):* ${chavePix.chave}
+
+O código *PIX copia e cola* vai na próxima mensagem. Se já pagou, é só enviar o comprovante aqui. 🧾`
+}
+
+/**
+ * Gera alerta para a loja de pedido PIX sem pagamento após o prazo
+ * @param {number} minutosAguardando - Tempo desde a criação do pedido
+ */
+export function gerarMensagemPixNaoPago(pedido, minutosAguardando) {
+    return `⚠️ *PIX NÃO PAGO*
+
+*Pedido:* #${pedido.order_number || pedido.id?.slice(0, 8)}
+*Cliente:* ${pedido.customer_name || 'Cliente'}
+*Telefone:* ${formatarTelefone(pedido.customer_phone)}
+*Valor:* ${formatarMoeda(pedido.total)}
 
-*Status:* ${texto}${mensagemExtra}`
+Sem confirmação de pagamento há ${minutosAguardando} minutos.
+Entre em contato com o cliente ou cancele o pedido no painel. 📋`
 }
 
 /**
  * Traduz forma de pagamento
  */
-function traduzirFormaPagamento(metodo) {
+export function traduzirFormaPagamento(metodo) {
     if (!metodo) return 'Não informado'
     const metodoLower = metodo.toLowerCase()
     const traducoes = {
@@ -666,8 +1157,37 @@ export default {
     gerarMensagemPedidoRecebido,
     gerarMensagemCliente,
     gerarMensagemStatusAtualizado,
+    gerarMensagemCancelamentoLoja,
+    gerarMensagemCancelamentoEntregador,
     gerarMensagemEntregador,
+    gerarMensagemOfertaEntrega,
+    gerarMensagemEntregaAssumida,
+    gerarMensagemEntregaJaAssumida,
+    gerarMensagemProblemaEntrega,
+    gerarMensagemEntregadoresEmTurno,
+    gerarMensagemAcertoEntregador,
+    gerarRelatorioAcertoLoja,
+    gerarMensagemClienteLojaFechada,
+    gerarMensagemPedidoLojaFechada,
+    gerarRelatorioPedidosLojaFechada,
+    gerarMensagemComprovanteRecebido,
+    gerarMensagemComprovanteLoja,
+    gerarMensagemLembretePix,
+    gerarMensagemPixNaoPago,
     pedidoEhDelivery,
+    extrairBairro,
+    obterTextoStatus,
+    obterDadosLoja,
+    extrairTaxaEntrega,
+    formatarItensPedido,
+    traduzirFormaPagamento,
+    calcularTroco,
     formatarMoeda,
+    formatarTelefone,
+    telefonesCorrespondem,
+    aplicarPersonalizacaoMensagens,
+    listarTemplatesMensagens,
+    gerarPreviaTemplate,
+    TEMPLATES_PADRAO,
     CONFIG_LOJA
 }
@@ -0,0 +1,769 @@
+/**
+ * Pedido pelo WhatsApp (conversa guiada)
+ * Rei do Churrasco
+ *
+ * Fluxo: categoria → produto → quantidade → adicionais → mais itens ou finalizar →
+ *        delivery/retirada → endereço → bairro → referência → pagamento → troco →
+ *        nome → observações → resumo → confirmação
+ *
+ * - Começa com 'pedir' (ver COMANDOS_INICIO) e só com a loja aberta
+ * - A qualquer momento: 'carrinho' mostra os itens, 'voltar' volta às categorias, 'cancelar' desiste
+ * - O pedido confirmado é gravado em orders (status 'pending'): as notificações seguem
+ *   o mesmo caminho dos pedidos do site (processarNovoPedido)
+ * - Sessões gravadas em whatsapp_order_sessions (phone, state, updated_at, expires_at):
+ *   sobrevivem a restart e expiram após PEDIDO_WHATSAPP_EXPIRACAO_MINUTOS sem resposta (padrão 30)
+ *
+ * Taxa de entrega (store_settings):
+ *   delivery_fee                 - taxa padrão
+ *   delivery_fee_by_neighborhood - JSON { "Centro": 5, "Riachinho": 7 } (bairro fora da lista usa a padrão)
+ *
+ * PEDIDO_WHATSAPP=desativado desliga o fluxo
+ */
+
+import { supabase } from './supabase.js'
+import { carregarCatalogo, produtoDisponivel } from './catalogo.js'
+import { normalizarTexto } from './intencoes.js'
+import { formatarMoeda, formatarItensPedido, traduzirFormaPagamento } from './mensagens.js'
+import { carregarConfiguracoesLoja, verificarLojaAberta } from './respostasAutomaticas.js'
+
+export const PEDIDO_WHATSAPP_ATIVO = process.env.PEDIDO_WHATSAPP !== 'desativado'
+const MINUTOS_EXPIRACAO = Number(process.env.PEDIDO_WHATSAPP_EXPIRACAO_MINUTOS) || 30
+const EXPIRACAO_MS = MINUTOS_EXPIRACAO * 60 * 1000
+
+const LINK_SITE = process.env.LOJA_SITE || ''
+const TABELA_SESSOES = 'whatsapp_order_sessions'
+const QUANTIDADE_MAXIMA = 50
+
+const COMANDOS_INICIO = ['pedir', 'pedir aqui', 'fazer pedido aqui', 'pedido pelo whatsapp', 'novo pedido']
+const COMANDOS_CANCELAR = ['cancelar', 'cancela', 'cancelar pedido', 'sair', 'desistir']
+const COMANDOS_CARRINHO = ['carrinho', 'meu carrinho']
+const COMANDOS_VOLTAR = ['voltar', 'categorias']
+const RESPOSTAS_PULAR = ['0', 'nao', 'n', 'nenhum', 'nenhuma', 'pular', 'sem']
+const RESPOSTAS_SIM = ['1', 'sim', 's', 'confirmar', 'confirmo', 'ok']
+const RESPOSTAS_NAO = ['2', 'nao', 'n']
+
+const FORMAS_PAGAMENTO = [
+    { codigo: 'pix', nome: '📱 PIX' },
+    { codigo: 'cash', nome: '💵 Dinheiro' },
+    { codigo: 'credit_card', nome: '💳 Cartão de crédito' },
+    { codigo: 'debit_card', nome: '💳 Cartão de débito' }
+]
+
+const RODAPE = '_*carrinho* mostra seus itens, *voltar* volta às categorias e *cancelar* desiste do pedido._'
+
+// Sessões em andamento: telefone → sessão (espelho de whatsapp_order_sessions)
+const sessoes = new Map()
+
+// Telefones com o pedido sendo gravado: um segundo "1" não pode gerar outro pedido
+const pedidosEmFinalizacao = new Set()
+const MENSAGEM_FINALIZANDO = '⏳ Seu pedido já está sendo registrado, só um instante...'
+
+function arredondar(valor) {
+    return Math.round(valor * 100) / 100
+}
+
+function lerNumero(texto) {
+    return /^\d+$/.test(texto) ? Number(texto) : null
+}
+
+/**
+ * Lê valor em reais ('100', 'R$ 50,00', '75.5', 'R$ 1.000,00')
+ * @returns {number|null}
+ */
+function lerValor(texto) {
+    const resultado = String(texto || '').match(/\d{1,3}(?:\.\d{3})+(?:,\d{1,2})?|\d+(?:[.,]\d{1,2})?/)
+    if (!resultado) return null
+
+    // Pontos seguidos de 3 dígitos são separador de milhar ('1.000,00')
+    const valor = /\.\d{3}/.test(resultado[0]) ? resultado[0].replace(/\./g, '') : resultado[0]
+    return Number(valor.replace(',', '.'))
+}
+
+// ==========================================
+// SESSÕES
+// ==========================================
+
+function criarSessao() {
+    return {
+        etapa: 'categoria',
+        itens: [],
+        categoria: null,
+        produtoId: null,
+        quantidade: null,
+        entrega: null,
+        pagamento: null,
+        valorPago: null,
+        nome: null,
+        observacoes: null,
+        atualizadoEm: Date.now()
+    }
+}
+
+/**
+ * Grava a sessão em memória e no Supabase (renova a expiração)
+ */
+async function salvarSessao(telefone, sessao) {
+    sessao.atualizadoEm = Date.now()
+    sessoes.set(telefone, sessao)
+
+    try {
+        const { error } = await supabase
+            .from(TABELA_SESSOES)
+            .upsert({
+                phone: telefone,
+                state: sessao,
+                updated_at: new Date(sessao.atualizadoEm).toISOString(),
+                expires_at: new Date(sessao.atualizadoEm + EXPIRACAO_MS).toISOString()
+            }, {
+                onConflict: 'phone'
+            })
+
+        if (error) {
+            console.error(`[PEDIDO WHATSAPP] Erro ao salvar sessão de ${telefone}:`, error.message)
+        }
+    } catch (erro) {
+        console.error(`[PEDIDO WHATSAPP] Erro ao salvar sessão de ${telefone}:`, erro.message)
+    }
+}
+
+async function removerSessao(telefone) {
+    sessoes.delete(telefone)
+
+    try {
+        const { error } = await supabase
+            .from(TABELA_SESSOES)
+            .delete()
+            .eq('phone', telefone)
+
+        if (error) {
+            console.error(`[PEDIDO WHATSAPP] Erro ao remover sessão de ${telefone}:`, error.message)
+        }
+    } catch (erro) {
+        console.error(`[PEDIDO WHATSAPP] Erro ao remover sessão de ${telefone}:`, erro.message)
+    }
+}
+
+/**
+ * Carrega as sessões ainda válidas do Supabase (após restart)
+ * @returns {Promise<number|null>} Quantidade carregada ou null em caso de erro
+ */
+export async function carregarSessoesPedido() {
+    try {
+        const { data, error } = await supabase
+            .from(TABELA_SESSOES)
+            .select('phone, state, updated_at')
+            .gt('expires_at', new Date().toISOString())
+
+        if (error) {
+            console.error('[PEDIDO WHATSAPP] Erro ao carregar sessões:', error.message)
+            return null
+        }
+
+        sessoes.clear()
+        for (const registro of data || []) {
+            if (!registro.state?.etapa) continue
+            sessoes.set(registro.phone, { ...registro.state, atualizadoEm: new Date(registro.updated_at).getTime() })
+        }
+
+        return sessoes.size
+    } catch (erro) {
+        console.error('[PEDIDO WHATSAPP] Erro ao carregar sessões:', erro.message)
+        return null
+    }
+}
+
+/**
+ * Remove as sessões sem resposta há mais de PEDIDO_WHATSAPP_EXPIRACAO_MINUTOS
+ * @returns {Promise<Array<string>>} Telefones das sessões encerradas (para avisar o cliente)
+ */
+export async function encerrarSessoesExpiradas() {
+    const limite = Date.now() - EXPIRACAO_MS
+    const expiradas = [...sessoes]
+        .filter(([, sessao]) => sessao.atualizadoEm < limite)
+        .map(([telefone]) => telefone)
+
+    if (expiradas.length === 0) return []
+
+    expiradas.forEach(telefone => sessoes.delete(telefone))
+
+    try {
+        const { error } = await supabase
+            .from(TABELA_SESSOES)
+            .delete()
+            .lt('expires_at', new Date().toISOString())
+
+        if (error) {
+            console.error('[PEDIDO WHATSAPP] Erro ao remover sessões expiradas:', error.message)
+        }
+    } catch (erro) {
+        console.error('[PEDIDO WHATSAPP] Erro ao remover sessões expiradas:', erro.message)
+    }
+
+    return expiradas
+}
+
+/**
+ * Quantidade de sessões em andamento
+ */
+export function contarSessoesPedido() {
+    return sessoes.size
+}
+
+// ==========================================
+// CARDÁPIO E VALORES
+// ==========================================
+
+/**
+ * Produtos disponíveis agrupados por categoria (na ordem da tabela de categorias)
+ * @returns {Array} [{ nome, produtos }]
+ */
+function agruparPorCategoria({ produtos, categorias }) {
+    const ordem = categorias.map(categoria => categoria.nome)
+    const grupos = new Map()
+
+    for (const produto of produtos) {
+        if (!produtoDisponivel(produto) || produto.preco === null) continue
+
+        const nome = produto.categoria || 'Outros'
+        if (!grupos.has(nome)) grupos.set(nome, [])
+        grupos.get(nome).push(produto)
+    }
+
+    const posicao = (nome) => (ordem.includes(nome) ? ordem.indexOf(nome) : ordem.length)
+
+    return [...grupos.entries()]
+        .sort(([a], [b]) => posicao(a) - posicao(b) || a.localeCompare(b, 'pt-BR'))
+        .map(([nome, lista]) => ({ nome, produtos: lista.sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR')) }))
+}
+
+async function carregarDadosConversa() {
+    const [catalogo, config] = await Promise.all([carregarCatalogo(), carregarConfiguracoesLoja()])
+    return { grupos: agruparPorCategoria(catalogo), config }
+}
+
+function obterProdutosCategoria(sessao, { grupos }) {
+    return grupos.find(grupo => grupo.nome === sessao.categoria)?.produtos || []
+}
+
+function obterProdutoSelecionado(sessao, dados) {
+    return obterProdutosCategoria(sessao, dados).find(produto => produto.id === sessao.produtoId) || null
+}
+
+/**
+ * Taxa de entrega do bairro (delivery_fee_by_neighborhood) ou a padrão (delivery_fee)
+ */
+function calcularTaxaEntrega(bairro, config) {
+    let porBairro = config.delivery_fee_by_neighborhood
+
+    if (typeof porBairro === 'string') {
+        try {
+            porBairro = JSON.parse(porBairro)
+        } catch {
+            porBairro = null
+        }
+    }
+
+    if (porBairro && typeof porBairro === 'object') {
+        const chave = Object.keys(porBairro).find(nome => normalizarTexto(nome) === normalizarTexto(bairro))
+        const taxa = chave !== undefined ? Number(porBairro[chave]) : NaN
+        if (Number.isFinite(taxa)) return taxa
+    }
+
+    return Number(config.delivery_fee) || 0
+}
+
+function calcularSubtotal(sessao) {
+    return arredondar(sessao.itens.reduce((soma, item) => soma + item.total, 0))
+}
+
+function calcularTotal(sessao) {
+    const taxa = sessao.entrega?.tipo === 'delivery' ? sessao.entrega.taxa : 0
+    return arredondar(calcularSubtotal(sessao) + taxa)
+}
+
+/**
+ * Itens no formato de orders.items (o mesmo lido por formatarItensPedido)
+ */
+function montarItensPedido(sessao) {
+    return sessao.itens.map(item => ({
+        product_id: item.produtoId,
+        name: item.nome,
+        quantity: item.quantidade,
+        price: item.preco,
+        adicionais: item.adicionais.map(adicional => ({ nome: adicional.nome, preco: adicional.preco })),
+        totalItemPrice: item.total
+    }))
+}
+
+/**
+ * Registro de orders do pedido da conversa
+ */
+function montarPedido(sessao, telefone) {
+    const delivery = sessao.entrega.tipo === 'delivery'
+
+    return {
+        customer_name: sessao.nome,
+        customer_phone: telefone,
+        items: montarItensPedido(sessao),
+        subtotal: calcularSubtotal(sessao),
+        total: calcularTotal(sessao),
+        order_type: delivery ? 'delivery' : 'pickup',
+        delivery_option: delivery
+            ? {
+                type: 'delivery',
+                endereco: sessao.entrega.endereco,
+                bairro: sessao.entrega.bairro,
+                referencia: sessao.entrega.referencia || '',
+                taxa: sessao.entrega.taxa
+            }
+            : { type: 'pickup' },
+        payment_method: sessao.pagamento,
+        payment_status: 'pending',
+        valor_pago: sessao.valorPago || null,
+        notes: sessao.observacoes || null,
+        status: 'pending'
+    }
+}
+
+// ==========================================
+// MENSAGENS
+// ==========================================
+
+function gerarTextoCarrinho(sessao) {
+    if (sessao.itens.length === 0) {
+        return '🛒 Seu carrinho está vazio.'
+    }
+
+    return `🛒 *Seu carrinho:*\n${formatarItensPedido({ items: montarItensPedido(sessao) })}\n\n*Subtotal:* ${formatarMoeda(calcularSubtotal(sessao))}`
+}
+
+function gerarResumo(sessao) {
+    const delivery = sessao.entrega.tipo === 'delivery'
+    const total = calcularTotal(sessao)
+
+    let resumo = `📋 *Resumo do pedido*\n\n*Cliente:* ${sessao.nome}\n\n*Itens:*\n${formatarItensPedido({ items: montarItensPedido(sessao) })}\n\n`
+    resumo += `*Subtotal:* ${formatarMoeda(calcularSubtotal(sessao))}\n`
+
+    if (delivery) {
+        resumo += `*Taxa de entrega:* ${formatarMoeda(sessao.entrega.taxa)}\n`
+    }
+
+    resumo += `*Total:* ${formatarMoeda(total)}\n\n`
+
+    if (delivery) {
+        const referencia = sessao.entrega.referencia ? `\n*Referência:* ${sessao.entrega.referencia}` : ''
+        resumo += `🛵 *Delivery*\n*Endereço:* ${sessao.entrega.endereco}\n*Bairro:* ${sessao.entrega.bairro}${referencia}\n\n`
+    } else {
+        resumo += '🏪 *Retirada no balcão*\n\n'
+    }
+
+    resumo += `*Pagamento:* ${traduzirFormaPagamento(sessao.pagamento)}`
+
+    if (sessao.valorPago) {
+        resumo += `\n*Troco para:* ${formatarMoeda(sessao.valorPago)} (troco de ${formatarMoeda(sessao.valorPago - total)})`
+    }
+
+    if (sessao.observacoes) {
+        resumo += `\n*Observações:* ${sessao.observacoes}`
+    }
+
+    return resumo
+}
+
+/**
+ * Pergunta da etapa atual da conversa
+ */
+function gerarPergunta(sessao, dados) {
+    switch (sessao.etapa) {
+        case 'categoria':
+            return `*Escolha uma categoria:*\n${dados.grupos.map((grupo, indice) => `${indice + 1}. ${grupo.nome}`).join('\n')}\n\nResponda com o número.\n\n${RODAPE}`
+
+        case 'produto': {
+            const produtos = obterProdutosCategoria(sessao, dados)
+            return `*${sessao.categoria}:*\n${produtos.map((produto, indice) => `${indice + 1}. ${produto.nome} — ${formatarMoeda(produto.preco)}`).join('\n')}\n\nResponda com o número do produto.`
+        }
+
+        case 'quantidade': {
+            const produto = obterProdutoSelecionado(sessao, dados)
+            return `*${produto.nome}* — ${formatarMoeda(produto.preco)}${produto.descricao ? `\n_${produto.descricao}_` : ''}\n\nQuantas unidades?`
+        }
+
+        case 'adicionais': {
+            const produto = obterProdutoSelecionado(sessao, dados)
+            return `Deseja adicionais? _(valor por unidade)_\n${produto.adicionais.map((adicional, indice) => `${indice + 1}. ${adicional.nome} — ${formatarMoeda(adicional.preco)}`).join('\n')}\n\nResponda com os números separados por vírgula (ex: 1,3) ou *0* para nenhum.`
+        }
+
+        case 'mais':
+            return `${gerarTextoCarrinho(sessao)}\n\n1. Adicionar mais itens\n2. Finalizar pedido\n3. Remover o último item`
+
+        case 'entrega':
+            return 'Como prefere receber?\n1. 🛵 Delivery\n2. 🏪 Retirada no balcão'
+
+        case 'endereco':
+            return '📍 Qual o endereço de entrega? _(rua e número)_'
+
+        case 'bairro':
+            return 'Qual o bairro?'
+
+        case 'referencia':
+            return 'Complemento ou ponto de referência? _(ou *0* para pular)_'
+
+        case 'pagamento':
+            return `*Forma de pagamento:*\n${FORMAS_PAGAMENTO.map((forma, indice) => `${indice + 1}. ${forma.nome}`).join('\n')}`
+
+        case 'troco':
+            return `O total é *${formatarMoeda(calcularTotal(sessao))}*.\nVai precisar de troco para quanto? _(ex: 100, ou *0* se não precisa)_`
+
+        case 'nome':
+            return 'Qual o seu nome?'
+
+        case 'observacoes':
+            return 'Alguma observação para o pedido? _(ex: carne bem passada, ou *0* para pular)_'
+
+        case 'confirmacao':
+            return `${gerarResumo(sessao)}\n\n1. ✅ Confirmar pedido\n2. ❌ Cancelar`
+
+        default:
+            return RODAPE
+    }
+}
+
+/**
+ * Aviso de sessão encerrada por falta de resposta
+ */
+export function gerarMensagemSessaoExpirada() {
+    return `⏰ Seu pedido pelo WhatsApp foi cancelado porque ficou mais de ${MINUTOS_EXPIRACAO} minutos sem resposta.\n\nResponda *PEDIR* para começar de novo ou peça pelo site:\n${LINK_SITE}`
+}
+
+// ==========================================
+// ETAPAS
+// ==========================================
+
+/**
+ * Trata a resposta de cada etapa (altera a sessão)
+ * Retorna texto de erro quando a resposta não é válida
+ */
+const ETAPAS = {
+    categoria(sessao, texto, original, dados) {
+        const grupo = dados.grupos[lerNumero(texto) - 1]
+        if (!grupo) return 'Não encontrei essa categoria.'
+
+        sessao.categoria = grupo.nome
+        sessao.etapa = 'produto'
+        return null
+    },
+
+    produto(sessao, texto, original, dados) {
+        const produto = obterProdutosCategoria(sessao, dados)[lerNumero(texto) - 1]
+        if (!produto) return 'Não encontrei esse produto.'
+
+        sessao.produtoId = produto.id
+        sessao.etapa = 'quantidade'
+        return null
+    },
+
+    quantidade(sessao, texto, original, dados) {
+        const quantidade = lerNumero(texto)
+        if (!quantidade || quantidade > QUANTIDADE_MAXIMA) return `Informe uma quantidade de 1 a ${QUANTIDADE_MAXIMA}.`
+
+        sessao.quantidade = quantidade
+
+        const produto = obterProdutoSelecionado(sessao, dados)
+        if (produto.adicionais.length > 0) {
+            sessao.etapa = 'adicionais'
+            return null
+        }
+
+        adicionarItem(sessao, produto, [])
+        return null
+    },
+
+    adicionais(sessao, texto, original, dados) {
+        const produto = obterProdutoSelecionado(sessao, dados)
+
+        if (RESPOSTAS_PULAR.includes(texto)) {
+            adicionarItem(sessao, produto, [])
+            return null
+        }
+
+        const numeros = texto.split(' ').map(lerNumero)
+        const escolhidos = numeros.map(numero => produto.adicionais[numero - 1])
+        if (numeros.length === 0 || escolhidos.some(adicional => !adicional)) return 'Não encontrei esse adicional.'
+
+        adicionarItem(sessao, produto, [...new Set(escolhidos)])
+        return null
+    },
+
+    mais(sessao, texto) {
+        const opcao = lerNumero(texto)
+
+        if (opcao === 1) {
+            sessao.etapa = 'categoria'
+        } else if (opcao === 2) {
+            sessao.etapa = 'entrega'
+        } else if (opcao === 3) {
+            sessao.itens.pop()
+            sessao.etapa = sessao.itens.length > 0 ? 'mais' : 'categoria'
+        } else {
+            return 'Escolha uma das opções.'
+        }
+
+        return null
+    },
+
+    entrega(sessao, texto) {
+        const opcao = lerNumero(texto)
+
+        if (opcao === 1) {
+            sessao.entrega = { tipo: 'delivery', endereco: null, bairro: null, referencia: null, taxa: 0 }
+            sessao.etapa = 'endereco'
+        } else if (opcao === 2) {
+            sessao.entrega = { tipo: 'retirada' }
+            sessao.etapa = 'pagamento'
+        } else {
+            return 'Escolha 1 para delivery ou 2 para retirada.'
+        }
+
+        return null
+    },
+
+    endereco(sessao, texto, original) {
+        if (original.length < 5) return 'Informe a rua e o número.'
+
+        sessao.entrega.endereco = original
+        sessao.etapa = 'bairro'
+        return null
+    },
+
+    bairro(sessao, texto, original, dados) {
+        if (original.length < 2) return 'Informe o bairro.'
+
+        sessao.entrega.bairro = original
+        sessao.entrega.taxa = calcularTaxaEntrega(original, dados.config)
+        sessao.etapa = 'referencia'
+        return null
+    },
+
+    referencia(sessao, texto, original) {
+        sessao.entrega.referencia = RESPOSTAS_PULAR.includes(texto) ? '' : original
+        sessao.etapa = 'pagamento'
+        return null
+    },
+
+    pagamento(sessao, texto) {
+        const forma = FORMAS_PAGAMENTO[lerNumero(texto) - 1]
+        if (!forma) return 'Escolha uma das formas de pagamento.'
+
+        sessao.pagamento = forma.codigo
+        sessao.valorPago = null
+        sessao.etapa = forma.codigo === 'cash' ? 'troco' : 'nome'
+        return null
+    },
+
+    troco(sessao, texto, original) {
+        if (!RESPOSTAS_PULAR.includes(texto)) {
+            const valor = lerValor(original)
+            const total = calcularTotal(sessao)
+
+            if (valor === null) return 'Informe o valor (ex: 100) ou *0* se não precisa de troco.'
+            if (valor < total) return `O valor precisa ser maior que o total (${formatarMoeda(total)}).`
+
+            sessao.valorPago = valor > total ? valor : null
+        }
+
+        sessao.etapa = 'nome'
+        return null
+    },
+
+    nome(sessao, texto, original) {
+        if (original.length < 2) return 'Informe seu nome.'
+
+        sessao.nome = original.slice(0, 80)
+        sessao.etapa = 'observacoes'
+        return null
+    },
+
+    observacoes(sessao, texto, original) {
+        sessao.observacoes = RESPOSTAS_PULAR.includes(texto) ? null : original.slice(0, 300)
+        sessao.etapa = 'confirmacao'
+        return null
+    }
+}
+
+function adicionarItem(sessao, produto, adicionais) {
+    const precoAdicionais = adicionais.reduce((soma, adicional) => soma + adicional.preco, 0)
+
+    sessao.itens.push({
+        produtoId: produto.id,
+        nome: produto.nome,
+        quantidade: sessao.quantidade,
+        preco: produto.preco,
+        adicionais,
+        total: arredondar((produto.preco + precoAdicionais) * sessao.quantidade)
+    })
+
+    sessao.produtoId = null
+    sessao.quantidade = null
+    sessao.etapa = 'mais'
+}
+
+/**
+ * Grava o pedido confirmado em orders
+ * @returns {Promise<string>} Resposta ao cliente
+ */
+async function finalizarPedido(telefone, sessao, dados) {
+    if (!(await verificarLojaAberta())) {
+        await removerSessao(telefone)
+        return `🔴 A loja fechou antes da confirmação e não conseguimos registrar seu pedido.\n\nConfira o horário e peça pelo site:\n${LINK_SITE}`
+    }
+
+    // Produtos que esgotaram durante a conversa
+    const disponiveis = new Set(dados.grupos.flatMap(grupo => grupo.produtos.map(produto => produto.id)))
+    const esgotados = sessao.itens.filter(item => !disponiveis.has(item.produtoId))
+
+    if (esgotados.length > 0) {
+        sessao.itens = sessao.itens.filter(item => disponiveis.has(item.produtoId))
+        sessao.etapa = sessao.itens.length > 0 ? 'confirmacao' : 'categoria'
+        await salvarSessao(telefone, sessao)
+
+        return `❌ Esgotou enquanto você pedia: ${esgotados.map(item => item.nome).join(', ')}. Tirei do carrinho.\n\n${gerarPergunta(sessao, dados)}`
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('orders')
+            .insert(montarPedido(sessao, telefone))
+            .select('id, order_number')
+            .single()
+
+        if (error) {
+            console.error(`[PEDIDO WHATSAPP] Erro ao gravar pedido de ${telefone}:`, error.message)
+            return `⚠️ Não consegui registrar seu pedido agora. Tente confirmar de novo em instantes ou peça pelo site:\n${LINK_SITE}`
+        }
+
+        await removerSessao(telefone)
+        console.log(`[PEDIDO WHATSAPP] Pedido #${data.order_number || data.id?.slice(0, 8)} criado pela conversa com ${telefone}`)
+
+        return '✅ *Pedido enviado!*\n\nA confirmação chega aqui em instantes. Obrigado pela preferência! 🔥🥩'
+    } catch (erro) {
+        console.error(`[PEDIDO WHATSAPP] Erro ao gravar pedido de ${telefone}:`, erro.message)
+        return `⚠️ Não consegui registrar seu pedido agora. Tente confirmar de novo em instantes ou peça pelo site:\n${LINK_SITE}`
+    }
+}
+
+/**
+ * Começa a conversa de pedido (só com a loja aberta e o cardápio disponível)
+ */
+async function iniciarConversa(telefone) {
+    if (!(await verificarLojaAberta())) {
+        return `🔴 Estamos fechados no momento. O pedido pelo WhatsApp fica disponível quando a loja abrir.\n\nConfira o cardápio:\n${LINK_SITE}`
+    }
+
+    const dados = await carregarDadosConversa()
+    if (dados.grupos.length === 0) {
+        return `⚠️ Não consegui carregar o cardápio agora. Faça seu pedido pelo site:\n${LINK_SITE}`
+    }
+
+    const sessao = criarSessao()
+    await salvarSessao(telefone, sessao)
+
+    return `🛒 *Pedido pelo WhatsApp*\n\nVamos montar seu pedido! ${gerarPergunta(sessao, dados)}`
+}
+
+/**
+ * Processa a mensagem dentro da conversa de pedido
+ * @param {string} mensagem - Texto recebido
+ * @param {string} telefone - Número do cliente
+ * @returns {Promise<string|null>} Resposta ou null se a mensagem não faz parte da conversa
+ */
+export async function processarConversaPedido(mensagem, telefone) {
+    if (!PEDIDO_WHATSAPP_ATIVO) return null
+
+    if (pedidosEmFinalizacao.has(telefone)) return MENSAGEM_FINALIZANDO
+
+    const texto = normalizarTexto(mensagem)
+    const original = String(mensagem || '').trim()
+    let sessao = sessoes.get(telefone)
+
+    if (sessao && Date.now() - sessao.atualizadoEm > EXPIRACAO_MS) {
+        await removerSessao(telefone)
+        sessao = null
+
+        if (!COMANDOS_INICIO.includes(texto)) {
+            return gerarMensagemSessaoExpirada()
+        }
+    }
+
+    if (!sessao) {
+        return COMANDOS_INICIO.includes(texto) ? await iniciarConversa(telefone) : null
+    }
+
+    if (COMANDOS_CANCELAR.includes(texto)) {
+        await removerSessao(telefone)
+        return `❌ Pedido cancelado.\n\nQuando quiser, responda *PEDIR* para começar de novo ou acesse:\n${LINK_SITE}`
+    }
+
+    const dados = await carregarDadosConversa()
+
+    // Produto ou categoria sumiu do cardápio no meio da conversa
+    if (['produto', 'quantidade', 'adicionais'].includes(sessao.etapa) &&
+        (obterProdutosCategoria(sessao, dados).length === 0 || (sessao.etapa !== 'produto' && !obterProdutoSelecionado(sessao, dados)))) {
+        sessao.etapa = 'categoria'
+        await salvarSessao(telefone, sessao)
+        return `❌ Esse item não está mais disponível.\n\n${gerarPergunta(sessao, dados)}`
+    }
+
+    if (COMANDOS_CARRINHO.includes(texto) || COMANDOS_INICIO.includes(texto)) {
+        await salvarSessao(telefone, sessao)
+        return sessao.etapa === 'mais' || sessao.etapa === 'confirmacao'
+            ? gerarPergunta(sessao, dados)
+            : `${gerarTextoCarrinho(sessao)}\n\n${gerarPergunta(sessao, dados)}`
+    }
+
+    if (COMANDOS_VOLTAR.includes(texto)) {
+        sessao.etapa = 'categoria'
+        sessao.produtoId = null
+        sessao.quantidade = null
+        await salvarSessao(telefone, sessao)
+        return gerarPergunta(sessao, dados)
+    }
+
+    if (sessao.etapa === 'confirmacao') {
+        if (RESPOSTAS_SIM.includes(texto)) {
+            // Marca antes de qualquer await: mensagens que chegarem durante a gravação não gravam de novo
+            if (pedidosEmFinalizacao.has(telefone)) return MENSAGEM_FINALIZANDO
+            // Sessão cancelada ou expirada enquanto o cardápio carregava
+            if (sessoes.get(telefone) !== sessao) return null
+            pedidosEmFinalizacao.add(telefone)
+
+            try {
+                return await finalizarPedido(telefone, sessao, dados)
+            } finally {
+                pedidosEmFinalizacao.delete(telefone)
+            }
+        }
+
+        if (RESPOSTAS_NAO.includes(texto)) {
+            await removerSessao(telefone)
+            return `❌ Pedido cancelado.\n\nQuando quiser, responda *PEDIR* para começar de novo.`
+        }
+
+        return `Responda *1* para confirmar ou *2* para cancelar.\n\n${gerarPergunta(sessao, dados)}`
+    }
+
+    const tratarEtapa = ETAPAS[sessao.etapa]
+    const erro = tratarEtapa ? tratarEtapa(sessao, texto, original, dados) : null
+
+    await salvarSessao(telefone, sessao)
+
+    return erro ? `${erro}\n\n${gerarPergunta(sessao, dados)}` : gerarPergunta(sessao, dados)
+}
+
+export default {
+    PEDIDO_WHATSAPP_ATIVO,
+    carregarSessoesPedido,
+    encerrarSessoesExpiradas,
+    contarSessoesPedido,
+    processarConversaPedido,
+    gerarMensagemSessaoExpirada
+}
@@ -1,25 +1,35 @@
 /**
  * Utilitários de PIX do bot
- * - Seleção aleatória inteligente entre chaves
+ * - Chaves carregadas da tabela pix_keys do Supabase (recarregadas a cada minuto)
+ * - Chaves iniciais da loja gravadas no deploy com npm run pix:semear (scripts/semearChavesPix.js)
+ * - Seleção aleatória inteligente entre chaves ativas, respeitando peso e limite diário
  * - Evita repetir a mesma chave em sequência para o mesmo número
  * - Balanceia o uso entre as chaves disponíveis
+ * - Estado de rotação persistido (sobrevive a restarts)
+ * - Geração do payload "copia e cola" (BR Code estático) com o valor do pedido
+ *
+ * Colunas de pix_keys:
+ *   id, key_type, key_value, holder, merchant_city, active, weight, daily_limit,
+ *   usage_count, daily_usage, usage_day, created_at
+ *
+ * Colunas de pix_key_assignments (última chave enviada por número):
+ *   phone, pix_key_id, sent_at
  */
 
-const CHAVES_PIX = [
-    {
-        tipo: 'Aleatória',
-        chave: '74849085-bf79-49ce-9897-95ccee2a3004',
-        titular: 'Rei do Churrasco'
-    },
-    {
-        tipo: 'E-mail',
-        chave: 'Marcos.f.alves1984@gmail.com',
-        titular: 'Rei do Churrasco'
-    }
-]
+import { supabase } from './supabase.js'
+
+const TIMEZONE = 'America/Fortaleza'
+
+// Cidade do recebedor no BR Code quando a chave não tem merchant_city
+const CIDADE_PADRAO_PIX = process.env.PIX_CIDADE || 'BARRAS'
+
+// Cache das chaves (hot reload)
+let chavesPix = []
+let ultimaAtualizacaoChaves = null
+const INTERVALO_CACHE_CHAVES_MS = 60 * 1000
 
 const ultimoEnvioPorNumero = new Map()
-const usoPorIndice = new Map(CHAVES_PIX.map((_, indice) => [indice, 0]))
+let historicoCarregado = false
 
 const INTERVALO_BLOQUEIO_REPETICAO_MS = 6 * 60 * 60 * 1000
 const RETENCAO_HISTORICO_MS = 24 * 60 * 60 * 1000
@@ -29,6 +39,32 @@ function normalizarNumero(numero) {
     return String(numero || '').replace(/\D/g, '')
 }
 
+/**
+ * Dia atual (YYYY-MM-DD) no timezone da loja, usado no limite diário
+ */
+function obterDiaAtual() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(new Date())
+}
+
+/**
+ * Converte registro de pix_keys para o formato usado no bot
+ */
+function converterRegistroChave(registro) {
+    return {
+        id: registro.id,
+        tipo: registro.key_type,
+        chave: registro.key_value,
+        titular: registro.holder,
+        cidade: registro.merchant_city || CIDADE_PADRAO_PIX,
+        ativa: registro.active !== false,
+        peso: Number(registro.weight) > 0 ? Number(registro.weight) : 1,
+        limiteDiario: Number(registro.daily_limit) > 0 ? Number(registro.daily_limit) : null,
+        usoTotal: Number(registro.usage_count) || 0,
+        usoDiario: Number(registro.daily_usage) || 0,
+        diaUso: registro.usage_day || null
+    }
+}
+
 function limparHistoricoAntigo() {
     const agora = Date.now()
 
@@ -49,50 +85,427 @@ function limparHistoricoAntigo() {
     }
 }
 
+/**
+ * Carrega as chaves PIX do Supabase (com cache)
+ * @param {boolean} forcar - Ignora o cache
+ */
+export async function carregarChavesPix(forcar = false) {
+    const agora = Date.now()
+
+    if (!forcar && ultimaAtualizacaoChaves && (agora - ultimaAtualizacaoChaves) < INTERVALO_CACHE_CHAVES_MS) {
+        return chavesPix
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('pix_keys')
+            .select('*')
+            .order('created_at', { ascending: true })
+
+        if (error) {
+            console.error('[PIX] Erro ao carregar chaves:', error.message)
+            return chavesPix
+        }
+
+        chavesPix = (data || []).map(converterRegistroChave)
+        ultimaAtualizacaoChaves = agora
+
+        if (!chavesPix.some(chave => chave.ativa)) {
+            console.error('[PIX] Nenhuma chave PIX ativa cadastrada em pix_keys!')
+        }
+
+        return chavesPix
+    } catch (erro) {
+        console.error('[PIX] Erro ao carregar chaves:', erro.message)
+        return chavesPix
+    }
+}
+
+/**
+ * Carrega do banco a última chave enviada para cada número (últimas 24h)
+ */
+async function carregarHistoricoEnvios() {
+    if (historicoCarregado) return
+
+    try {
+        const desde = new Date(Date.now() - RETENCAO_HISTORICO_MS).toISOString()
+        const { data, error } = await supabase
+            .from('pix_key_assignments')
+            .select('phone, pix_key_id, sent_at')
+            .gte('sent_at', desde)
+
+        if (error) {
+            console.error('[PIX] Erro ao carregar histórico de envios:', error.message)
+            return
+        }
+
+        for (const item of data || []) {
+            ultimoEnvioPorNumero.set(item.phone, {
+                chaveId: item.pix_key_id,
+                timestamp: new Date(item.sent_at).getTime()
+            })
+        }
+
+        historicoCarregado = true
+    } catch (erro) {
+        console.error('[PIX] Erro ao carregar histórico de envios:', erro.message)
+    }
+}
+
+/**
+ * Persiste o uso da chave e o envio para o número
+ */
+async function registrarUsoChave(chave, numeroNormalizado, agora) {
+    const diaAtual = obterDiaAtual()
+    chave.usoDiario = chave.diaUso === diaAtual ? chave.usoDiario + 1 : 1
+    chave.diaUso = diaAtual
+    chave.usoTotal++
+
+    try {
+        const { error } = await supabase
+            .from('pix_keys')
+            .update({
+                usage_count: chave.usoTotal,
+                daily_usage: chave.usoDiario,
+                usage_day: chave.diaUso
+            })
+            .eq('id', chave.id)
+
+        if (error) {
+            console.error('[PIX] Erro ao salvar uso da chave:', error.message)
+        }
+
+        if (numeroNormalizado) {
+            const { error: erroEnvio } = await supabase
+                .from('pix_key_assignments')
+                .upsert({
+                    phone: numeroNormalizado,
+                    pix_key_id: chave.id,
+                    sent_at: new Date(agora).toISOString()
+                }, {
+                    onConflict: 'phone'
+                })
+
+            if (erroEnvio) {
+                console.error('[PIX] Erro ao salvar envio por número:', erroEnvio.message)
+            }
+        }
+    } catch (erro) {
+        console.error('[PIX] Erro ao salvar uso da chave:', erro.message)
+    }
+}
+
 export function obterChavesPix() {
-    return CHAVES_PIX.map((chave) => ({ ...chave }))
+    return chavesPix.map((chave) => ({ ...chave }))
 }
 
-export function selecionarChavePixInteligente(numeroRemetente) {
+/**
+ * Seleciona a chave PIX para o número
+ * Prioriza chaves abaixo do limite diário e com menor uso proporcional ao peso
+ * @returns {Promise<Object|null>} { id, tipo, chave, titular, cidade } ou null se não houver chave ativa
+ */
+export async function selecionarChavePixInteligente(numeroRemetente) {
+    await Promise.all([carregarChavesPix(), carregarHistoricoEnvios()])
     limparHistoricoAntigo()
 
+    const chavesAtivas = chavesPix.filter(chave => chave.ativa)
+    if (chavesAtivas.length === 0) {
+        console.error('[PIX] Nenhuma chave PIX ativa disponível')
+        return null
+    }
+
     const numeroNormalizado = normalizarNumero(numeroRemetente)
     const ultimoEnvio = numeroNormalizado ? ultimoEnvioPorNumero.get(numeroNormalizado) : null
     const agora = Date.now()
+    const diaAtual = obterDiaAtual()
 
-    let indicesCandidatos = CHAVES_PIX.map((_, indice) => indice)
+    const usoDiario = (chave) => chave.diaUso === diaAtual ? chave.usoDiario : 0
+    const dentroDoLimite = chavesAtivas.filter(chave => !chave.limiteDiario || usoDiario(chave) < chave.limiteDiario)
+
+    let candidatas = dentroDoLimite.length > 0 ? dentroDoLimite : chavesAtivas
+    if (dentroDoLimite.length === 0) {
+        console.warn('[PIX] ⚠️ Todas as chaves atingiram o limite diário, usando a menos utilizada')
+    }
 
     if (
-        CHAVES_PIX.length > 1 &&
+        candidatas.length > 1 &&
         ultimoEnvio &&
-        typeof ultimoEnvio.indice === 'number' &&
         (agora - ultimoEnvio.timestamp) < INTERVALO_BLOQUEIO_REPETICAO_MS
     ) {
-        indicesCandidatos = indicesCandidatos.filter((indice) => indice !== ultimoEnvio.indice)
+        const semRepeticao = candidatas.filter((chave) => chave.id !== ultimoEnvio.chaveId)
+        if (semRepeticao.length > 0) candidatas = semRepeticao
     }
 
-    if (indicesCandidatos.length === 0) {
-        indicesCandidatos = CHAVES_PIX.map((_, indice) => indice)
-    }
-
-    const menorUso = Math.min(...indicesCandidatos.map((indice) => usoPorIndice.get(indice) || 0))
-    const indicesBalanceados = indicesCandidatos.filter((indice) => (usoPorIndice.get(indice) || 0) === menorUso)
-    const grupoSorteio = indicesBalanceados.length > 0 ? indicesBalanceados : indicesCandidatos
-    const indiceSorteado = grupoSorteio[Math.floor(Math.random() * grupoSorteio.length)]
-
-    usoPorIndice.set(indiceSorteado, (usoPorIndice.get(indiceSorteado) || 0) + 1)
+    // Balanceamento ponderado: menor uso diário em relação ao peso da chave
+    const usoPonderado = (chave) => usoDiario(chave) / chave.peso
+    const menorUso = Math.min(...candidatas.map(usoPonderado))
+    const grupoSorteio = candidatas.filter((chave) => usoPonderado(chave) === menorUso)
+    const chaveSorteada = grupoSorteio[Math.floor(Math.random() * grupoSorteio.length)]
 
     if (numeroNormalizado) {
         ultimoEnvioPorNumero.set(numeroNormalizado, {
-            indice: indiceSorteado,
+            chaveId: chaveSorteada.id,
             timestamp: agora
         })
     }
 
-    return CHAVES_PIX[indiceSorteado]
+    await registrarUsoChave(chaveSorteada, numeroNormalizado, agora)
+
+    return {
+        id: chaveSorteada.id,
+        tipo: chaveSorteada.tipo,
+        chave: chaveSorteada.chave,
+        titular: chaveSorteada.titular,
+        cidade: chaveSorteada.cidade
+    }
+}
+
+/**
+ * Retorna a última chave enviada para o número (ex: lembrete de pagamento do mesmo pedido)
+ * Não altera o uso nem a rotação das chaves
+ * @returns {Promise<Object|null>} { id, tipo, chave, titular, cidade } ou null se não houver envio recente ou a chave foi desativada
+ */
+export async function obterChavePixEnviada(numeroRemetente) {
+    await Promise.all([carregarChavesPix(), carregarHistoricoEnvios()])
+
+    const ultimoEnvio = ultimoEnvioPorNumero.get(normalizarNumero(numeroRemetente))
+    if (!ultimoEnvio) return null
+
+    const chave = chavesPix.find(item => item.id === ultimoEnvio.chaveId && item.ativa)
+    if (!chave) return null
+
+    return {
+        id: chave.id,
+        tipo: chave.tipo,
+        chave: chave.chave,
+        titular: chave.titular,
+        cidade: chave.cidade
+    }
+}
+
+/**
+ * Lista todas as chaves cadastradas (para o painel admin)
+ */
+export async function listarChavesPix() {
+    return (await carregarChavesPix(true)).map((chave) => ({ ...chave }))
+}
+
+/**
+ * Cadastra uma nova chave PIX
+ * @param {Object} dados - { tipo, chave, titular, peso, limiteDiario }
+ */
+export async function adicionarChavePix({ tipo, chave, titular, peso = 1, limiteDiario = null }) {
+    const { data, error } = await supabase
+        .from('pix_keys')
+        .insert({
+            key_type: tipo,
+            key_value: chave,
+            holder: titular,
+            active: true,
+            weight: peso,
+            daily_limit: limiteDiario,
+            usage_count: 0,
+            daily_usage: 0,
+            created_at: new Date().toISOString()
+        })
+        .select()
+        .single()
+
+    if (error) throw new Error(error.message)
+
+    await carregarChavesPix(true)
+    return converterRegistroChave(data)
+}
+
+/**
+ * Grava chaves PIX iniciais em pix_keys (as que já existem, pelo valor da chave, ficam como estão)
+ * Usado no deploy de uma loja nova (ver scripts/semearChavesPix.js)
+ * @param {Array} chaves - [{ tipo, chave, titular, peso, limiteDiario }]
+ * @returns {Promise<number>} Quantidade de chaves gravadas
+ */
+export async function semearChavesPix(chaves) {
+    const { data: existentes, error } = await supabase
+        .from('pix_keys')
+        .select('key_value')
+        .in('key_value', chaves.map(item => item.chave))
+
+    if (error) throw new Error(error.message)
+
+    const cadastradas = new Set((existentes || []).map(registro => registro.key_value))
+    const novas = chaves.filter(item => !cadastradas.has(item.chave))
+
+    for (const chave of novas) {
+        await adicionarChavePix(chave)
+    }
+
+    return novas.length
+}
+
+/**
+ * Atualiza uma chave PIX (ativar/desativar, peso, limite diário, titular)
+ * @param {string} id - ID da chave
+ * @param {Object} dados - { ativa, peso, limiteDiario, titular }
+ */
+export async function atualizarChavePix(id, { ativa, peso, limiteDiario, titular }) {
+    const campos = {}
+    if (typeof ativa === 'boolean') campos.active = ativa
+    if (peso !== undefined) campos.weight = peso
+    if (limiteDiario !== undefined) campos.daily_limit = limiteDiario
+    if (titular !== undefined) campos.holder = titular
+
+    if (Object.keys(campos).length === 0) {
+        throw new Error('Nenhum campo para atualizar')
+    }
+
+    const { data, error } = await supabase
+        .from('pix_keys')
+        .update(campos)
+        .eq('id', id)
+        .select()
+        .maybeSingle()
+
+    if (error) throw new Error(error.message)
+    if (!data) return null
+
+    await carregarChavesPix(true)
+    return converterRegistroChave(data)
+}
+
+// ==========================================
+// BR CODE (PIX COPIA E COLA)
+// ==========================================
+
+/**
+ * Monta um campo EMV no formato ID + tamanho (2 dígitos) + valor
+ */
+function campoEmv(id, valor) {
+    return `${id}${String(valor.length).padStart(2, '0')}${valor}`
+}
+
+/**
+ * Remove acentos e caracteres fora do conjunto aceito pelo BR Code
+ */
+function normalizarTextoEmv(texto, tamanhoMaximo) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9 $%*+\-./:]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, tamanhoMaximo)
+}
+
+/**
+ * Normaliza a chave conforme o tipo (telefone em +55..., e-mail minúsculo, CPF/CNPJ só dígitos)
+ */
+function normalizarChaveEmv(tipo, chave) {
+    const valor = String(chave || '').trim()
+    const tipoNormalizado = normalizarTextoEmv(tipo, 20).toLowerCase()
+
+    if (tipoNormalizado.includes('mail')) return valor.toLowerCase()
+    if (tipoNormalizado.includes('cpf') || tipoNormalizado.includes('cnpj')) return valor.replace(/\D/g, '')
+
+    if (tipoNormalizado.includes('telefone') || tipoNormalizado.includes('celular')) {
+        const digitos = valor.replace(/\D/g, '')
+        // DDD + número tem 10 ou 11 dígitos: só considera que já tem o 55 do país se passar disso
+        // (senão números do DDD 55, no RS, perderiam o código do país)
+        const temCodigoPais = digitos.startsWith('55') && (digitos.length === 12 || digitos.length === 13)
+        return temCodigoPais ? `+${digitos}` : `+55${digitos}`
+    }
+
+    return valor
+}
+
+/**
+ * Gera o identificador da transação (txid) a partir do número do pedido
+ * Apenas letras e números, até 25 caracteres
+ */
+export function gerarTxidPedido(numeroPedido) {
+    const txid = `PEDIDO${String(numeroPedido || '')}`.replace(/[^A-Za-z0-9]/g, '').slice(0, 25)
+    return txid.length > 'PEDIDO'.length ? txid : '***'
+}
+
+/**
+ * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido pelo BR Code
+ * @returns {string} 4 dígitos hexadecimais maiúsculos
+ */
+export function calcularCrc16(payload) {
+    let crc = 0xFFFF
+
+    for (const byte of Buffer.from(payload, 'utf-8')) {
+        crc ^= byte << 8
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1)
+            crc &= 0xFFFF
+        }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, '0')
+}
+
+/**
+ * Gera o payload PIX "copia e cola" (BR Code estático, padrão EMV do Banco Central)
+ * @param {Object} dados
+ * @param {string} dados.chave - Chave PIX do recebedor
+ * @param {string} [dados.tipo] - Tipo da chave (normaliza telefone, e-mail e CPF/CNPJ)
+ * @param {string} dados.nome - Nome do recebedor (até 25 caracteres)
+ * @param {string} dados.cidade - Cidade do recebedor (até 15 caracteres)
+ * @param {number} [dados.valor] - Valor da cobrança (omitido quando zero/ausente)
+ * @param {string} [dados.txid] - Identificador da transação (padrão '***')
+ * @returns {string} Payload pronto para copiar ou gerar QR code
+ */
+export function gerarPayloadPix({ chave, tipo = '', nome, cidade, valor, txid = '***' }) {
+    const contaRecebedor =
+        campoEmv('00', 'br.gov.bcb.pix') +
+        campoEmv('01', normalizarChaveEmv(tipo, chave))
+
+    const valorNumerico = Number(valor)
+    const campoValor = Number.isFinite(valorNumerico) && valorNumerico > 0
+        ? campoEmv('54', valorNumerico.toFixed(2))
+        : ''
+
+    const payloadSemCrc =
+        campoEmv('00', '01') +
+        campoEmv('26', contaRecebedor) +
+        campoEmv('52', '0000') +
+        campoEmv('53', '986') +
+        campoValor +
+        campoEmv('58', 'BR') +
+        campoEmv('59', normalizarTextoEmv(nome, 25) || 'RECEBEDOR') +
+        campoEmv('60', normalizarTextoEmv(cidade, 15) || 'BRASIL') +
+        campoEmv('62', campoEmv('05', txid || '***')) +
+        '6304'
+
+    return payloadSemCrc + calcularCrc16(payloadSemCrc)
+}
+
+/**
+ * Gera o payload "copia e cola" de um pedido com a chave selecionada
+ * @param {Object} chavePix - Chave retornada por selecionarChavePixInteligente
+ * @param {Object} pedido - Pedido (usa total e order_number)
+ */
+export function gerarPayloadPixPedido(chavePix, pedido) {
+    return gerarPayloadPix({
+        chave: chavePix.chave,
+        tipo: chavePix.tipo,
+        nome: chavePix.titular,
+        cidade: chavePix.cidade || CIDADE_PADRAO_PIX,
+        valor: pedido.total,
+        txid: gerarTxidPedido(pedido.order_number || pedido.id?.slice(0, 8))
+    })
 }
 
 export default {
     obterChavesPix,
-    selecionarChavePixInteligente
+    carregarChavesPix,
+    selecionarChavePixInteligente,
+    obterChavePixEnviada,
+    listarChavesPix,
+    adicionarChavePix,
+    semearChavesPix,
+    atualizarChavePix,
+    gerarPayloadPix,
+    gerarPayloadPixPedido,
+    gerarTxidPedido,
+    calcularCrc16
 }
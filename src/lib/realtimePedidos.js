@@ -0,0 +1,160 @@
+/**
+ * Assinatura Realtime de pedidos para o Bot WhatsApp
+ * Rei do Churrasco
+ *
+ * Recebe eventos INSERT/UPDATE das tabelas 'orders' e 'store_settings'
+ * por um canal do Supabase Realtime.
+ *
+ * O cliente é recebido por parâmetro: qualquer objeto com a mesma interface
+ * de canal do supabase-js (channel/on/subscribe/removeChannel) funciona,
+ * inclusive o emissor local criado por criarClienteRealtimeLocal().
+ */
+
+const NOME_CANAL = 'bot-pedidos'
+
+/**
+ * Executa um handler de evento sem deixar exceções escaparem para o cliente realtime
+ */
+async function executarHandler(nome, handler, ...argumentos) {
+    if (typeof handler !== 'function') return
+
+    try {
+        await handler(...argumentos)
+    } catch (erro) {
+        console.error(`[REALTIME] Erro no handler ${nome}:`, erro.message)
+    }
+}
+
+/**
+ * Assina os eventos de pedidos e configurações da loja
+ * @param {Object} opcoes
+ * @param {Object} opcoes.cliente - Cliente Supabase (ou emissor local compatível)
+ * @param {Function} opcoes.aoInserirPedido - Recebe o pedido novo
+ * @param {Function} opcoes.aoAtualizarPedido - Recebe (pedidoNovo, pedidoAntigo)
+ * @param {Function} opcoes.aoAlterarConfiguracao - Recebe o registro de store_settings
+ * @param {Function} opcoes.aoMudarStatusCanal - Recebe (status, erro) do canal
+ * @returns {{ cancelar: Function }} Controle da assinatura
+ */
+export function assinarPedidosRealtime({
+    cliente,
+    aoInserirPedido,
+    aoAtualizarPedido,
+    aoAlterarConfiguracao,
+    aoMudarStatusCanal
+}) {
+    const canal = cliente.channel(NOME_CANAL)
+
+    canal
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'orders' }, (payload) => {
+            executarHandler('aoInserirPedido', aoInserirPedido, payload.new)
+        })
+        .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'orders' }, (payload) => {
+            executarHandler('aoAtualizarPedido', aoAtualizarPedido, payload.new, payload.old || {})
+        })
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'store_settings' }, (payload) => {
+            executarHandler('aoAlterarConfiguracao', aoAlterarConfiguracao, payload.new)
+        })
+        .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'store_settings' }, (payload) => {
+            executarHandler('aoAlterarConfiguracao', aoAlterarConfiguracao, payload.new)
+        })
+        .subscribe((status, erro) => {
+            executarHandler('aoMudarStatusCanal', aoMudarStatusCanal, status, erro)
+        })
+
+    return {
+        cancelar: async () => {
+            try {
+                await cliente.removeChannel(canal)
+            } catch (erro) {
+                console.error('[REALTIME] Erro ao remover canal:', erro.message)
+            }
+        }
+    }
+}
+
+/**
+ * Cria um emissor local com a interface de canal do supabase-js
+ * Usado para acionar a assinatura sem conexão real (testes e simulações)
+ *
+ * Exemplo:
+ *   const cliente = criarClienteRealtimeLocal()
+ *   assinarPedidosRealtime({ cliente, aoInserirPedido })
+ *   cliente.emitir('orders', 'INSERT', { id: 'abc', status: 'pending' })
+ *   cliente.derrubar() // simula queda do canal
+ */
+export function criarClienteRealtimeLocal() {
+    const canais = new Set()
+
+    return {
+        channel(nome) {
+            const canal = {
+                nome,
+                assinaturas: [],
+                callbackStatus: null,
+                on(tipo, filtro, callback) {
+                    canal.assinaturas.push({ tipo, filtro, callback })
+                    return canal
+                },
+                subscribe(callback) {
+                    canal.callbackStatus = callback || null
+                    canais.add(canal)
+                    canal.callbackStatus?.('SUBSCRIBED')
+                    return canal
+                }
+            }
+            return canal
+        },
+
+        async removeChannel(canal) {
+            if (!canais.delete(canal)) return 'ok'
+            canal.callbackStatus?.('CLOSED')
+            return 'ok'
+        },
+
+        /**
+         * Emite um evento postgres_changes para todos os canais assinados
+         */
+        emitir(tabela, evento, registroNovo = {}, registroAntigo = {}) {
+            const payload = {
+                schema: 'public',
+                table: tabela,
+                eventType: evento,
+                commit_timestamp: new Date().toISOString(),
+                new: registroNovo,
+                old: registroAntigo
+            }
+
+            for (const canal of canais) {
+                for (const { tipo, filtro, callback } of canal.assinaturas) {
+                    if (tipo !== 'postgres_changes') continue
+                    if (filtro.table !== tabela) continue
+                    if (filtro.event !== '*' && filtro.event !== evento) continue
+                    callback(payload)
+                }
+            }
+        },
+
+        /**
+         * Simula queda do canal (CHANNEL_ERROR, TIMED_OUT ou CLOSED)
+         */
+        derrubar(status = 'CHANNEL_ERROR') {
+            for (const canal of canais) {
+                canal.callbackStatus?.(status, new Error('Canal local derrubado'))
+            }
+        },
+
+        /**
+         * Simula reconexão do canal
+         */
+        reconectar() {
+            for (const canal of canais) {
+                canal.callbackStatus?.('SUBSCRIBED')
+            }
+        }
+    }
+}
+
+export default {
+    assinarPedidosRealtime,
+    criarClienteRealtimeLocal
+}
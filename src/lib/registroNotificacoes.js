@@ -0,0 +1,255 @@
+/**
+ * Registro persistente de notificações por pedido
+ * Rei do Churrasco
+ *
+ * Guarda quais notificações já foram enviadas (enfileiradas) para cada pedido,
+ * substituindo os Sets em memória que se perdiam a cada restart do PM2.
+ * Usado para evitar duplicações e para retomar pedidos após o bot ficar fora do ar.
+ *
+ * Chaves usadas por pedido:
+ *   'recebido'           - pedido entrou no pipeline do bot
+ *   'cliente'            - confirmação para o cliente
+ *   'pix'                - dados do PIX para o cliente
+ *   'pix_lembrete'       - lembrete de pagamento PIX para o cliente
+ *   'pix_expirado'       - alerta de PIX não pago para a loja
+ *   'loja'               - alerta de novo pedido para a loja
+ *   'entregador:<id>'    - aviso (ou oferta no rodízio) de entrega para cada entregador
+ *   'despacho_sem_entregador' - alerta de delivery sem entregador em turno ou de rodízio sem quem aceitasse
+ *   'status:<status>'    - atualização de status (loja + cliente)
+ *   'loja_fechada'       - pedido recebido com a loja fechada pelo admin
+ *   'relatorio_reabertura' - pedido incluído no relatório de reabertura
+ *   'liberado_reabertura' - pedido retido com a loja fechada que já seguiu o fluxo normal
+ *
+ * Colunas de order_notifications:
+ *   id (<order_id>_<notification_key>), order_id, notification_key, created_at
+ */
+
+import { supabase } from './supabase.js'
+
+const TABELA_REGISTRO = 'order_notifications'
+
+// Linhas por página na carga inicial (o PostgREST limita cada resposta a 1000 linhas)
+const TAMANHO_PAGINA = 1000
+
+// Cache local: pedidoId → Set de chaves já registradas
+const cacheRegistro = new Map()
+
+// Pedidos criados a partir desta data estão completos no cache (não precisam de consulta)
+let cacheCompletoDesde = null
+
+/**
+ * Verifica se o cache já tem todas as entradas do pedido
+ */
+function pedidoEstaNoCache(pedido) {
+    if (cacheRegistro.has(pedido.id)) return true
+    if (!cacheCompletoDesde || !pedido.created_at) return false
+    return new Date(pedido.created_at).getTime() >= new Date(cacheCompletoDesde).getTime()
+}
+
+/**
+ * Busca no banco as entradas de um pedido fora da janela carregada
+ */
+async function carregarEntradasPedido(pedidoId) {
+    try {
+        const { data, error } = await supabase
+            .from(TABELA_REGISTRO)
+            .select('notification_key')
+            .eq('order_id', pedidoId)
+
+        if (error) {
+            console.error(`[REGISTRO] Erro ao buscar notificações do pedido ${pedidoId}:`, error.message)
+            return
+        }
+
+        const chaves = cacheRegistro.get(pedidoId) || new Set()
+        for (const item of data || []) {
+            chaves.add(item.notification_key)
+        }
+        cacheRegistro.set(pedidoId, chaves)
+    } catch (erro) {
+        console.error(`[REGISTRO] Erro ao buscar notificações do pedido ${pedidoId}:`, erro.message)
+    }
+}
+
+/**
+ * Carrega para o cache todas as notificações de pedidos recentes (paginado)
+ * O cache só é marcado como completo depois de ler a última página; em caso de erro
+ * no meio da carga, os pedidos continuam sendo consultados um a um
+ * @param {string} desde - Data ISO; pedidos criados a partir dela ficam completos no cache
+ * @returns {Promise<number>} Quantidade de entradas carregadas
+ */
+export async function carregarRegistroNotificacoes(desde) {
+    let total = 0
+
+    try {
+        for (let inicio = 0; ; inicio += TAMANHO_PAGINA) {
+            const { data, error } = await supabase
+                .from(TABELA_REGISTRO)
+                .select('id, order_id, notification_key')
+                .gte('created_at', desde)
+                .order('id', { ascending: true })
+                .range(inicio, inicio + TAMANHO_PAGINA - 1)
+
+            if (error) {
+                console.error('[REGISTRO] Erro ao carregar notificações:', error.message)
+                return total
+            }
+
+            for (const item of data || []) {
+                const chaves = cacheRegistro.get(item.order_id) || new Set()
+                chaves.add(item.notification_key)
+                cacheRegistro.set(item.order_id, chaves)
+            }
+
+            total += data?.length || 0
+
+            // Página incompleta: não há mais entradas
+            if ((data?.length || 0) < TAMANHO_PAGINA) break
+        }
+
+        cacheCompletoDesde = desde
+        console.log(`[REGISTRO] ${total} notificação(ões) carregada(s) desde ${desde}`)
+        return total
+    } catch (erro) {
+        console.error('[REGISTRO] Erro ao carregar notificações:', erro.message)
+        return total
+    }
+}
+
+/**
+ * Verifica se o registro já tem alguma entrada (false na primeira execução)
+ */
+export async function registroPossuiEntradas() {
+    if (cacheRegistro.size > 0) return true
+
+    try {
+        const { data, error } = await supabase
+            .from(TABELA_REGISTRO)
+            .select('id')
+            .limit(1)
+
+        if (error) {
+            console.error('[REGISTRO] Erro ao verificar registro:', error.message)
+            return false
+        }
+
+        return (data || []).length > 0
+    } catch (erro) {
+        console.error('[REGISTRO] Erro ao verificar registro:', erro.message)
+        return false
+    }
+}
+
+/**
+ * Verifica se a notificação já foi registrada para o pedido
+ * @param {Object} pedido - Pedido com id e created_at
+ * @param {string} chave - Chave da notificação (ex: 'cliente', 'status:ready')
+ */
+export async function notificacaoRegistrada(pedido, chave) {
+    if (!pedido?.id) return false
+
+    if (!pedidoEstaNoCache(pedido)) {
+        await carregarEntradasPedido(pedido.id)
+    }
+
+    return cacheRegistro.get(pedido.id)?.has(chave) || false
+}
+
+/**
+ * Reserva a notificação para o pedido antes do envio
+ * A marcação local acontece antes de qualquer await no banco (previne race conditions)
+ * Se a gravação falhar, a marcação é desfeita e retorna false: a notificação não é enviada
+ * agora e volta a ser tentada na próxima verificação (polling), sem risco de duplicar após reinício
+ * @returns {Promise<boolean>} true se a notificação foi reservada e pode ser enviada
+ */
+export async function reservarNotificacao(pedido, chave) {
+    if (!pedido?.id) return false
+
+    if (await notificacaoRegistrada(pedido, chave)) {
+        return false
+    }
+
+    const chaves = cacheRegistro.get(pedido.id) || new Set()
+    if (chaves.has(chave)) return false
+    chaves.add(chave)
+    cacheRegistro.set(pedido.id, chaves)
+
+    try {
+        const { error } = await supabase
+            .from(TABELA_REGISTRO)
+            .upsert({
+                id: `${pedido.id}_${chave}`,
+                order_id: pedido.id,
+                notification_key: chave,
+                created_at: new Date().toISOString()
+            }, {
+                onConflict: 'id'
+            })
+
+        if (error) {
+            console.error(`[REGISTRO] Erro ao salvar ${chave} do pedido ${pedido.id}:`, error.message)
+            chaves.delete(chave)
+            return false
+        }
+    } catch (erro) {
+        console.error(`[REGISTRO] Erro ao salvar ${chave} do pedido ${pedido.id}:`, erro.message)
+        chaves.delete(chave)
+        return false
+    }
+
+    return true
+}
+
+/**
+ * Lista os pedidos que têm determinada notificação registrada
+ * @param {string} chave - Chave da notificação (ex: 'loja_fechada')
+ * @param {string} desde - Data ISO mínima do registro
+ * @returns {Promise<string[]>} IDs dos pedidos
+ */
+export async function listarPedidosComNotificacao(chave, desde) {
+    try {
+        const { data, error } = await supabase
+            .from(TABELA_REGISTRO)
+            .select('order_id')
+            .eq('notification_key', chave)
+            .gte('created_at', desde)
+            .order('created_at', { ascending: true })
+
+        if (error) {
+            console.error(`[REGISTRO] Erro ao listar pedidos com ${chave}:`, error.message)
+            return []
+        }
+
+        return (data || []).map(item => item.order_id)
+    } catch (erro) {
+        console.error(`[REGISTRO] Erro ao listar pedidos com ${chave}:`, erro.message)
+        return []
+    }
+}
+
+/**
+ * Remove do cache pedidos que saíram da janela de acompanhamento
+ * @param {Set<string>} idsMantidos - Pedidos criados a partir de 'desde'
+ * @param {string} desde - Início da janela (data ISO)
+ */
+export function limparRegistroAntigo(idsMantidos, desde) {
+    for (const pedidoId of cacheRegistro.keys()) {
+        if (!idsMantidos.has(pedidoId)) {
+            cacheRegistro.delete(pedidoId)
+        }
+    }
+
+    // Pedidos removidos voltam a ser consultados no banco se aparecerem de novo
+    if (!cacheCompletoDesde || new Date(desde).getTime() > new Date(cacheCompletoDesde).getTime()) {
+        cacheCompletoDesde = desde
+    }
+}
+
+export default {
+    carregarRegistroNotificacoes,
+    registroPossuiEntradas,
+    notificacaoRegistrada,
+    reservarNotificacao,
+    listarPedidosComNotificacao,
+    limparRegistroAntigo
+}
@@ -2,24 +2,54 @@
  * Respostas Automáticas - Rei do Churrasco WhatsApp Bot
  * 
  * Responde APENAS a palavras-chave específicas sobre produtos.
- * Horário de funcionamento: Seg-Qui 17:00-23:00, Sex-Sáb 17:00-00:00, Dom fechado.
+ * Preço e disponibilidade dos produtos vêm do catálogo do site (ver catalogo.js).
+ * Intenções e palavras-chave configuráveis no Supabase ou em JSON (ver intencoes.js).
+ * Horário de funcionamento configurável no Supabase (ver horarioFuncionamento.js).
+ * 'Cadê meu pedido' consulta os pedidos em andamento pelo telefone do cliente.
  * Sempre inclui o link do site.
  * 
- * Inclui mensagens temáticas para datas especiais:
+ * Inclui mensagens temáticas de campanhas sazonais (tabela campaigns, ver campanhas.js):
  * - Carnaval, Natal, Ano Novo, São João, Dia das Mães, Dia dos Pais,
- *   Dia dos Namorados, Dia das Crianças
+ *   Dia dos Namorados, Dia das Crianças e promoções cadastradas
  * 
- * Sistema inteligente de PIX: alterna entre duas chaves automaticamente
- * sem enviar ambas de uma vez.
+ * Sistema inteligente de PIX: alterna entre as chaves ativas (tabela pix_keys)
+ * automaticamente sem enviar mais de uma de vez.
  * 
  * Timezone: America/Fortaleza (UTC-3)
  */
 
-import { supabase } from './supabase.js'
+import { supabase, buscarPedidosCliente } from './supabase.js'
 import { selecionarChavePixInteligente } from './pix.js'
-
-const LINK_SITE = 'https://reidochurrascobarras.com.br'
-const NOME_LOJA = 'Rei do Churrasco'
+import {
+    carregarHorarios,
+    calcularSituacaoHorario,
+    descreverProximaAbertura,
+    formatarTempoAte,
+    gerarTextoHorarioSemanal,
+    gerarTextoDatasEspeciais
+} from './horarioFuncionamento.js'
+import { carregarCampanhas, obterCampanhaDoDia, gerarMensagemCampanha } from './campanhas.js'
+import {
+    INTENCOES_PADRAO,
+    mesclarIntencoes,
+    compilarIntencoes,
+    detectarIntencao,
+    lerIntencoesArquivo
+} from './intencoes.js'
+import { renderizarTemplate } from './templates.js'
+import {
+    ESTOQUE_BAIXO,
+    produtoDisponivel,
+    carregarCatalogo,
+    pareceConsultaProduto,
+    buscarNoCatalogo
+} from './catalogo.js'
+import { formatarMoeda, obterTextoStatus, obterDadosLoja } from './mensagens.js'
+import { PEDIDO_WHATSAPP_ATIVO } from './pedidoWhatsapp.js'
+
+// Identidade da loja (cada loja do processo de várias lojas define as suas, ver configLojas.js)
+const LINK_SITE = process.env.LOJA_SITE || ''
+const NOME_LOJA = process.env.LOJA_NOME || ''
 
 // Timezone para cálculos de data/hora
 const TIMEZONE = 'America/Fortaleza'
@@ -29,6 +59,21 @@ let configuracoesLoja = null
 let ultimaAtualizacaoConfig = null
 const INTERVALO_CACHE_CONFIG_MS = 5 * 60 * 1000
 
+// Intenções (ver intencoes.js) - INTENCOES_ARQUIVO troca a tabela bot_intents por um arquivo JSON
+const ARQUIVO_INTENCOES = process.env.INTENCOES_ARQUIVO || null
+let intencoes = null
+let ultimaAtualizacaoIntencoes = null
+
+// Status considerados em andamento na consulta do cliente ('cadê meu pedido')
+const STATUS_PEDIDO_EM_ABERTO = [
+    'pending', 'pendente',
+    'confirmed', 'confirmado',
+    'preparing', 'preparando',
+    'ready', 'pronto',
+    'out_for_delivery', 'saiu_entrega'
+]
+const LIMITE_PEDIDOS_STATUS = 3
+
 // Anti-spam: 2 minutos entre respostas por número
 const ultimasRespostas = new Map()
 const INTERVALO_MINIMO_RESPOSTA_MS = 2 * 60 * 1000
@@ -67,32 +112,6 @@ function obterDataHoraAtual() {
     }
 }
 
-/**
- * Retorna se a loja está no horário de funcionamento
- * Seg-Qui: 17:00-23:00 | Sex-Sáb: 17:00-00:00 | Dom: fechado
- */
-function estaNoHorario() {
-    const { totalMinutos, diaSemana } = obterDataHoraAtual()
-    const diaNormalizado = diaSemana.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-
-    // Domingo: fechado
-    if (diaNormalizado.includes('domingo')) {
-        return false
-    }
-
-    const ABERTURA = 17 * 60 // 17:00
-
-    // Sexta e sábado: 17:00 até 00:00 (meia-noite)
-    if (diaNormalizado.includes('sexta') || diaNormalizado.includes('sabado')) {
-        // Após 17:00 até meia-noite
-        return totalMinutos >= ABERTURA
-    }
-
-    // Seg-Qui: 17:00 até 23:00
-    const FECHAMENTO = 23 * 60 // 23:00
-    return totalMinutos >= ABERTURA && totalMinutos < FECHAMENTO
-}
-
 /**
  * Saudação baseada no horário
  */
@@ -111,192 +130,6 @@ function obterDiaSemanaFormatado() {
     return diaSemana.charAt(0).toUpperCase() + diaSemana.slice(1)
 }
 
-// ==========================================
-// DATAS ESPECIAIS
-// ==========================================
-
-/**
- * Calcula a data da Páscoa para um dado ano (algoritmo de Gauss)
- * Retorna { mes, dia }
- */
-function calcularPascoa(ano) {
-    const a = ano % 19
-    const b = Math.floor(ano / 100)
-    const c = ano % 100
-    const d = Math.floor(b / 4)
-    const e = b % 4
-    const f = Math.floor((b + 8) / 25)
-    const g = Math.floor((b - f + 1) / 3)
-    const h = (19 * a + b - d - g + 15) % 30
-    const i = Math.floor(c / 4)
-    const k = c % 4
-    const l = (32 + 2 * e + 2 * i - h - k) % 7
-    const m = Math.floor((a + 11 * h + 22 * l) / 451)
-    const mes = Math.floor((h + l - 7 * m + 114) / 31)
-    const dia = ((h + l - 7 * m + 114) % 31) + 1
-    return { mes, dia }
-}
-
-/**
- * Retorna a data do Carnaval (terça-feira de Carnaval = Páscoa - 47 dias)
- * O período de Carnaval inclui sábado a terça (5 dias: -4 a 0)
- */
-function obterPeriodoCarnaval(ano) {
-    const pascoa = calcularPascoa(ano)
-    const dataPascoa = new Date(ano, pascoa.mes - 1, pascoa.dia)
-    const tercaCarnaval = new Date(dataPascoa)
-    tercaCarnaval.setDate(dataPascoa.getDate() - 47)
-
-    // Período: sábado antes até terça de carnaval (4 dias antes até o dia)
-    const inicio = new Date(tercaCarnaval)
-    inicio.setDate(tercaCarnaval.getDate() - 3) // sábado
-    const fim = new Date(tercaCarnaval) // terça
-
-    return { inicio, fim }
-}
-
-/**
- * Calcula o N-ésimo domingo de um mês
- */
-function obterNesimoDomingo(ano, mes, n) {
-    const data = new Date(ano, mes - 1, 1)
-    let contadorDomingos = 0
-
-    while (contadorDomingos < n) {
-        if (data.getDay() === 0) {
-            contadorDomingos++
-            if (contadorDomingos === n) break
-        }
-        data.setDate(data.getDate() + 1)
-    }
-
-    return { mes, dia: data.getDate() }
-}
-
-/**
- * Verifica se uma data está dentro de um período (inclusive)
- */
-function estaEntreDatas(dataAtual, inicio, fim) {
-    const atual = new Date(dataAtual.ano, dataAtual.mes - 1, dataAtual.dia)
-    return atual >= inicio && atual <= fim
-}
-
-/**
- * Verifica se estamos em uma data especial e retorna a mensagem correspondente
- */
-function obterMensagemDataEspecial() {
-    const { ano, mes, dia } = obterDataHoraAtual()
-
-    // 1. CARNAVAL (dinâmico, baseado na Páscoa)
-    const periodoCarnaval = obterPeriodoCarnaval(ano)
-    if (estaEntreDatas({ ano, mes, dia }, periodoCarnaval.inicio, periodoCarnaval.fim)) {
-        return `🎉🥩 Seja bem-vindo ao ${NOME_LOJA}! 🥩🎉
-
-O Carnaval chegou com muito sabor, alegria e aquele churrasco que faz a gente sambar de felicidade! 🥳🔥
-
-Não fique de fora dessa folia de sabores!
-Faça seu pedido agora mesmo: 👉 ${LINK_SITE}
-
-💛 ${NOME_LOJA} — O melhor churrasco no ritmo do Carnaval! 💚`
-    }
-
-    // 2. NATAL (20 a 26 de dezembro)
-    if (mes === 12 && dia >= 20 && dia <= 26) {
-        return `🎄🥩 Feliz Natal! 🥩🎄
-
-O *${NOME_LOJA}* deseja a você e toda sua família um Natal repleto de paz, amor e muito sabor! 🎅❤️
-
-Neste Natal, celebre com nosso churrasco especial! 🎁🔥
-
-Faça seu pedido: 👉 ${LINK_SITE}
-
-🌟 ${NOME_LOJA} — O melhor presente é um churrasco de verdade! 🌟`
-    }
-
-    // 3. ANO NOVO (28 de dezembro a 2 de janeiro)
-    if ((mes === 12 && dia >= 28) || (mes === 1 && dia <= 2)) {
-        const anoNovo = mes === 12 ? ano + 1 : ano
-        return `🎆🥩 Feliz Ano Novo! 🥩🎆
-
-O *${NOME_LOJA}* deseja um ${anoNovo} repleto de conquistas, felicidade e churrascos incríveis! 🥂✨
-
-Comece o ano com o melhor sabor!
-Faça seu pedido: 👉 ${LINK_SITE}
-
-🎉 ${NOME_LOJA} — Um novo ano, o mesmo sabor inconfundível! 🎉`
-    }
-
-    // 4. DIA DOS NAMORADOS (12 de junho - Brasil)
-    if (mes === 6 && dia === 12) {
-        return `💕🥩 Feliz Dia dos Namorados! 🥩💕
-
-No *${NOME_LOJA}*, acreditamos que o amor combina com um churrasco incrível! 💑🔥
-
-Surpreenda quem você ama com nossos pratos especiais! 🥰
-
-Peça agora: 👉 ${LINK_SITE}
-
-❤️ ${NOME_LOJA} — O amor também passa pelo estômago! ❤️`
-    }
-
-    // 5. DIA DAS MÃES (2º domingo de maio)
-    const diaDasMaes = obterNesimoDomingo(ano, 5, 2)
-    if (mes === 5 && dia === diaDasMaes.dia) {
-        return `👩‍👧‍👦🥩 Feliz Dia das Mães! 🥩👩‍👧‍👦
-
-O *${NOME_LOJA}* parabeniza todas as mães! Vocês são incríveis! 💐❤️
-
-Que tal celebrar com um churrasco especial pra ela? 🎉🔥
-
-Peça agora: 👉 ${LINK_SITE}
-
-💖 ${NOME_LOJA} — Mãe merece o melhor sabor! 💖`
-    }
-
-    // 6. DIA DOS PAIS (2º domingo de agosto)
-    const diaDoPais = obterNesimoDomingo(ano, 8, 2)
-    if (mes === 8 && dia === diaDoPais.dia) {
-        return `👨‍👧‍👦🥩 Feliz Dia dos Pais! 🥩👨‍👧‍👦
-
-O *${NOME_LOJA}* homenageia todos os pais! Vocês são demais! 💪❤️
-
-Celebre com aquele churrasco que seu pai merece! 🎉🔥
-
-Peça agora: 👉 ${LINK_SITE}
-
-🏆 ${NOME_LOJA} — Pai também merece o melhor churrasco! 🏆`
-    }
-
-    // 7. SÃO JOÃO (22 a 25 de junho)
-    if (mes === 6 && dia >= 22 && dia <= 25) {
-        return `🎇🥩 Viva São João! 🥩🎇
-
-O *${NOME_LOJA}* entra no clima das festas juninas com muito sabor e animação! 🌽🔥
-
-Além do forró, garanta aquele churrasco que combina com tudo!
-
-Faça seu pedido: 👉 ${LINK_SITE}
-
-🎶 ${NOME_LOJA} — Arraiá de sabores na brasa! 🎶`
-    }
-
-    // 8. DIA DAS CRIANÇAS (12 de outubro)
-    if (mes === 10 && dia === 12) {
-        return `🧒🥩 Feliz Dia das Crianças! 🥩🧒
-
-O *${NOME_LOJA}* deseja um dia cheio de alegria e diversão para a criançada! 🎈🎉
-
-O melhor presente? Um churrasco delicioso em família! 🤩🔥
-
-Peça agora: 👉 ${LINK_SITE}
-
-🎁 ${NOME_LOJA} — Sabor que faz qualquer criança sorrir! 🎁`
-    }
-
-    // Sem data especial
-    return null
-}
-
 // ==========================================
 // LÓGICA PRINCIPAL
 // ==========================================
@@ -305,7 +138,7 @@ Peça agora: 👉 ${LINK_SITE}
  * Carrega configurações da loja (com cache)
  * Usa store_settings ao invés de configuracoes_loja
  */
-async function carregarConfiguracoesLoja() {
+export async function carregarConfiguracoesLoja() {
     const agora = Date.now()
 
     if (configuracoesLoja && ultimaAtualizacaoConfig && (agora - ultimaAtualizacaoConfig) < INTERVALO_CACHE_CONFIG_MS) {
@@ -365,170 +198,129 @@ function registrarResposta(numeroRemetente) {
 }
 
 /**
- * Normaliza texto removendo acentos, pontuação e convertendo para minúsculo
- */
-function normalizarTexto(texto) {
-    return texto
-        .toLowerCase()
-        .normalize('NFD')
-        .replace(/[\u0300-\u036f]/g, '')
-        .replace(/[^\w\s]/g, '')
-        .trim()
-}
-
-/**
- * Detecta intenção da mensagem.
- * Retorna 'saudacao', 'churrasco', 'pix', 'horario', 'pedido', 'entrega', 'marmita', 'localizacao' ou null.
+ * Carrega as intenções (com cache): padrão + personalizações
+ * Fonte: arquivo JSON em INTENCOES_ARQUIVO, senão a tabela bot_intents
+ * Em caso de erro mantém as últimas intenções carregadas
+ * @param {boolean} forcar - Ignora o cache
  */
-function detectarIntencao(mensagem) {
-    const texto = normalizarTexto(mensagem)
-
-    const termosSaudacao = [
-        'boa noite', 'boa tarde', 'bom dia', 'boa madrugada',
-        'oi', 'ola', 'hey', 'eae', 'e ai', 'fala',
-        'salve', 'hello', 'hi', 'oie', 'oii', 'oiii',
-        'boa', 'bao', 'blz', 'beleza', 'tudo bem',
-        'tudo bom', 'como vai', 'opa', 'opaa'
-    ]
-
-    const termosPix = [
-        'pix', 'chave pix', 'chave do pix', 'qual o pix', 'qual pix',
-        'manda o pix', 'manda pix', 'envia o pix', 'envia pix',
-        'passa o pix', 'passa pix', 'me passa o pix',
-        'forma de pagamento', 'formas de pagamento', 'como pagar',
-        'como pago', 'como faco pra pagar', 'como eu pago',
-        'pagamento', 'transferencia', 'transferir'
-    ]
-
-    const termosHorario = [
-        'horario', 'horarios', 'que horas abre', 'que horas fecha',
-        'ta aberto', 'esta aberto', 'aberto', 'fechado',
-        'que horas', 'funciona ate', 'abre que horas',
-        'hora de funcionar', 'funcionamento'
-    ]
-
-    const termosPedido = [
-        'quero pedir', 'quero fazer pedido', 'fazer pedido',
-        'como faco pedido', 'como pedir', 'como faz pra pedir',
-        'aceita pedido', 'pedido', 'menu', 'site'
-    ]
-
-    const termosEntrega = [
-        'entrega', 'delivery', 'entregam', 'taxa de entrega',
-        'taxa entrega', 'frete', 'entregam aqui', 'entrega no',
-        'voces entregam', 'faz entrega'
-    ]
-
-    const termosChurrasco = [
-        'churrasco', 'carne', 'picanha', 'costela', 'maminha',
-        'carneiro', 'suino', 'frango', 'linguica', 'toscana',
-        'mignon', 'file', 'contra file', 'pernil', 'carre',
-        'tira gosto', 'tiragosto', 'porcao', 'porcoes',
-        'cardapio', 'tem carne', 'quero carne',
-        'vende carne', 'quero churrasco', 'tem churrasco',
-        'bebida', 'cerveja', 'heineken', 'budweiser', 'skol',
-        'whisky', 'vodka', 'gin', 'dose', 'suco'
-    ]
-
-    const termosMarmita = [
-        'marmita', 'marmitex', 'quentinha', 'viagem',
-        'pra levar', 'embalagem', 'quero marmita', 'tem marmita'
-    ]
-
-    const termosLocalizacao = [
-        'endereco', 'onde fica', 'localizacao', 'como chegar',
-        'onde voces ficam', 'onde e', 'qual o endereco', 'mapa',
-        'rua', 'local', 'onde fica a loja'
-    ]
-
-    if (termosPix.some(t => texto.includes(t))) {
-        return 'pix'
-    }
+async function carregarIntencoes(forcar = false) {
+    const agora = Date.now()
 
-    if (termosHorario.some(t => texto.includes(t))) {
-        return 'horario'
+    if (!forcar && intencoes && ultimaAtualizacaoIntencoes && (agora - ultimaAtualizacaoIntencoes) < INTERVALO_CACHE_CONFIG_MS) {
+        return intencoes
     }
 
-    if (termosPedido.some(t => texto.includes(t))) {
-        return 'pedido'
-    }
+    try {
+        let personalizadas
 
-    if (termosEntrega.some(t => texto.includes(t))) {
-        return 'entrega'
-    }
+        if (ARQUIVO_INTENCOES) {
+            personalizadas = lerIntencoesArquivo(ARQUIVO_INTENCOES)
+        } else {
+            const { data, error } = await supabase
+                .from('bot_intents')
+                .select('key, keywords, exclusions, response, priority, edges_only, fallback, active')
 
-    if (termosMarmita.some(t => texto.includes(t))) {
-        return 'marmita'
-    }
+            if (error) {
+                console.error('[RESPOSTAS] Erro ao carregar intenções:', error.message)
+                return intencoes || compilarIntencoes(INTENCOES_PADRAO)
+            }
 
-    if (termosLocalizacao.some(t => texto.includes(t))) {
-        return 'localizacao'
-    }
+            personalizadas = data || []
+        }
 
-    if (termosChurrasco.some(t => texto.includes(t))) {
-        return 'churrasco'
-    }
+        intencoes = compilarIntencoes(mesclarIntencoes(INTENCOES_PADRAO, personalizadas))
+        ultimaAtualizacaoIntencoes = agora
 
-    // Saudação por último (palavras mais genéricas)
-    if (termosSaudacao.some(t => texto === t || texto.startsWith(t + ' ') || texto.endsWith(' ' + t))) {
-        return 'saudacao'
+        return intencoes
+    } catch (erro) {
+        console.error('[RESPOSTAS] Erro ao carregar intenções:', erro.message)
+        return intencoes || compilarIntencoes(INTENCOES_PADRAO)
     }
-
-    return null
 }
 
 /**
- * Verifica se a loja está aberta consultando store_settings no Supabase
- * A chave 'manual_status' é controlada pelo admin
+ * Situação atual da loja: status manual do admin (store_settings 'manual_status')
+ * ou, sem status manual, o horário de funcionamento
+ * @returns {Promise<Object>} { aberta, abreEm, fechaEm, minutosParaAbrir, manual }
  */
-async function verificarLojaAbertaSupabase() {
+async function obterSituacaoLoja() {
+    const situacao = calcularSituacaoHorario(new Date(), await carregarHorarios())
+
     try {
         const config = await carregarConfiguracoesLoja()
 
-        // Se o admin fechou a loja manualmente, respeita
+        // Se o admin fechou a loja manualmente, respeita (sem previsão de abertura)
         if (config.manual_status === 'closed') {
-            return false
+            return { ...situacao, aberta: false, abreEm: null, minutosParaAbrir: null, manual: true }
         }
 
         // Se o admin abriu manualmente, respeita
         if (config.manual_status === 'open') {
-            return true
+            return { ...situacao, aberta: true, abreEm: null, minutosParaAbrir: 0, manual: true }
         }
-
-        // Fallback: usa o horário normal
-        return estaNoHorario()
     } catch (erro) {
         // Em caso de erro, usa o horário como fallback
-        return estaNoHorario()
+        console.error('[RESPOSTAS] Erro ao verificar status manual:', erro.message)
     }
+
+    return { ...situacao, manual: false }
+}
+
+/**
+ * Verifica se a loja está aberta consultando store_settings e o horário no Supabase
+ */
+async function verificarLojaAbertaSupabase() {
+    const situacao = await obterSituacaoLoja()
+    return situacao.aberta
+}
+
+/**
+ * Campanha sazonal do dia (data especial ou promoção)
+ * @returns {Promise<Object|null>} { mensagem, anexar } ou null
+ */
+async function obterCampanhaSaudacao(saudacao) {
+    const { ano, mes, dia } = obterDataHoraAtual()
+    const campanhaDoDia = await obterCampanhaDoDia({ ano, mes, dia })
+    if (!campanhaDoDia) return null
+
+    const mensagem = gerarMensagemCampanha(campanhaDoDia, {
+        loja: { nome: NOME_LOJA, site: LINK_SITE },
+        saudacao
+    })
+    if (!mensagem) return null
+
+    return { mensagem, anexar: campanhaDoDia.campanha.append_to_greeting === true }
 }
 
 /**
  * Gera resposta de saudação com link do site
- * Inclui mensagem temática se for data especial
+ * Inclui a campanha do dia: substitui a saudação ou é acrescentada ao final dela
  */
 async function gerarRespostaSaudacao() {
-    // Verifica se há mensagem de data especial
-    const mensagemEspecial = obterMensagemDataEspecial()
-    if (mensagemEspecial) {
-        return mensagemEspecial
+    const saudacao = obterSaudacao()
+
+    // Verifica se há campanha para hoje
+    const campanha = await obterCampanhaSaudacao(saudacao)
+    if (campanha && !campanha.anexar) {
+        return campanha.mensagem
     }
 
-    const saudacao = obterSaudacao()
-    const lojaAberta = await verificarLojaAbertaSupabase()
+    const situacao = await obterSituacaoLoja()
+    let resposta
+
+    if (!situacao.aberta) {
+        const abertura = descreverProximaAbertura(situacao)
 
-    if (!lojaAberta) {
-        return `${saudacao}! 👋
+        resposta = `${saudacao}! 👋
 
 Obrigado por entrar em contato com *${NOME_LOJA}* 🔥🥩
 
 No momento estamos *fechados*, mas você pode conferir nosso cardápio completo:
 ${LINK_SITE}
 
-Voltamos em breve! 😉`
-    }
-
-    return `${saudacao}! 👋
+${abertura ? `Abrimos ${abertura}! 😉` : 'Voltamos em breve! 😉'}`
+    } else {
+        resposta = `${saudacao}! 👋
 
 Obrigado por entrar em contato com *${NOME_LOJA}* 🔥🥩
 
@@ -536,15 +328,24 @@ Estamos abertos! Confira nosso cardápio e faça seu pedido:
 ${LINK_SITE}
 
 O melhor churrasco da região! 🔥`
+    }
+
+    return campanha ? `${resposta}\n\n${campanha.mensagem}` : resposta
 }
 
 /**
  * Gera resposta com dados do PIX
- * Alterna inteligentemente entre as duas chaves
+ * Alterna inteligentemente entre as chaves ativas
  */
-function gerarRespostaPix(numeroRemetente) {
+async function gerarRespostaPix(numeroRemetente) {
     const saudacao = obterSaudacao()
-    const pixSelecionado = selecionarChavePixInteligente(numeroRemetente)
+    const pixSelecionado = await selecionarChavePixInteligente(numeroRemetente)
+
+    if (!pixSelecionado) {
+        return `${saudacao}! 💰
+
+No momento não consegui consultar a chave PIX. Nossa equipe vai te enviar em instantes! 🙏`
+    }
 
     // Retorna array: primeira msg curta com contexto, segunda msg só com a chave para facilitar cópia
     return [
@@ -565,19 +366,25 @@ A chave vai separada abaixo para copiar 👇`,
  */
 async function gerarRespostaHorario() {
     const saudacao = obterSaudacao()
-    const lojaAberta = await verificarLojaAbertaSupabase()
+    const situacao = await obterSituacaoLoja()
+    const abertura = descreverProximaAbertura(situacao)
+
+    let statusAtual = '✅ *Estamos abertos agora!*'
+    if (!situacao.aberta) {
+        statusAtual = abertura
+            ? `🔴 *Estamos fechados no momento*\n⏳ Abrimos ${abertura}`
+            : '🔴 *Estamos fechados no momento*'
+    }
 
-    const statusAtual = lojaAberta ? '✅ *Estamos abertos agora!*' : '🔴 *Estamos fechados no momento*'
+    const datasEspeciais = gerarTextoDatasEspeciais()
 
     return `${saudacao}! ⏰
 
 ${statusAtual}
 
 *Nosso horário:*
-🔥 *Seg a Qui:* 17:00 às 23:00
-🔥 *Sexta e Sábado:* 17:00 às 00:00
-❌ *Domingo:* Fechado
-
+${gerarTextoHorarioSemanal()}
+${datasEspeciais ? `\n*Datas especiais:*\n${datasEspeciais}\n` : ''}
 Confira o cardápio:
 ${LINK_SITE}`
 }
@@ -587,14 +394,16 @@ ${LINK_SITE}`
  */
 async function gerarRespostaPedido() {
     const saudacao = obterSaudacao()
-    const lojaAberta = await verificarLojaAbertaSupabase()
+    const situacao = await obterSituacaoLoja()
+
+    if (!situacao.aberta) {
+        const abertura = descreverProximaAbertura(situacao)
 
-    if (!lojaAberta) {
         return `${saudacao}! 📋
 
 No momento estamos *fechados*, mas quando abrirmos você pode pedir direto pelo site:
 ${LINK_SITE}
-
+${abertura ? `\n⏳ Abrimos ${abertura}\n` : ''}
 É rápido e fácil! 😉`
     }
 
@@ -604,10 +413,52 @@ Para fazer seu pedido é muito simples! Acesse nosso site:
 ${LINK_SITE}
 
 Lá você encontra todo o cardápio, escolhe os itens e finaliza o pedido! 🥩🔥
-
+${PEDIDO_WHATSAPP_ATIVO ? '\nPrefere pedir por aqui? Responda *PEDIR* e montamos seu pedido pelo WhatsApp! 🛒\n' : ''}
 Aceitamos *PIX, cartão e dinheiro*! 💰`
 }
 
+/**
+ * Gera resposta com os pedidos em andamento do cliente (buscados pelo telefone)
+ */
+async function gerarRespostaStatusPedido(numeroRemetente) {
+    const saudacao = obterSaudacao()
+    const pedidos = await buscarPedidosCliente(numeroRemetente, { status: STATUS_PEDIDO_EM_ABERTO })
+
+    if (pedidos === null) {
+        return `${saudacao}! 📋
+
+Não consegui consultar seus pedidos agora. Tente de novo em alguns minutos, por favor. 🙏`
+    }
+
+    if (pedidos.length === 0) {
+        return `${saudacao}! 📋
+
+Não encontrei pedidos em andamento neste número. 🤔
+
+Se você pediu com outro telefone, mande o número do pedido aqui que a gente confere.
+
+Para fazer um pedido:
+${LINK_SITE}`
+    }
+
+    const linhas = pedidos.slice(0, LIMITE_PEDIDOS_STATUS).map(pedido => {
+        const criadoEm = new Date(pedido.created_at)
+        const minutos = Math.max(0, Math.floor((Date.now() - criadoEm.getTime()) / 60000))
+        const horario = criadoEm.toLocaleTimeString('pt-BR', { timeZone: TIMEZONE, hour: '2-digit', minute: '2-digit' })
+
+        return `*Pedido #${pedido.order_number || pedido.id?.slice(0, 8)}* - ${obterTextoStatus(pedido.status)}
+   Feito às ${horario} (há ${formatarTempoAte(minutos)})`
+    })
+
+    return `${saudacao}! 📋
+
+${pedidos.length === 1 ? 'Seu pedido em andamento:' : 'Seus pedidos em andamento:'}
+
+${linhas.join('\n\n')}
+
+Você recebe uma mensagem aqui a cada mudança de status. 😉`
+}
+
 /**
  * Gera resposta sobre entregas
  */
@@ -674,18 +525,81 @@ Confira nosso cardápio:
 ${LINK_SITE}`
 }
 
+// Itens listados por resposta do catálogo (o restante fica no site)
+const LIMITE_ITENS_CATALOGO = 8
+
+/**
+ * Situação de estoque do produto para exibição
+ */
+function descreverEstoque(produto) {
+    if (!produtoDisponivel(produto)) return '❌ Esgotado no momento'
+    if (produto.estoque !== null && produto.estoque <= ESTOQUE_BAIXO) {
+        return `⚠️ Últimas ${produto.estoque} unidade${produto.estoque === 1 ? '' : 's'}`
+    }
+    return '✅ Disponível'
+}
+
+function formatarItemCatalogo(produto) {
+    const preco = produto.preco !== null ? ` — ${formatarMoeda(produto.preco)}` : ''
+    const estoque = produtoDisponivel(produto) && (produto.estoque === null || produto.estoque > ESTOQUE_BAIXO)
+        ? ''
+        : ` (${descreverEstoque(produto).replace(/^\S+ /, '').toLowerCase()})`
+
+    return `• *${produto.nome}*${preco}${estoque}`
+}
+
 /**
- * Gera resposta sobre localização
+ * Gera resposta com preço e disponibilidade dos produtos citados (ou da categoria)
+ * @returns {Promise<string|null>} null se a mensagem não citar nada do catálogo
+ */
+async function gerarRespostaCatalogo(mensagem, aberto) {
+    const resultado = buscarNoCatalogo(mensagem, await carregarCatalogo())
+    if (!resultado) return null
+
+    const saudacao = obterSaudacao()
+    const avisoFechado = aberto ? '' : '\n🔴 Estamos fechados no momento, mas o cardápio já está no site!\n'
+    const { produtos } = resultado
+
+    if (resultado.tipo === 'produtos' && produtos.length === 1) {
+        const [produto] = produtos
+
+        return `${saudacao}! 🔥🥩
+
+*${produto.nome}*${produto.preco !== null ? ` — ${formatarMoeda(produto.preco)}` : ''}
+${descreverEstoque(produto)}${produto.descricao ? `\n_${produto.descricao}_` : ''}
+${avisoFechado}
+Peça pelo site:
+${LINK_SITE}`
+    }
+
+    const titulo = resultado.tipo === 'categoria'
+        ? `*${resultado.categoria}* (${produtos.length} opç${produtos.length === 1 ? 'ão' : 'ões'}):`
+        : 'Encontrei estas opções:'
+    const restantes = produtos.length - LIMITE_ITENS_CATALOGO
+
+    return `${saudacao}! 🔥🥩
+
+${titulo}
+${produtos.slice(0, LIMITE_ITENS_CATALOGO).map(formatarItemCatalogo).join('\n')}${restantes > 0 ? `\n_...e mais ${restantes} no site_` : ''}
+${avisoFechado}
+Veja tudo e peça pelo site:
+${LINK_SITE}`
+}
+
+/**
+ * Gera resposta sobre localização (endereço e telefone da loja em uso)
  */
 function gerarRespostaLocalizacao() {
     const saudacao = obterSaudacao()
+    const { endereco, mapsLink, contato } = obterDadosLoja()
 
-    return `${saudacao}! 📍
+    const local = endereco
+        ? `O *${NOME_LOJA}* fica na:\n*${endereco}*${mapsLink ? `\n🗺️ ${mapsLink}` : ''}`
+        : `Fale com o *${NOME_LOJA}* por aqui mesmo!`
 
-O *${NOME_LOJA}* fica na:
-*R. Gen. Taumaturgo de Azevedo, n° 279 - Riachinho*
+    return `${saudacao}! 📍
 
-📞 Contato: *(86) 98131-9596*
+${local}${contato ? `\n\n📞 Contato: *${contato}*` : ''}
 
 Confira nosso cardápio:
 ${LINK_SITE}
@@ -693,12 +607,38 @@ ${LINK_SITE}
 Esperamos você! 🔥🥩`
 }
 
+/**
+ * Monta a resposta cadastrada da intenção (campo response)
+ * Placeholders: {{saudacao}}, {{loja.nome}}, {{loja.site}}, {{loja.aberta}}
+ */
+function gerarRespostaPersonalizada(intencao, aberto) {
+    try {
+        const resposta = renderizarTemplate(intencao.resposta, {
+            saudacao: obterSaudacao(),
+            loja: { nome: NOME_LOJA, site: LINK_SITE, aberta: aberto }
+        }).trim()
+
+        return resposta || null
+    } catch (erro) {
+        console.error(`[RESPOSTAS] Erro na resposta da intenção ${intencao.chave}:`, erro.message)
+        return null
+    }
+}
+
 /**
  * Processa mensagem recebida e retorna resposta para palavras-chave reconhecidas.
  * Retorna null para qualquer outra mensagem (não responde).
  */
 export async function processarMensagemRecebida(mensagem, numeroRemetente) {
-    const intencao = detectarIntencao(mensagem)
+    const intencoesCarregadas = await carregarIntencoes()
+    const deteccao = detectarIntencao(mensagem, intencoesCarregadas)
+    let intencao = deteccao.intencao
+
+    // Sem intenção reconhecida, responde só perguntas sobre produtos do catálogo ('tem coca?')
+    if (!intencao && pareceConsultaProduto(mensagem) && buscarNoCatalogo(mensagem, await carregarCatalogo())) {
+        intencao = 'catalogo'
+        deteccao.termos = ['catálogo']
+    }
 
     // Só responde se a mensagem tiver uma intenção reconhecida
     if (!intencao) {
@@ -715,31 +655,52 @@ export async function processarMensagemRecebida(mensagem, numeroRemetente) {
     // Registra resposta APENAS quando vai de fato responder
     registrarResposta(numeroRemetente)
 
-    const aberto = estaNoHorario()
-    console.log(`[RESPOSTAS] Intenção: ${intencao} | Aberto: ${aberto} | De: ${numeroRemetente}`)
+    const aberto = await verificarLojaAbertaSupabase()
+    console.log(`[RESPOSTAS] Intenção: ${intencao} (${deteccao.pontuacao}: ${deteccao.termos.join(', ')}) | Aberto: ${aberto} | De: ${numeroRemetente}`)
+
+    // Resposta cadastrada tem prioridade sobre a padrão
+    const definicao = intencoesCarregadas.find(item => item.chave === intencao)
+    if (definicao?.resposta) {
+        return gerarRespostaPersonalizada(definicao, aberto)
+    }
 
     switch (intencao) {
         case 'saudacao':
             return await gerarRespostaSaudacao()
         case 'pix':
-            return gerarRespostaPix(numeroRemetente)
+            return await gerarRespostaPix(numeroRemetente)
         case 'horario':
             return await gerarRespostaHorario()
+        case 'status_pedido':
+            return await gerarRespostaStatusPedido(numeroRemetente)
         case 'pedido':
             return await gerarRespostaPedido()
         case 'entrega':
             return gerarRespostaEntrega()
         case 'churrasco':
-            return gerarRespostaChurrasco(aberto)
+            return await gerarRespostaCatalogo(mensagem, aberto) || gerarRespostaChurrasco(aberto)
         case 'marmita':
-            return gerarRespostaMarmita(aberto)
+            return await gerarRespostaCatalogo(mensagem, aberto) || gerarRespostaMarmita(aberto)
+        case 'catalogo':
+            return await gerarRespostaCatalogo(mensagem, aberto)
         case 'localizacao':
             return gerarRespostaLocalizacao()
         default:
+            console.error(`[RESPOSTAS] Intenção ${intencao} sem resposta cadastrada`)
             return null
     }
 }
 
+/**
+ * Mostra qual intenção cada frase atinge (sem responder nem contar no anti-spam)
+ * @param {Array<string>} frases
+ * @returns {Promise<Array>} [{ frase, intencao, pontuacao, termos, ranking }]
+ */
+export async function testarIntencoes(frases) {
+    const intencoesCarregadas = await carregarIntencoes()
+    return frases.map(frase => ({ frase, ...detectarIntencao(frase, intencoesCarregadas) }))
+}
+
 export function resetarAntiSpam(numero) {
     if (numero) {
         ultimasRespostas.delete(numero)
@@ -750,17 +711,20 @@ export function resetarAntiSpam(numero) {
 
 export async function atualizarConfiguracoes() {
     ultimaAtualizacaoConfig = null
+    await Promise.all([carregarHorarios(true), carregarCampanhas(true), carregarIntencoes(true), carregarCatalogo(true)])
     return await carregarConfiguracoesLoja()
 }
 
-export function verificarLojaAberta() {
-    return estaNoHorario()
+export async function verificarLojaAberta() {
+    return await verificarLojaAbertaSupabase()
 }
 
 export default {
     processarMensagemRecebida,
     resetarAntiSpam,
+    testarIntencoes,
     atualizarConfiguracoes,
+    carregarConfiguracoesLoja,
     obterSaudacao,
     verificarLojaAberta
 }
@@ -4,6 +4,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js'
+import { telefonesCorrespondem } from './mensagens.js'
 
 const supabaseUrl = process.env.SUPABASE_URL
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY
@@ -38,13 +39,14 @@ export const supabase = createClient(supabaseUrl || '', chaveParaUsar || '', {
 /**
  * Busca entregadores ativos que recebem mensagens do bot
  * No Rei do Churrasco, a tabela funcionarios usa o campo 'cargo' para identificar entregadores
+ * 'bairros' lista os bairros/zonas atendidos e 'em_turno' indica se está trabalhando agora
  * @returns {Promise<Array>} Lista de entregadores ativos
  */
 export async function buscarEntregadoresAtivos() {
     try {
         const { data, error } = await supabase
             .from('funcionarios')
-            .select('id, nome, telefone, cargo')
+            .select('id, nome, telefone, cargo, bairros, em_turno, turno_atualizado_em')
             .eq('cargo', 'entregador')
             .eq('ativo', true)
 
@@ -89,12 +91,21 @@ export async function verificarEntregador(telefone) {
             return null
         }
 
+        // O WhatsApp costuma entregar o número sem o 9º dígito (DDD + 8 dígitos)
+        const semNonoDigito = (numero) => numero.length === 11 && numero[2] === '9'
+            ? numero.slice(0, 2) + numero.slice(3)
+            : numero
+
         // Busca entregador pelo telefone (comparando versões normalizadas)
         const entregador = data?.find(f => {
             const telFuncionario = f.telefone?.replace(/\D/g, '') || ''
+            const telFuncionarioSemPrefixo = telFuncionario.length > 11 && telFuncionario.startsWith('55')
+                ? telFuncionario.substring(2)
+                : telFuncionario
             return telFuncionario === telefoneSemPrefixo ||
                 telFuncionario === telefoneNormalizado ||
-                `55${telFuncionario}` === telefoneNormalizado
+                `55${telFuncionario}` === telefoneNormalizado ||
+                (telefoneSemPrefixo.length >= 10 && semNonoDigito(telFuncionarioSemPrefixo) === semNonoDigito(telefoneSemPrefixo))
         })
 
         return entregador || null
@@ -104,4 +115,41 @@ export async function verificarEntregador(telefone) {
     }
 }
 
+/**
+ * Busca os pedidos recentes de um cliente pelo telefone (mais novos primeiro)
+ * O telefone vem do site em formatos variados: a consulta só pré-filtra pelos 4 últimos dígitos
+ * e a comparação final é feita com o número normalizado (telefonesCorrespondem), como em verificarEntregador
+ * @param {string} telefone - Número do cliente (como chega pelo WhatsApp)
+ * @param {Object} opcoes - { status: lista de status aceitos, horas: janela de busca }
+ * @returns {Promise<Array|null>} Pedidos ou null em caso de erro
+ */
+export async function buscarPedidosCliente(telefone, { status = null, horas = 24 } = {}) {
+    const digitos = String(telefone || '').replace(/\D/g, '')
+    if (digitos.length < 10) return []
+
+    try {
+        let consulta = supabase
+            .from('orders')
+            .select('*')
+            .like('customer_phone', `%${digitos.slice(-4)}%`)
+            .gte('created_at', new Date(Date.now() - horas * 60 * 60 * 1000).toISOString())
+
+        if (status) {
+            consulta = consulta.in('status', status)
+        }
+
+        const { data, error } = await consulta.order('created_at', { ascending: false })
+
+        if (error) {
+            console.error('[SUPABASE] Erro ao buscar pedidos do cliente:', error.message)
+            return null
+        }
+
+        return (data || []).filter(pedido => telefonesCorrespondem(pedido.customer_phone, telefone))
+    } catch (erro) {
+        console.error('[SUPABASE] Erro ao buscar pedidos do cliente:', erro.message)
+        return null
+    }
+}
+
 export default supabase
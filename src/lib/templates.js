@@ -0,0 +1,181 @@
+/**
+ * Motor de templates das mensagens
+ * Rei do Churrasco
+ *
+ * Sintaxe:
+ *   {{pedido.cliente}}                   - valor do contexto (vazio se não existir)
+ *   {{#if pedido.observacoes}}...{{/if}}  - trecho exibido só quando o valor está preenchido
+ *   {{#if ...}}...{{else}}...{{/if}}      - trecho alternativo
+ *   {{#unless troco.valor}}...{{/unless}} - trecho exibido só quando o valor está vazio
+ *
+ * Valores vazios: '', null, undefined, false, 0 e listas vazias
+ */
+
+const REGEX_TAG = /\{\{\s*([^{}]*?)\s*\}\}/g
+const REGEX_CAMINHO = /^[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*$/
+
+// Templates já analisados (o texto é a chave)
+const cacheAnalise = new Map()
+const LIMITE_CACHE_ANALISE = 200
+
+/**
+ * Converte o texto do template em árvore de nós
+ * @throws {Error} Se houver tag inválida ou bloco sem fechamento
+ */
+function analisarTemplate(texto) {
+    const raiz = { filhos: [] }
+    const pilha = []
+    let destino = raiz.filhos
+    let posicao = 0
+
+    for (const resultado of texto.matchAll(REGEX_TAG)) {
+        if (resultado.index > posicao) {
+            destino.push({ tipo: 'texto', valor: texto.slice(posicao, resultado.index) })
+        }
+        posicao = resultado.index + resultado[0].length
+
+        const conteudo = resultado[1]
+        const bloco = conteudo.match(/^#(if|unless)\s+(\S+)$/)
+
+        if (bloco) {
+            if (!REGEX_CAMINHO.test(bloco[2])) {
+                throw new Error(`Campo inválido em {{${conteudo}}}`)
+            }
+            const no = { tipo: 'condicao', bloco: bloco[1], caminho: bloco[2], entao: [], senao: [], emSenao: false }
+            destino.push(no)
+            pilha.push(no)
+            destino = no.entao
+            continue
+        }
+
+        if (conteudo === 'else') {
+            const atual = pilha[pilha.length - 1]
+            if (!atual || atual.emSenao) {
+                throw new Error('{{else}} fora de um bloco {{#if}}')
+            }
+            atual.emSenao = true
+            destino = atual.senao
+            continue
+        }
+
+        const fechamento = conteudo.match(/^\/(if|unless)$/)
+        if (fechamento) {
+            const atual = pilha.pop()
+            if (!atual || atual.bloco !== fechamento[1]) {
+                throw new Error(`{{${conteudo}}} sem bloco correspondente`)
+            }
+            const anterior = pilha[pilha.length - 1]
+            destino = anterior ? (anterior.emSenao ? anterior.senao : anterior.entao) : raiz.filhos
+            continue
+        }
+
+        if (!REGEX_CAMINHO.test(conteudo)) {
+            throw new Error(`Tag inválida: {{${conteudo}}}`)
+        }
+        destino.push({ tipo: 'valor', caminho: conteudo })
+    }
+
+    if (pilha.length > 0) {
+        throw new Error(`Bloco {{#${pilha[pilha.length - 1].bloco} ${pilha[pilha.length - 1].caminho}}} sem fechamento`)
+    }
+
+    if (posicao < texto.length) {
+        raiz.filhos.push({ tipo: 'texto', valor: texto.slice(posicao) })
+    }
+
+    return raiz.filhos
+}
+
+function obterArvore(texto) {
+    let arvore = cacheAnalise.get(texto)
+    if (arvore) return arvore
+
+    arvore = analisarTemplate(texto)
+
+    if (cacheAnalise.size >= LIMITE_CACHE_ANALISE) {
+        cacheAnalise.delete(cacheAnalise.keys().next().value)
+    }
+    cacheAnalise.set(texto, arvore)
+
+    return arvore
+}
+
+function obterValor(contexto, caminho) {
+    return caminho.split('.').reduce((valor, campo) => (valor == null ? undefined : valor[campo]), contexto)
+}
+
+function valorPreenchido(valor) {
+    if (Array.isArray(valor)) return valor.length > 0
+    return Boolean(valor)
+}
+
+function renderizarNos(nos, contexto) {
+    let saida = ''
+
+    for (const no of nos) {
+        if (no.tipo === 'texto') {
+            saida += no.valor
+        } else if (no.tipo === 'valor') {
+            const valor = obterValor(contexto, no.caminho)
+            saida += valor == null || typeof valor === 'object' ? '' : String(valor)
+        } else {
+            const preenchido = valorPreenchido(obterValor(contexto, no.caminho))
+            const exibir = no.bloco === 'if' ? preenchido : !preenchido
+            saida += renderizarNos(exibir ? no.entao : no.senao, contexto)
+        }
+    }
+
+    return saida
+}
+
+/**
+ * Renderiza o template com os valores do contexto
+ * @param {string} texto - Template
+ * @param {Object} contexto - Valores disponíveis para os placeholders
+ * @returns {string} Mensagem pronta
+ * @throws {Error} Se o template for inválido
+ */
+export function renderizarTemplate(texto, contexto = {}) {
+    return renderizarNos(obterArvore(String(texto ?? '')), contexto)
+}
+
+/**
+ * Valida a sintaxe do template
+ * @returns {Object} { valido, erro }
+ */
+export function validarTemplate(texto) {
+    if (typeof texto !== 'string' || !texto.trim()) {
+        return { valido: false, erro: 'Template vazio' }
+    }
+
+    try {
+        obterArvore(texto)
+        return { valido: true, erro: null }
+    } catch (erro) {
+        return { valido: false, erro: erro.message }
+    }
+}
+
+/**
+ * Lista os placeholders disponíveis em um contexto (ex: 'pedido.cliente')
+ */
+export function listarPlaceholders(contexto, prefixo = '') {
+    const caminhos = []
+
+    for (const [campo, valor] of Object.entries(contexto || {})) {
+        const caminho = prefixo ? `${prefixo}.${campo}` : campo
+        if (valor && typeof valor === 'object' && !Array.isArray(valor)) {
+            caminhos.push(...listarPlaceholders(valor, caminho))
+        } else {
+            caminhos.push(caminho)
+        }
+    }
+
+    return caminhos
+}
+
+export default {
+    renderizarTemplate,
+    validarTemplate,
+    listarPlaceholders
+}
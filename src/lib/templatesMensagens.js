@@ -0,0 +1,124 @@
+/**
+ * Personalização das mensagens de pedido (hot reload)
+ * Rei do Churrasco
+ *
+ * - Templates em message_templates, recarregados a cada minuto
+ * - Dados da loja usados nos templates em store_settings
+ * - Sem personalização (ou com erro no banco), valem os templates padrão de mensagens.js
+ *
+ * Colunas de message_templates:
+ *   key (pedido_loja, pedido_cliente, pedido_entregador, status_atualizado), body, active, updated_at
+ *
+ * Chaves de store_settings:
+ *   store_name, store_emoji, store_slogan, store_address, store_maps_link,
+ *   store_phone, store_site
+ */
+
+import { supabase } from './supabase.js'
+import { aplicarPersonalizacaoMensagens } from './mensagens.js'
+
+const INTERVALO_CACHE_TEMPLATES_MS = 60 * 1000
+let ultimaAtualizacaoTemplates = null
+
+// setting_key → campo de CONFIG_LOJA
+const CAMPOS_LOJA = {
+    store_name: 'nome',
+    store_emoji: 'emoji',
+    store_slogan: 'slogan',
+    store_phone: 'contato',
+    store_site: 'site'
+}
+
+const CAMPOS_LOCALIZACAO = {
+    store_address: 'rua',
+    store_maps_link: 'mapsLink'
+}
+
+async function buscarTemplatesAtivos() {
+    const { data, error } = await supabase
+        .from('message_templates')
+        .select('key, body')
+        .eq('active', true)
+
+    if (error) throw error
+
+    return Object.fromEntries((data || []).map(registro => [registro.key, registro.body]))
+}
+
+async function buscarDadosLoja() {
+    const { data, error } = await supabase
+        .from('store_settings')
+        .select('setting_key, setting_value')
+        .in('setting_key', [...Object.keys(CAMPOS_LOJA), ...Object.keys(CAMPOS_LOCALIZACAO)])
+
+    if (error) throw error
+
+    const loja = { localizacao: {} }
+    for (const { setting_key: chave, setting_value: valor } of data || []) {
+        if (CAMPOS_LOJA[chave]) loja[CAMPOS_LOJA[chave]] = valor
+        if (CAMPOS_LOCALIZACAO[chave]) loja.localizacao[CAMPOS_LOCALIZACAO[chave]] = valor
+    }
+
+    return loja
+}
+
+/**
+ * Carrega templates e dados da loja do Supabase (com cache)
+ * Em caso de erro mantém a personalização anterior
+ * @param {boolean} forcar - Ignora o cache
+ * @returns {Promise<boolean>} true se recarregou
+ */
+export async function carregarTemplatesMensagens(forcar = false) {
+    const agora = Date.now()
+
+    if (!forcar && ultimaAtualizacaoTemplates && (agora - ultimaAtualizacaoTemplates) < INTERVALO_CACHE_TEMPLATES_MS) {
+        return false
+    }
+
+    try {
+        const [templates, loja] = await Promise.all([buscarTemplatesAtivos(), buscarDadosLoja()])
+
+        aplicarPersonalizacaoMensagens({ templates, loja })
+        ultimaAtualizacaoTemplates = agora
+
+        return true
+    } catch (erro) {
+        console.error('[TEMPLATES] Erro ao carregar templates:', erro.message)
+        return false
+    }
+}
+
+/**
+ * Salva (ou desativa, com body vazio) o template personalizado e recarrega o cache
+ * @returns {Promise<boolean>} true se salvou
+ */
+export async function salvarTemplateMensagem(chave, texto) {
+    try {
+        const { error } = await supabase
+            .from('message_templates')
+            .upsert({
+                key: chave,
+                body: texto || '',
+                active: Boolean(texto),
+                updated_at: new Date().toISOString()
+            }, {
+                onConflict: 'key'
+            })
+
+        if (error) {
+            console.error(`[TEMPLATES] Erro ao salvar template '${chave}':`, error.message)
+            return false
+        }
+
+        await carregarTemplatesMensagens(true)
+        return true
+    } catch (erro) {
+        console.error(`[TEMPLATES] Erro ao salvar template '${chave}':`, erro.message)
+        return false
+    }
+}
+
+export default {
+    carregarTemplatesMensagens,
+    salvarTemplateMensagem
+}
@@ -0,0 +1,147 @@
+/**
+ * Tempo estimado do pedido (confirmação do cliente e alerta da loja)
+ * Rei do Churrasco
+ *
+ * Estimativa = tempo base do tipo (delivery ou retirada/local)
+ *            + minutos por pedido em aberto (confirmados e em preparo)
+ *            + acréscimo do modo pico (definido pelo admin)
+ * Exibida como faixa, ex: '30-45 minutos'
+ *
+ * Chaves de store_settings (minutos):
+ *   estimated_time_delivery  - tempo base do delivery (padrão 30)
+ *   estimated_time_pickup    - tempo base de retirada e consumo no local (padrão 30)
+ *   estimated_time_per_order - acréscimo por pedido em aberto (padrão 2)
+ *   estimated_time_range     - largura da faixa exibida (padrão 15)
+ *   rush_mode_minutes        - acréscimo do modo pico (0 = desligado)
+ */
+
+import { supabase } from './supabase.js'
+import { carregarConfiguracoesLoja } from './respostasAutomaticas.js'
+import { pedidoEhDelivery } from './mensagens.js'
+
+const STATUS_EM_ABERTO = ['confirmed', 'confirmado', 'preparing', 'preparando']
+
+// Pedidos mais antigos que isso não entram na carga (pedidos esquecidos em aberto)
+const JANELA_PEDIDOS_EM_ABERTO_MS = 6 * 60 * 60 * 1000
+
+export const CHAVE_MODO_PICO = 'rush_mode_minutes'
+
+const PADROES = {
+    estimated_time_delivery: 30,
+    estimated_time_pickup: 30,
+    estimated_time_per_order: 2,
+    estimated_time_range: 15,
+    rush_mode_minutes: 0
+}
+
+function obterMinutos(config, chave) {
+    const valor = Number(config?.[chave])
+    return Number.isFinite(valor) && valor >= 0 ? valor : PADROES[chave]
+}
+
+function arredondarCincoMinutos(minutos) {
+    return Math.max(5, Math.round(minutos / 5) * 5)
+}
+
+/**
+ * Calcula a faixa de tempo estimado
+ * @param {Object} dados - { delivery, pedidosEmAberto, config } (config = store_settings)
+ * @returns {Object} { minimo, maximo, texto, modoPico }
+ */
+export function calcularTempoEstimado({ delivery, pedidosEmAberto = 0, config = {} }) {
+    const base = obterMinutos(config, delivery ? 'estimated_time_delivery' : 'estimated_time_pickup')
+    const carga = Math.max(0, pedidosEmAberto) * obterMinutos(config, 'estimated_time_per_order')
+    const modoPico = obterMinutos(config, CHAVE_MODO_PICO)
+
+    const minimo = arredondarCincoMinutos(base + carga + modoPico)
+    const maximo = minimo + obterMinutos(config, 'estimated_time_range')
+
+    return {
+        minimo,
+        maximo,
+        texto: maximo > minimo ? `${minimo}-${maximo} minutos` : `${minimo} minutos`,
+        modoPico
+    }
+}
+
+/**
+ * Conta os pedidos confirmados ou em preparo
+ * @param {string} idIgnorado - Pedido que não entra na contagem (o próprio pedido novo)
+ * @returns {Promise<number>} Quantidade (0 em caso de erro)
+ */
+export async function contarPedidosEmAberto(idIgnorado = null) {
+    try {
+        let consulta = supabase
+            .from('orders')
+            .select('id', { count: 'exact', head: true })
+            .in('status', STATUS_EM_ABERTO)
+            .gte('created_at', new Date(Date.now() - JANELA_PEDIDOS_EM_ABERTO_MS).toISOString())
+
+        if (idIgnorado) {
+            consulta = consulta.neq('id', idIgnorado)
+        }
+
+        const { count, error } = await consulta
+
+        if (error) {
+            console.error('[TEMPO] Erro ao contar pedidos em aberto:', error.message)
+            return 0
+        }
+
+        return count || 0
+    } catch (erro) {
+        console.error('[TEMPO] Erro ao contar pedidos em aberto:', erro.message)
+        return 0
+    }
+}
+
+/**
+ * Tempo estimado para o pedido, considerando a carga atual da cozinha
+ * @returns {Promise<Object>} { minimo, maximo, texto, modoPico, pedidosEmAberto }
+ */
+export async function obterTempoEstimadoPedido(pedido) {
+    const [config, pedidosEmAberto] = await Promise.all([
+        carregarConfiguracoesLoja(),
+        contarPedidosEmAberto(pedido?.id)
+    ])
+
+    return {
+        ...calcularTempoEstimado({ delivery: pedidoEhDelivery(pedido), pedidosEmAberto, config }),
+        pedidosEmAberto
+    }
+}
+
+/**
+ * Define o acréscimo do modo pico (0 desliga)
+ * @returns {Promise<boolean>} true se salvou
+ */
+export async function definirModoPico(minutos) {
+    try {
+        const { error } = await supabase
+            .from('store_settings')
+            .upsert({
+                setting_key: CHAVE_MODO_PICO,
+                setting_value: String(minutos)
+            }, {
+                onConflict: 'setting_key'
+            })
+
+        if (error) {
+            console.error('[TEMPO] Erro ao salvar modo pico:', error.message)
+            return false
+        }
+
+        return true
+    } catch (erro) {
+        console.error('[TEMPO] Erro ao salvar modo pico:', erro.message)
+        return false
+    }
+}
+
+export default {
+    CHAVE_MODO_PICO,
+    calcularTempoEstimado,
+    contarPedidosEmAberto,
+    obterTempoEstimadoPedido,
+    definirModoPico
+}
@@ -0,0 +1,161 @@
+/**
+ * Turno dos entregadores (check-in pelo WhatsApp)
+ * Rei do Churrasco
+ *
+ * - 'entrei' coloca o entregador em turno, 'saí do turno' tira
+ * - Estado persistido em funcionarios.em_turno / funcionarios.turno_atualizado_em
+ * - Reset diário: um check-in só vale até a virada do dia de trabalho
+ *   (TURNO_HORA_RESET, padrão 6h no horário da loja), pois a loja fecha depois da meia-noite
+ */
+
+import { supabase } from './supabase.js'
+
+const TIMEZONE = 'America/Fortaleza'
+const HORA_RESET_TURNO = Number(process.env.TURNO_HORA_RESET) || 6
+
+/**
+ * Componentes de data/hora de um instante no horário da loja
+ */
+function obterPartesLocais(instante) {
+    const partes = new Intl.DateTimeFormat('en-CA', {
+        timeZone: TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(instante)
+
+    const obterParte = (tipo) => parseInt(partes.find(p => p.type === tipo)?.value || '0', 10)
+
+    return {
+        ano: obterParte('year'),
+        mes: obterParte('month'),
+        dia: obterParte('day'),
+        hora: obterParte('hour'),
+        minuto: obterParte('minute'),
+        segundo: obterParte('second')
+    }
+}
+
+/**
+ * Diferença (ms) entre o horário local da loja e UTC no instante informado
+ */
+function obterDeslocamentoLocal(instante) {
+    const { ano, mes, dia, hora, minuto, segundo } = obterPartesLocais(instante)
+    return Date.UTC(ano, mes - 1, dia, hora, minuto, segundo) - Math.floor(instante.getTime() / 1000) * 1000
+}
+
+/**
+ * Início do dia de trabalho atual (última virada às HORA_RESET_TURNO no horário da loja)
+ * @returns {Date}
+ */
+export function obterInicioDiaTurno(agora = new Date()) {
+    const { ano, mes, dia } = obterPartesLocais(agora)
+
+    let inicio = Date.UTC(ano, mes - 1, dia, HORA_RESET_TURNO) - obterDeslocamentoLocal(agora)
+    if (inicio > agora.getTime()) {
+        inicio -= 24 * 60 * 60 * 1000
+    }
+
+    return new Date(inicio)
+}
+
+/**
+ * Início do dia de trabalho de uma data (YYYY-MM-DD), às HORA_RESET_TURNO no horário da loja
+ * @returns {Date|null} null se a data for inválida
+ */
+export function obterInicioDiaTurnoDaData(data) {
+    const resultado = String(data || '').match(/^(\d{4})-(\d{2})-(\d{2})$/)
+    if (!resultado) return null
+
+    const [, ano, mes, dia] = resultado.map(Number)
+    const referencia = new Date(Date.UTC(ano, mes - 1, dia, HORA_RESET_TURNO))
+
+    // Date.UTC aceita '2026-02-31' (vira 03/03): a data só vale se dia, mês e ano se mantêm
+    if (referencia.getUTCFullYear() !== ano || referencia.getUTCMonth() !== mes - 1 || referencia.getUTCDate() !== dia) {
+        return null
+    }
+
+    return new Date(referencia.getTime() - obterDeslocamentoLocal(referencia))
+}
+
+/**
+ * Data (YYYY-MM-DD) do dia de trabalho atual
+ */
+export function obterDiaTurno(agora = new Date()) {
+    const { ano, mes, dia } = obterPartesLocais(obterInicioDiaTurno(agora))
+    return `${ano}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`
+}
+
+/**
+ * Verifica se o entregador está em turno hoje (check-in feito depois da última virada)
+ */
+export function entregadorEmTurno(entregador) {
+    if (entregador?.em_turno !== true || !entregador.turno_atualizado_em) return false
+    return new Date(entregador.turno_atualizado_em).getTime() >= obterInicioDiaTurno().getTime()
+}
+
+/**
+ * Registra entrada ou saída do turno
+ * @param {Object} entregador - { id }
+ * @param {boolean} emTurno - true para 'entrei', false para 'saí do turno'
+ * @returns {Promise<boolean>} true se salvou
+ */
+export async function registrarTurno(entregador, emTurno) {
+    try {
+        const { error } = await supabase
+            .from('funcionarios')
+            .update({
+                em_turno: emTurno,
+                turno_atualizado_em: new Date().toISOString()
+            })
+            .eq('id', entregador.id)
+
+        if (error) {
+            console.error(`[TURNO] Erro ao registrar turno de ${entregador.nome}:`, error.message)
+            return false
+        }
+
+        return true
+    } catch (erro) {
+        console.error(`[TURNO] Erro ao registrar turno de ${entregador.nome}:`, erro.message)
+        return false
+    }
+}
+
+/**
+ * Tira do turno quem fez check-in antes da última virada do dia (reset diário)
+ * @returns {Promise<number>} Quantidade de entregadores liberados
+ */
+export async function encerrarTurnosVencidos() {
+    try {
+        const { data, error } = await supabase
+            .from('funcionarios')
+            .update({ em_turno: false })
+            .eq('em_turno', true)
+            .lt('turno_atualizado_em', obterInicioDiaTurno().toISOString())
+            .select('id')
+
+        if (error) {
+            console.error('[TURNO] Erro ao encerrar turnos vencidos:', error.message)
+            return 0
+        }
+
+        return data?.length || 0
+    } catch (erro) {
+        console.error('[TURNO] Erro ao encerrar turnos vencidos:', erro.message)
+        return 0
+    }
+}
+
+export default {
+    obterInicioDiaTurno,
+    obterInicioDiaTurnoDaData,
+    obterDiaTurno,
+    entregadorEmTurno,
+    registrarTurno,
+    encerrarTurnosVencidos
+}
@@ -0,0 +1,225 @@
+/**
+ * Bot WhatsApp - várias lojas no mesmo processo
+ * Rei do Churrasco
+ *
+ * Cada loja (marca) roda o bot completo (index.js) em uma worker thread própria:
+ * - Sessão do WhatsApp própria (SESSION_ID distinto no useSupabaseAuthState)
+ * - Supabase próprio: pedidos, store_settings, pix_keys e message_templates da loja
+ * - Número e dados da loja (NUMERO_LOJA, LOJA_NOME, LOJA_SITE, LOJA_ENDERECO, LOJA_TELEFONE...)
+ *
+ * API (porta PORT):
+ *   GET  /lojas             - status de todas as lojas
+ *   *    /lojas/:id/<rota>  - rotas do bot da loja (ex: GET /lojas/rei/status, GET /lojas/rei/qr)
+ *
+ * As rotas de cada loja exigem a chave de API da própria loja (API_KEYS do env da loja ou do processo).
+ * Configuração das lojas: LOJAS_ARQUIVO (padrão ./lojas.json), ver lib/configLojas.js
+ */
+
+import 'dotenv/config'
+import http from 'http'
+import { Worker } from 'worker_threads'
+
+import pino from 'pino'
+import express from 'express'
+import cors from 'cors'
+
+import { carregarConfigLojas, montarAmbienteLoja } from './lib/configLojas.js'
+import { exigirEscopo, obterOpcoesCors } from './lib/autenticacaoApi.js'
+
+const PORTA = process.env.PORT || 3016
+const ARQUIVO_LOJAS = process.env.LOJAS_ARQUIVO || './lojas.json'
+
+// Reinício das lojas que caírem (espera dobra a cada queda seguida, até 5 minutos)
+const DELAY_BASE_REINICIO_MS = 5000
+const DELAY_MAXIMO_REINICIO_MS = 5 * 60 * 1000
+const TEMPO_ESTAVEL_MS = 60 * 1000
+const TEMPO_LIMITE_STATUS_MS = 3000
+
+const logger = pino({
+    level: process.env.LOG_LEVEL || 'info'
+})
+
+let lojas = []
+try {
+    lojas = carregarConfigLojas(ARQUIVO_LOJAS)
+} catch (erro) {
+    logger.error(`[LOJAS] ${erro.message}`)
+    process.exit(1)
+}
+
+// Estado de cada loja: id → { loja, worker, estado, reinicios, iniciadoEm, ultimoErro }
+const estadoLojas = new Map()
+let encerrando = false
+
+/**
+ * Inicia o bot da loja em uma worker thread
+ */
+function iniciarLoja(loja) {
+    const anterior = estadoLojas.get(loja.id)
+    const estado = {
+        loja,
+        worker: null,
+        estado: 'iniciando',
+        reinicios: anterior?.reinicios || 0,
+        iniciadoEm: new Date(),
+        ultimoErro: anterior?.ultimoErro || null
+    }
+    estadoLojas.set(loja.id, estado)
+
+    logger.info(`[LOJAS] Iniciando ${loja.nome} (${loja.id}) na porta interna ${loja.porta}`)
+
+    const worker = new Worker(new URL('./index.js', import.meta.url), {
+        name: `loja-${loja.id}`,
+        env: montarAmbienteLoja(loja)
+    })
+    estado.worker = worker
+
+    worker.on('online', () => {
+        estado.estado = 'rodando'
+    })
+
+    worker.on('error', (erro) => {
+        estado.ultimoErro = erro.message
+        logger.error(`[LOJAS] Erro na loja ${loja.id}: ${erro.message}`)
+    })
+
+    worker.on('exit', (codigo) => {
+        estado.worker = null
+
+        if (encerrando) {
+            estado.estado = 'parado'
+            return
+        }
+
+        // Queda depois de um período estável não conta como queda seguida
+        if (Date.now() - estado.iniciadoEm.getTime() > TEMPO_ESTAVEL_MS) {
+            estado.reinicios = 0
+        }
+
+        const espera = Math.min(DELAY_BASE_REINICIO_MS * Math.pow(2, estado.reinicios), DELAY_MAXIMO_REINICIO_MS)
+        estado.reinicios++
+        estado.estado = 'reiniciando'
+
+        logger.warn(`[LOJAS] Loja ${loja.id} encerrou (código ${codigo}), reiniciando em ${espera / 1000}s`)
+        setTimeout(() => {
+            if (!encerrando) iniciarLoja(loja)
+        }, espera)
+    })
+}
+
+/**
+ * Repassa a requisição para o bot da loja (corpo e headers sem alteração)
+ * O IP de quem chamou segue em X-Forwarded-For (o bot da loja confia só no proxy em 127.0.0.1)
+ */
+function encaminharParaLoja(req, res, estado) {
+    const encaminhadoPor = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ')
+
+    const requisicao = http.request({
+        host: '127.0.0.1',
+        port: estado.loja.porta,
+        method: req.method,
+        path: req.url,
+        headers: { ...req.headers, 'x-forwarded-for': encaminhadoPor }
+    }, (resposta) => {
+        res.writeHead(resposta.statusCode, resposta.headers)
+        resposta.pipe(res)
+    })
+
+    requisicao.on('error', (erro) => {
+        logger.warn(`[LOJAS] Loja ${estado.loja.id} indisponível: ${erro.message}`)
+        if (!res.headersSent) {
+            res.status(502).json({ sucesso: false, erro: `Loja ${estado.loja.id} indisponível`, estado: estado.estado })
+        } else {
+            res.end()
+        }
+    })
+
+    req.pipe(requisicao)
+}
+
+/**
+ * Consulta o /status do bot da loja com a mesma chave de API da requisição
+ */
+async function consultarStatusLoja(estado, headers) {
+    try {
+        const resposta = await fetch(`http://127.0.0.1:${estado.loja.porta}/status`, {
+            headers: {
+                ...(headers.authorization ? { authorization: headers.authorization } : {}),
+                ...(headers['x-api-key'] ? { 'x-api-key': headers['x-api-key'] } : {})
+            },
+            signal: AbortSignal.timeout(TEMPO_LIMITE_STATUS_MS)
+        })
+
+        if (!resposta.ok) {
+            return { erro: `HTTP ${resposta.status}` }
+        }
+
+        const corpo = await resposta.json()
+        return corpo.dados || corpo
+    } catch (erro) {
+        return { erro: erro.message }
+    }
+}
+
+const app = express()
+
+// Status de todas as lojas
+app.get('/lojas', cors(obterOpcoesCors()), exigirEscopo('leitura'), async (req, res) => {
+    const resumo = await Promise.all([...estadoLojas.values()].map(async (estado) => ({
+        id: estado.loja.id,
+        nome: estado.loja.nome,
+        estado: estado.estado,
+        reinicios: estado.reinicios,
+        iniciadoEm: estado.iniciadoEm,
+        ultimoErro: estado.ultimoErro,
+        bot: estado.estado === 'rodando' ? await consultarStatusLoja(estado, req.headers) : null
+    })))
+
+    res.json({ sucesso: true, lojas: resumo })
+})
+
+// Rotas de cada loja (autenticação e CORS ficam com o bot da loja)
+app.use('/lojas/:id', (req, res) => {
+    const estado = estadoLojas.get(req.params.id)
+
+    if (!estado) {
+        return res.status(404).json({ sucesso: false, erro: `Loja não encontrada: ${req.params.id}` })
+    }
+
+    encaminharParaLoja(req, res, estado)
+})
+
+app.get('/', (req, res) => {
+    res.json({ status: 'online', lojas: lojas.map(loja => loja.id) })
+})
+
+app.listen(PORTA, () => {
+    logger.info(`[LOJAS] Servidor rodando na porta ${PORTA} com ${lojas.length} loja(s)`)
+    logger.info('[LOJAS]   GET  /lojas            - Status de todas as lojas')
+    logger.info('[LOJAS]   *    /lojas/:id/<rota> - Rotas do bot da loja')
+
+    for (const loja of lojas) {
+        iniciarLoja(loja)
+    }
+})
+
+// Graceful shutdown: cada loja encerra fila, canais e timers antes de sair
+function encerrar(motivo) {
+    if (encerrando) return
+    encerrando = true
+    logger.info(`[LOJAS] Encerrando (${motivo})...`)
+
+    const ativos = [...estadoLojas.values()].filter(estado => estado.worker)
+    for (const estado of ativos) {
+        estado.worker.postMessage({ tipo: 'encerrar', motivo })
+    }
+
+    Promise.all(ativos.map(estado => new Promise(resolve => estado.worker.once('exit', resolve))))
+        .then(() => process.exit(0))
+
+    // Garante a saída se alguma loja não responder
+    setTimeout(() => process.exit(0), 10000).unref()
+}
+
+process.on('SIGINT', () => encerrar('SIGINT'))
+process.on('SIGTERM', () => encerrar('SIGTERM'))